@@ -26,6 +26,7 @@ public static class MauiProgram
 		builder.Services.AddScoped<ImageDocumentState>();
 		builder.Services.AddScoped<IImageFilePicker, MauiImageFilePicker>();
 		builder.Services.AddScoped<IImageExportService, WindowsImageExportService>();
+		builder.Services.AddScoped<IImageClipboardService, WindowsImageClipboardService>();
 		builder.Services.AddScoped<ImageProcessorService>();
 		builder.Services.AddScoped<IAppSettingsStore, MauiAppSettingsStore>();
 		builder.Services.AddScoped<AppSettingsService>();
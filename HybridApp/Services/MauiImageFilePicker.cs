@@ -1,12 +1,20 @@
+using System.Runtime.CompilerServices;
 using Microsoft.IO;
+using Microsoft.JSInterop;
 using SharedUI.Services;
+using SharedUI.Services.Settings;
 
 namespace HybridApp.Services;
 
-internal sealed class MauiImageFilePicker : IImageFilePicker
+internal sealed class MauiImageFilePicker(IJSRuntime js, ImageProcessorService imageProcessor, AppSettingsService settings) : IImageFilePicker
 {
     private static readonly RecyclableMemoryStreamManager StreamManager = new();
 
+    private sealed record Dropped(string fileName, string contentType, IJSStreamReference bytes, ImageMetadata? metadata);
+
+    // mogeFolderPicker.open: token is null when the dialog or the scan was canceled.
+    private sealed record OpenedFolder(string? token, string[] names);
+
     public async Task<ImagePickResult?> PickImageAsync(CancellationToken cancellationToken = default)
     {
         var results = await PickImagesAsync(cancellationToken);
@@ -33,13 +41,109 @@ internal sealed class MauiImageFilePicker : IImageFilePicker
             await using var input = await item.OpenReadAsync();
             await using var buffer = StreamManager.GetStream();
             await input.CopyToAsync(buffer, cancellationToken);
+            var bytes = buffer.ToArray();
+
+            // The full path doubles as the in-place save target (see WindowsImageExportService.SaveToAsync).
+            var saveTarget = string.IsNullOrEmpty(item.FullPath) ? null : new ImageSaveTarget(item.FullPath, item.FileName);
 
-            list.Add(new ImagePickResult(
+            list.Add(await OrientAsync(new ImagePickResult(
                 item.FileName,
                 item.ContentType ?? "application/octet-stream",
-                buffer.ToArray()));
+                bytes,
+                saveTarget,
+                await ReadMetadataAsync(bytes, cancellationToken))));
         }
 
         return list;
     }
+
+    // WebView2 provides the folder dialog; like drops, the original bytes are handed to OpenCV as they are.
+    public async IAsyncEnumerable<ImagePickResult> PickFolderAsync(IProgress<ImagePickProgress>? progress = null, [EnumeratorCancellation] CancellationToken cancellationToken = default)
+    {
+        // The token reaches the scan only through the reporter, so a cancel ends it quietly instead of throwing.
+        OpenedFolder folder;
+        using (var reporter = DotNetObjectReference.Create(new ImagePickProgressReporter(progress, cancellationToken)))
+            folder = await js.InvokeAsync<OpenedFolder>("mogeFolderPicker.open", reporter);
+
+        if (folder.token is null)
+            yield break;
+
+        try
+        {
+            for (var i = 0; i < folder.names.Length && !cancellationToken.IsCancellationRequested; i++)
+            {
+                progress?.Report(new ImagePickProgress(i + 1, folder.names.Length, folder.names[i]));
+
+                var item = await js.InvokeAsync<Dropped?>("mogeFolderPicker.readFile", folder.token, i);
+                if (item is not null)
+                    yield return await ToResultAsync(item, CancellationToken.None);
+            }
+        }
+        finally
+        {
+            await js.InvokeVoidAsync("mogeFolderPicker.release", folder.token);
+        }
+    }
+
+    // Drops arrive in WebView2 as DOM files; OpenCV decodes the original bytes natively, so they are not normalized.
+    public async Task<IReadOnlyList<ImagePickResult>> ReadDroppedAsync(string dropToken, CancellationToken cancellationToken = default)
+    {
+        var dropped = await js.InvokeAsync<Dropped[]>("mogeDropZone.readFiles", cancellationToken, dropToken);
+        return await ToResultsAsync(dropped, cancellationToken);
+    }
+
+    private async Task<IReadOnlyList<ImagePickResult>> ToResultsAsync(Dropped[]? dropped, CancellationToken cancellationToken = default)
+    {
+        if (dropped is null || dropped.Length == 0)
+            return Array.Empty<ImagePickResult>();
+
+        var list = new List<ImagePickResult>(dropped.Length);
+        foreach (var item in dropped)
+            list.Add(await ToResultAsync(item, cancellationToken));
+
+        return list;
+    }
+
+    private async Task<ImagePickResult> ToResultAsync(Dropped item, CancellationToken cancellationToken)
+    {
+        var bytes = await item.bytes.ReadAllBytesAsync(cancellationToken);
+        return await OrientAsync(new ImagePickResult(item.fileName, item.contentType, bytes, Metadata: item.metadata));
+    }
+
+    // Files from the native picker never pass through the DOM, so their bytes are sent to mogeImageMeta.
+    private async Task<ImageMetadata?> ReadMetadataAsync(byte[] bytes, CancellationToken cancellationToken)
+    {
+        try
+        {
+            using var stream = new DotNetStreamReference(new MemoryStream(bytes, writable: false));
+            return await js.InvokeAsync<ImageMetadata?>("mogeImageMeta.readStream", cancellationToken, stream);
+        }
+        catch (JSException)
+        {
+            return null;
+        }
+    }
+
+    // OpenCV ignores EXIF orientation, so sideways photos are turned upright here (re-encoded as PNG, like the
+    // browser's normalization) unless the setting says otherwise.
+    private async Task<ImagePickResult> OrientAsync(ImagePickResult pick)
+    {
+        if (pick.Metadata?.Orientation is not (> 1 and <= 8) orientation)
+            return pick;
+
+        await settings.InitializeAsync();
+        if (!settings.Current.ImportApplyExifOrientation)
+            return pick;
+
+        try
+        {
+            var upright = await Task.Run(() => imageProcessor.ApplyExifOrientation(pick.Bytes, orientation));
+            return pick with { FileName = Path.ChangeExtension(pick.FileName, ".png"), ContentType = "image/png", Bytes = upright };
+        }
+        catch (Exception)
+        {
+            // Keep the file as stored; it still opens, just not rotated.
+            return pick;
+        }
+    }
 }
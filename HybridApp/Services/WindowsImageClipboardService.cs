@@ -0,0 +1,32 @@
+using Microsoft.JSInterop;
+using SharedUI.Services;
+
+namespace HybridApp.Services;
+
+// WebView2 exposes the async clipboard API, so reads and writes go through the same moge-canvas helpers as the browser.
+internal sealed class WindowsImageClipboardService(IJSRuntime js) : IImageClipboardService
+{
+    private sealed record Pasted(int width, int height, IJSStreamReference bytes, IJSStreamReference rgba);
+
+    public async Task<bool> WriteRgbaAsync(byte[] rgba, int width, int height, CancellationToken cancellationToken = default)
+        => await js.InvokeAsync<bool>("mogeCanvas.writeClipboardRgba", cancellationToken, width, height, rgba);
+
+    public async Task<bool> CanReadImageAsync(CancellationToken cancellationToken = default)
+        => await js.InvokeAsync<bool>("mogeCanvas.canReadClipboardImage", cancellationToken);
+
+    public async Task<bool> MayHaveChangedAsync(CancellationToken cancellationToken = default)
+        => await js.InvokeAsync<bool>("mogeCanvas.clipboardMayHaveChanged", cancellationToken);
+
+    public async Task<ClipboardImage?> ReadImageAsync(CancellationToken cancellationToken = default)
+    {
+        var pasted = await js.InvokeAsync<Pasted?>("mogeCanvas.readClipboardImage", cancellationToken);
+        if (pasted is null || pasted.width <= 0 || pasted.height <= 0)
+            return null;
+
+        var bytes = await pasted.bytes.ReadAllBytesAsync(cancellationToken);
+        var rgba = await pasted.rgba.ReadAllBytesAsync(cancellationToken);
+
+        var image = new ImagePickResult($"clipboard-{DateTime.Now:yyyyMMdd-HHmmss}.png", "image/png", bytes);
+        return new ClipboardImage(image, pasted.width, pasted.height, rgba);
+    }
+}
@@ -6,30 +6,79 @@ namespace HybridApp.Services;
 
 internal sealed class WindowsImageExportService(IJSRuntime js) : IImageExportService
 {
-    public async Task SaveAsync(ElementReference canvas, string suggestedFileName, ImageExportFormat format, CancellationToken cancellationToken = default)
+    public async Task<ImageSaveResult> SaveAsync(ElementReference canvas, string suggestedFileName, ImageExportFormat format, ImageExportOptions? options = null, CancellationToken cancellationToken = default)
     {
-        var filename = format == ImageExportFormat.Jpeg
-            ? FileNameUtil.GetSafeFileName(suggestedFileName, "image.jpg", ".jpg")
-            : FileNameUtil.GetSafeFileName(suggestedFileName, "image.png", ".png");
+        var ext = format.GetExtension();
+        var filename = FileNameUtil.GetSafeFileName(suggestedFileName, "image" + ext, ext);
 
-        var fn = format == ImageExportFormat.Jpeg ? "mogeCanvas.exportJpegBase64" : "mogeCanvas.exportPngBase64";
-        var base64 = await js.InvokeAsync<string?>(fn, cancellationToken, canvas);
-        if (string.IsNullOrWhiteSpace(base64))
-            return;
-
-        var bytes = Convert.FromBase64String(base64);
+        var bytes = await EncodeAsync(canvas, format, options, cancellationToken)
+            ?? throw new InvalidOperationException("The image could not be encoded; nothing was saved.");
 
 #if WINDOWS
     var file = await PickSaveFileAsync(filename, format);
         if (file is null)
-            return;
+            return ImageSaveResult.Canceled;
 
         await Windows.Storage.FileIO.WriteBytesAsync(file, bytes);
+        return ImageSaveResult.Saved(string.IsNullOrEmpty(file.Path) ? null : new ImageSaveTarget(file.Path, file.Name));
 #else
         throw new PlatformNotSupportedException("PNG export is only implemented for Windows in HybridApp.");
 #endif
     }
 
+    // Targets here are full paths (from the open or save picker).
+    public async Task<bool> SaveToAsync(ElementReference canvas, ImageSaveTarget target, ImageExportFormat format, ImageExportOptions? options = null, CancellationToken cancellationToken = default)
+    {
+        if (!Path.IsPathFullyQualified(target.Id))
+            return false;
+
+        var bytes = await EncodeAsync(canvas, format, options, cancellationToken);
+        if (bytes is null)
+            return false;
+
+        try
+        {
+            await File.WriteAllBytesAsync(target.Id, bytes, cancellationToken);
+            return true;
+        }
+        catch (Exception ex) when (ex is UnauthorizedAccessException or DirectoryNotFoundException)
+        {
+            return false;
+        }
+    }
+
+    // WebView2 encodes; the set of formats it can write is reported by GetSupportedFormatsAsync.
+    private async Task<byte[]?> EncodeAsync(ElementReference canvas, ImageExportFormat format, ImageExportOptions? options, CancellationToken cancellationToken)
+    {
+        var base64 = await js.InvokeAsync<string?>("mogeCanvas.exportBase64", cancellationToken, canvas, ToJsOptions(format, options));
+        return string.IsNullOrWhiteSpace(base64) ? null : Convert.FromBase64String(base64);
+    }
+
+    public async Task<IReadOnlyList<ImageExportFormat>> GetSupportedFormatsAsync(CancellationToken cancellationToken = default)
+    {
+        var formats = Enum.GetValues<ImageExportFormat>();
+        var types = await js.InvokeAsync<string[]>("mogeCanvas.getSupportedExportTypes", cancellationToken, (object)formats.Select(f => f.GetMimeType()).ToArray());
+        return formats.Where(f => f == ImageExportFormat.Png || types.Contains(f.GetMimeType())).ToArray();
+    }
+
+    public async Task<bool> HasTransparencyAsync(ElementReference canvas, CancellationToken cancellationToken = default)
+        => await js.InvokeAsync<bool>("mogeCanvas.hasTransparency", cancellationToken, canvas);
+
+    public async Task<long?> EstimateSizeAsync(ElementReference canvas, ImageExportFormat format, ImageExportOptions? options = null, CancellationToken cancellationToken = default)
+        => await js.InvokeAsync<long?>("mogeCanvas.estimateExportSize", cancellationToken, canvas, ToJsOptions(format, options));
+
+    private static object ToJsOptions(ImageExportFormat format, ImageExportOptions? options)
+    {
+        options ??= new ImageExportOptions();
+        return new
+        {
+            type = format.GetMimeType(),
+            quality = options.GetQuality(format),
+            matte = options.GetMatte(format),
+            metadata = options.GetMetadata(format)
+        };
+    }
+
 #if WINDOWS
     private static async Task<Windows.Storage.StorageFile?> PickSaveFileAsync(string suggestedFileName, ImageExportFormat format)
     {
@@ -44,7 +93,7 @@ internal sealed class WindowsImageExportService(IJSRuntime js) : IImageExportSer
         if (format == ImageExportFormat.Jpeg)
             picker.FileTypeChoices.Add("JPEG Image", new List<string> { ".jpg", ".jpeg" });
         else
-            picker.FileTypeChoices.Add("PNG Image", new List<string> { ".png" });
+            picker.FileTypeChoices.Add($"{format.GetDisplayName()} Image", new List<string> { format.GetExtension() });
 
         var hwnd = GetWindowHandle();
         WinRT.Interop.InitializeWithWindow.Initialize(picker, hwnd);
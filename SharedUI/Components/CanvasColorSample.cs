@@ -0,0 +1,9 @@
+using SharedUI.Services;
+
+namespace SharedUI.Components;
+
+/// <summary>
+/// Eyedropper result at <see cref="Point"/> (image px). <see cref="Color"/> is null when the requested layer isn't
+/// on the canvas; <see cref="Background"/> is set for Alt-clicks.
+/// </summary>
+public sealed record CanvasColorSample(CanvasPoint Point, Rgba32? Color, bool Background);
@@ -0,0 +1,22 @@
+namespace SharedUI.Components;
+
+public enum CanvasCompareMode
+{
+    Off,
+    // Before on the left/top of a draggable divider, the current image on the other side.
+    Split,
+    // The before image alone, to flip back and forth with Off.
+    Before
+}
+
+public enum CanvasCompareSource
+{
+    Original,
+    PreviousStep
+}
+
+/// <summary>
+/// What <see cref="ImageCanvas"/> compares the current image against: <see cref="BeforeBytes"/> is a raw token or
+/// encoded image, stretched over the current image bounds.
+/// </summary>
+public sealed record CanvasCompareView(byte[] BeforeBytes, CanvasCompareMode Mode, bool Horizontal);
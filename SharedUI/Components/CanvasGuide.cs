@@ -0,0 +1,13 @@
+namespace SharedUI.Components;
+
+public enum CanvasGuideOrientation
+{
+    Horizontal,
+    Vertical
+}
+
+/// <summary>
+/// A layout guide at <see cref="Position"/> image px: the Y of a horizontal guide (pulled out of the top ruler)
+/// or the X of a vertical one (pulled out of the left ruler).
+/// </summary>
+public sealed record CanvasGuide(CanvasGuideOrientation Orientation, double Position);
@@ -0,0 +1,147 @@
+using System.Globalization;
+using System.Text;
+using Microsoft.AspNetCore.Components;
+using Microsoft.JSInterop;
+using SharedUI.Services;
+
+namespace SharedUI.Components;
+
+/// <summary>
+/// R/G/B or luminance histogram of the image shown by an <see cref="ImageCanvas"/>, computed on the JS side from
+/// the uploaded pixels and refreshed whenever the viewport's <see cref="CanvasViewport.ContentVersion"/> changes.
+/// </summary>
+public partial class CanvasHistogram : IDisposable
+{
+    [Inject] private IJSRuntime Js { get; set; } = default!;
+
+    // The ImageCanvas element; its pixels (layers composited) are read on the JS side.
+    [Parameter] public ElementReference SourceCanvas { get; set; }
+    [Parameter] public CanvasViewportState? Viewport { get; set; }
+
+    // A selection rectangle or an image-sized mask (non-zero = selected); either enables the "selection only" switch.
+    [Parameter] public PixelRect? SelectionRect { get; set; }
+    [Parameter] public byte[]? SelectionMask { get; set; }
+
+    // Upper bound on sampled pixels; larger images are read on a coarser grid.
+    [Parameter] public int MaxSamples { get; set; } = 262144;
+
+    private const double PlotHeight = 100;
+
+    private HistogramData? _histogram;
+    private bool _showLuma;
+    private bool _selectionOnly;
+
+    private int? _computedVersion;
+    private PixelRect? _computedRect;
+    private byte[]? _computedMask;
+    private byte[]? _sentMask;
+    private bool _computed;
+    private CanvasViewportState? _subscribed;
+
+    private int? ContentVersion => Viewport?.Current?.ContentVersion;
+
+    protected override void OnParametersSet()
+    {
+        if (ReferenceEquals(Viewport, _subscribed))
+            return;
+
+        if (_subscribed is not null)
+            _subscribed.Changed -= OnViewportChanged;
+
+        _subscribed = Viewport;
+        if (_subscribed is not null)
+            _subscribed.Changed += OnViewportChanged;
+    }
+
+    // Pan and zoom leave the pixels alone; only new content needs a new histogram.
+    private void OnViewportChanged()
+    {
+        if (ContentVersion != _computedVersion)
+            _ = InvokeAsync(StateHasChanged);
+    }
+
+    protected override async Task OnAfterRenderAsync(bool firstRender)
+    {
+        var rect = _selectionOnly ? SelectionRect : null;
+        var mask = _selectionOnly && rect is null ? SelectionMask : null;
+        if (_computed && ContentVersion == _computedVersion && rect == _computedRect && ReferenceEquals(mask, _computedMask))
+            return;
+
+        _computed = true;
+        _computedVersion = ContentVersion;
+        _computedRect = rect;
+        _computedMask = mask;
+
+        // The mask is only sent when the selection changes; new content alone reuses the copy on the JS side.
+        if (!ReferenceEquals(mask, _sentMask))
+        {
+            await Js.InvokeVoidAsync("mogeCanvas.setHistogramMask", SourceCanvas, mask);
+            _sentMask = mask;
+        }
+
+        _histogram = await Js.InvokeAsync<HistogramData?>("mogeCanvas.computeHistogram", SourceCanvas, new
+        {
+            rect = rect is { } r ? new { x = r.X, y = r.Y, width = r.Width, height = r.Height } : null,
+            useMask = mask is not null,
+            maxSamples = MaxSamples
+        });
+        StateHasChanged();
+    }
+
+    private void OnShowLumaChanged(bool value) => _showLuma = value;
+
+    private void OnSelectionOnlyChanged(bool value) => _selectionOnly = value;
+
+    // Polygon over the bins, scaled so the tallest visible bin fills the plot.
+    private string GetPoints(int[] bins, HistogramData h)
+    {
+        var max = _showLuma ? h.luma.Max() : Math.Max(h.r.Max(), Math.Max(h.g.Max(), h.b.Max()));
+        if (max <= 0)
+            return string.Empty;
+
+        var sb = new StringBuilder();
+        sb.Append("0,").Append(Css(PlotHeight));
+        for (var i = 0; i < bins.Length; i++)
+        {
+            var y = PlotHeight - (bins[i] * PlotHeight / max);
+            sb.Append(' ').Append(i).Append(',').Append(Css(y));
+            sb.Append(' ').Append(i + 1).Append(',').Append(Css(y));
+        }
+
+        sb.Append(' ').Append(bins.Length).Append(',').Append(Css(PlotHeight));
+        return sb.ToString();
+    }
+
+    private string GetSummary(HistogramData h)
+    {
+        if (h.samples <= 0)
+            return "No pixels";
+
+        // Mean luminance from the bins, so it respects the selection and sampling.
+        var sum = 0L;
+        for (var i = 0; i < h.luma.Length; i++)
+            sum += (long)h.luma[i] * i;
+
+        var mean = (double)sum / h.samples;
+        var sampled = h.step > 1 ? $" (every {h.step}px)" : string.Empty;
+        return $"{h.samples:N0} px{sampled}, mean {mean:0}";
+    }
+
+    private static string Css(double v) => v.ToString("0.###", CultureInfo.InvariantCulture);
+
+    public void Dispose()
+    {
+        if (_subscribed is not null)
+            _subscribed.Changed -= OnViewportChanged;
+    }
+
+    private sealed class HistogramData
+    {
+        public int[] r { get; set; } = Array.Empty<int>();
+        public int[] g { get; set; } = Array.Empty<int>();
+        public int[] b { get; set; } = Array.Empty<int>();
+        public int[] luma { get; set; } = Array.Empty<int>();
+        public int samples { get; set; }
+        public int step { get; set; }
+    }
+}
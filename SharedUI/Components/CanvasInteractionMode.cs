@@ -7,7 +7,8 @@ public enum CanvasInteractionMode
     Eraser,
     MagicWand,
     Text,
-    LassoSelection
+    LassoSelection,
+    Eyedropper
 }
 
 public sealed record CanvasStroke(CanvasInteractionMode Mode, IReadOnlyList<CanvasPoint> Points);
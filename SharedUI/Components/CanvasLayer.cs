@@ -0,0 +1,6 @@
+namespace SharedUI.Components;
+
+/// <summary>
+/// A document layer handed to <see cref="ImageCanvas"/> for client-side compositing.
+/// </summary>
+public sealed record CanvasLayer(Guid Id, byte[] Bytes, bool Visible);
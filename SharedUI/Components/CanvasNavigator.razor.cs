@@ -0,0 +1,134 @@
+using System.Globalization;
+using Microsoft.AspNetCore.Components;
+using Microsoft.AspNetCore.Components.Web;
+using Microsoft.JSInterop;
+
+namespace SharedUI.Components;
+
+/// <summary>
+/// Thumbnail of the image shown by an <see cref="ImageCanvas"/> with its viewport as a rectangle.
+/// Clicking centers the view on that point; dragging the rectangle pans.
+/// </summary>
+public partial class CanvasNavigator : IDisposable
+{
+    [Inject] private IJSRuntime Js { get; set; } = default!;
+
+    // The ImageCanvas element; its pixels (layers composited) are read on the JS side.
+    [Parameter] public ElementReference SourceCanvas { get; set; }
+    [Parameter] public CanvasViewportState? Viewport { get; set; }
+    [Parameter] public EventCallback<CanvasPoint> CenterRequested { get; set; }
+    [Parameter] public int MaxSide { get; set; } = 200;
+
+    private ElementReference _canvas;
+    private CanvasViewportState? _subscribed;
+
+    private int? _renderedVersion;
+    private int _renderedMaxSide;
+    private double _thumbWidth;
+    private double _thumbHeight;
+
+    private bool _dragging;
+    private double _grabDx;
+    private double _grabDy;
+
+    protected override void OnParametersSet()
+    {
+        if (ReferenceEquals(Viewport, _subscribed))
+            return;
+
+        if (_subscribed is not null)
+            _subscribed.Changed -= OnViewportChanged;
+
+        _subscribed = Viewport;
+        if (_subscribed is not null)
+            _subscribed.Changed += OnViewportChanged;
+    }
+
+    private void OnViewportChanged() => _ = InvokeAsync(StateHasChanged);
+
+    private CanvasViewport? Current => Viewport?.Current;
+
+    protected override async Task OnAfterRenderAsync(bool firstRender)
+    {
+        var version = Current?.ContentVersion;
+        if (!firstRender && version == _renderedVersion && MaxSide == _renderedMaxSide)
+            return;
+
+        _renderedVersion = version;
+        _renderedMaxSide = MaxSide;
+
+        var size = await Js.InvokeAsync<ThumbnailInfo>("mogeCanvas.renderThumbnail", SourceCanvas, _canvas, MaxSide);
+        if (size.width != _thumbWidth || size.height != _thumbHeight)
+        {
+            _thumbWidth = size.width;
+            _thumbHeight = size.height;
+            StateHasChanged();
+        }
+    }
+
+    // Thumbnail px per image px; 0 until both the thumbnail and the viewport are known.
+    private double ThumbScale
+        => Current is { ImageWidth: > 0 } v && _thumbWidth > 0 ? _thumbWidth / v.ImageWidth : 0;
+
+    private (double Left, double Top, double Width, double Height)? GetViewRect()
+    {
+        if (Current is not { Scale: > 0 } v || ThumbScale <= 0)
+            return null;
+
+        // Visible image area, clipped to the image, in thumbnail px.
+        var left = Math.Clamp(-v.OffsetX / v.Scale, 0, v.ImageWidth) * ThumbScale;
+        var top = Math.Clamp(-v.OffsetY / v.Scale, 0, v.ImageHeight) * ThumbScale;
+        var right = Math.Clamp((v.ViewWidth - v.OffsetX) / v.Scale, 0, v.ImageWidth) * ThumbScale;
+        var bottom = Math.Clamp((v.ViewHeight - v.OffsetY) / v.Scale, 0, v.ImageHeight) * ThumbScale;
+        if (right - left < 1 || bottom - top < 1)
+            return null;
+
+        return (left, top, right - left, bottom - top);
+    }
+
+    private async Task OnPointerDown(PointerEventArgs e)
+    {
+        if (GetViewRect() is not { } r)
+            return;
+
+        _dragging = true;
+
+        // Grabbing the rectangle keeps the grab point under the pointer; anywhere else jumps the center there.
+        var inside = e.OffsetX >= r.Left && e.OffsetX <= r.Left + r.Width && e.OffsetY >= r.Top && e.OffsetY <= r.Top + r.Height;
+        _grabDx = inside ? e.OffsetX - (r.Left + (r.Width / 2)) : 0;
+        _grabDy = inside ? e.OffsetY - (r.Top + (r.Height / 2)) : 0;
+
+        await RequestCenterAsync(e);
+    }
+
+    private async Task OnPointerMove(PointerEventArgs e)
+    {
+        if (_dragging)
+            await RequestCenterAsync(e);
+    }
+
+    private void OnPointerUp(PointerEventArgs e) => _dragging = false;
+
+    private Task RequestCenterAsync(PointerEventArgs e)
+    {
+        var scale = ThumbScale;
+        if (scale <= 0)
+            return Task.CompletedTask;
+
+        return CenterRequested.InvokeAsync(new CanvasPoint((e.OffsetX - _grabDx) / scale, (e.OffsetY - _grabDy) / scale));
+    }
+
+    private static string Css(double v) => v.ToString("0.###", CultureInfo.InvariantCulture);
+
+    public void Dispose()
+    {
+        if (_subscribed is not null)
+            _subscribed.Changed -= OnViewportChanged;
+    }
+
+    private sealed class ThumbnailInfo
+    {
+        public double width { get; set; }
+        public double height { get; set; }
+    }
+}
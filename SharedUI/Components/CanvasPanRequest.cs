@@ -0,0 +1,6 @@
+namespace SharedUI.Components;
+
+/// <summary>
+/// Asks <see cref="ImageCanvas"/> to center the view on an image point. Each instance is applied once.
+/// </summary>
+public sealed record CanvasPanRequest(CanvasPoint Center);
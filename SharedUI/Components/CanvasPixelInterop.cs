@@ -0,0 +1,32 @@
+using System.Runtime.InteropServices.JavaScript;
+using System.Runtime.Versioning;
+
+namespace SharedUI.Components;
+
+/// <summary>
+/// WebAssembly-only pixel path for mogeCanvas: JS reads the RGBA bytes through a MemoryView over the .NET heap and
+/// copies them once into the ImageData buffer, instead of Blazor marshalling a byte[] copy first. The returned token
+/// stands in for the byte[] argument of the next setRawRgba/setLayer/setRawRgbaRegion/setCompareRgba call.
+/// </summary>
+[SupportedOSPlatform("browser")]
+internal static partial class CanvasPixelInterop
+{
+    private const string ModuleName = "moge-canvas-interop";
+
+    private static Task? _import;
+    private static long _nextToken;
+
+    // JSHost resolves module paths relative to _framework/.
+    public static Task EnsureImportedAsync()
+        => _import ??= JSHost.ImportAsync(ModuleName, "../_content/SharedUI/moge-canvas-interop.js");
+
+    public static string Stage(byte[] rgba)
+    {
+        var token = $"px{Interlocked.Increment(ref _nextToken)}";
+        StagePixels(token, rgba.AsSpan());
+        return token;
+    }
+
+    [JSImport("stagePixels", ModuleName)]
+    private static partial void StagePixels(string token, [JSMarshalAs<JSType.MemoryView>] Span<byte> pixels);
+}
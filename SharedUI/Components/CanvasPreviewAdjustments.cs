@@ -0,0 +1,12 @@
+namespace SharedUI.Components;
+
+/// <summary>
+/// Color adjustments the canvas renders on top of the current image while the filter pipeline is still running.
+/// </summary>
+public sealed record CanvasPreviewAdjustments(
+    double Brightness,
+    double Contrast,
+    double Saturation,
+    bool Invert,
+    bool Grayscale,
+    bool Sepia);
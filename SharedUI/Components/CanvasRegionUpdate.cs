@@ -0,0 +1,9 @@
+using SharedUI.Services;
+
+namespace SharedUI.Components;
+
+/// <summary>
+/// Hint that <see cref="Bytes"/> differs from <see cref="BaseBytes"/> only inside <see cref="Rect"/>,
+/// so the canvas can patch that area instead of re-uploading the whole image.
+/// </summary>
+public sealed record CanvasRegionUpdate(byte[] BaseBytes, byte[] Bytes, PixelRect Rect);
@@ -0,0 +1,7 @@
+namespace SharedUI.Components;
+
+/// <summary>
+/// An arbitrary selection (magic wand, similar colours, lasso) as a <see cref="Width"/> x <see cref="Height"/> mask,
+/// non-zero = selected. <see cref="ImageCanvas"/> outlines it with marching ants.
+/// </summary>
+public sealed record CanvasSelectionMask(int Width, int Height, byte[] Mask);
@@ -0,0 +1,15 @@
+namespace SharedUI.Components;
+
+/// <summary>
+/// What <see cref="ImageCanvas"/> currently shows: pan/zoom and view size in CSS px, image size in pixels.
+/// <see cref="ContentVersion"/> changes whenever the displayed pixels do.
+/// </summary>
+public sealed record CanvasViewport(
+    double Scale,
+    double OffsetX,
+    double OffsetY,
+    double ViewWidth,
+    double ViewHeight,
+    int ImageWidth,
+    int ImageHeight,
+    int ContentVersion);
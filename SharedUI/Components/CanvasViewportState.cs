@@ -0,0 +1,22 @@
+namespace SharedUI.Components;
+
+/// <summary>
+/// The latest <see cref="CanvasViewport"/> of an <see cref="ImageCanvas"/>. Components that follow pan and zoom
+/// (navigator, histogram) subscribe to <see cref="Changed"/> and re-render themselves, so the page holding the
+/// canvas isn't re-rendered on every step.
+/// </summary>
+public sealed class CanvasViewportState
+{
+    public event Action? Changed;
+
+    public CanvasViewport? Current { get; private set; }
+
+    public void Set(CanvasViewport viewport)
+    {
+        if (viewport == Current)
+            return;
+
+        Current = viewport;
+        Changed?.Invoke();
+    }
+}
@@ -1,6 +1,7 @@
 using Microsoft.AspNetCore.Components;
 using Microsoft.AspNetCore.Components.Web;
 using Microsoft.JSInterop;
+using SharedUI.Services;
 using SharedUI.Services.Raw;
 using SharedUI.Services.Settings;
 
@@ -17,6 +18,8 @@ public partial class ImageCanvas : IDisposable
 
     [Parameter] public CanvasInteractionMode InteractionMode { get; set; } = CanvasInteractionMode.PanZoom;
     [Parameter] public int BrushRadius { get; set; } = 8;
+    // Live ink color for brush/eraser drags (ApplyStroke's default white brush when unset).
+    [Parameter] public Rgba32? StrokeColor { get; set; }
     [Parameter] public EventCallback<CanvasStroke> StrokeCommitted { get; set; }
 
     [Parameter] public bool EnableHandles { get; set; }
@@ -28,17 +31,72 @@ public partial class ImageCanvas : IDisposable
     [Parameter] public bool OverlayDashed { get; set; }
     [Parameter] public IReadOnlyList<CanvasPoint>? OverlayHandles { get; set; }
 
+    // Drawn as marching ants; compared by reference, so pass the same instance until the selection changes.
+    [Parameter] public CanvasSelectionMask? SelectionMask { get; set; }
+
     [Parameter] public bool ShowOverlayPolygon { get; set; }
     [Parameter] public bool OverlayPolygonDashed { get; set; }
     [Parameter] public IReadOnlyList<CanvasPoint>? OverlayPolygonPoints { get; set; }
 
     [Parameter] public EventCallback<CanvasPoint> CanvasClicked { get; set; }
 
+    // Eyedropper: averaged square size (image px) and the layer to read (null = the drawn composite).
+    [Parameter] public int EyedropperSize { get; set; } = 1;
+    [Parameter] public Guid? EyedropperLayerId { get; set; }
+    [Parameter] public EventCallback<CanvasColorSample> ColorSampled { get; set; }
+
+    [Parameter] public CanvasPreviewAdjustments? PreviewAdjustments { get; set; }
+
+    // Bottom -> top. With two or more raw-backed layers the canvas composites them itself and ImageBytes is ignored.
+    [Parameter] public IReadOnlyList<CanvasLayer>? Layers { get; set; }
+
+    // Set by small-area edits so only the changed rectangle is re-sent (single surface or matching layer).
+    [Parameter] public CanvasRegionUpdate? RegionUpdate { get; set; }
+
     [Parameter] public EventCallback<ElementReference> CanvasReady { get; set; }
 
+    // Updated (throttled) after redraws that moved the view or changed the pixels, e.g. for a navigator.
+    [Parameter] public CanvasViewportState? Viewport { get; set; }
+    [Parameter] public CanvasPanRequest? PanRequest { get; set; }
+
+    // Layout guides (image px). Dragging out of the rulers adds one; dragging one back onto a ruler removes it.
+    [Parameter] public IReadOnlyList<CanvasGuide>? Guides { get; set; }
+    [Parameter] public EventCallback<IReadOnlyList<CanvasGuide>> GuidesChanged { get; set; }
+
+    // Before/after comparison; null (or Mode Off) shows only the current image.
+    [Parameter] public CanvasCompareView? Compare { get; set; }
+
+    // Raised when the before image of Compare cannot be shown (its pixels are gone).
+    [Parameter] public EventCallback CompareUnavailable { get; set; }
+
     private ElementReference _canvas;
 
     private byte[]? _lastBytes;
+    private CanvasPreviewAdjustments? _lastPreview;
+
+    // What the single raw surface currently holds; the pixel array lets repeated tokens for the same buffer skip the upload.
+    private string? _lastRawSignature;
+    private byte[]? _lastRawPixels;
+
+    private int _contentVersion;
+    private CanvasViewport? _lastViewport;
+    private bool _viewportQueued;
+    private CanvasPanRequest? _lastPanRequest;
+    private IReadOnlyList<CanvasGuide>? _lastGuides;
+    private CanvasCompareView? _lastCompare;
+    private CanvasSelectionMask? _lastSelectionMask;
+    private byte[]? _compareBytes;
+    private bool _compareLoaded;
+    // Divider position as a fraction of the canvas width (vertical split) or height (horizontal split).
+    private double _compareDivider = 0.5;
+    private DomRect? _compareDragRect;
+    private bool _disposed;
+
+    private bool _layerMode;
+    private readonly Dictionary<Guid, string> _layerSignatures = new();
+    private readonly Dictionary<Guid, byte[]> _layerPixels = new();
+    private readonly Dictionary<Guid, bool> _layerVisibility = new();
+    private readonly List<Guid> _layerOrder = new();
 
     private int _imagePixelWidth;
     private int _imagePixelHeight;
@@ -76,6 +134,33 @@ public partial class ImageCanvas : IDisposable
     private double _touchInertiaStopSpeed = 0.01;
     private double _touchInertiaDecayPer16ms = 0.92;
 
+    private CanvasRenderBackend _renderBackend = CanvasRenderBackend.Canvas2D;
+    private int _checkerSize = 8;
+    private string _checkerLightColor = "#ffffff";
+    private string _checkerDarkColor = "#cccccc";
+    private string _backdropColor = "#808080";
+    private double _nearestNeighborZoom = 4.0;
+    private double _pixelGridZoom = 8.0;
+    private bool _showRulers = true;
+    private int _snapDistance = 8;
+
+    // Ruler band width and how close (screen px) the pointer must be to grab a guide or the compare divider.
+    private const double RulerSize = 20;
+    private const double GuideGrabDistance = 4;
+    private const double CompareGrabDistance = 6;
+
+    private sealed class GuideDrag
+    {
+        public CanvasGuideOrientation Orientation { get; init; }
+        // Index into Guides, or -1 for a guide being pulled out of a ruler.
+        public int Index { get; init; }
+        public DomRect Rect { get; init; } = default!;
+        public double Position { get; set; }
+        public bool Remove { get; set; }
+    }
+
+    private GuideDrag? _guideDrag;
+
     private bool _drawing;
     private readonly List<CanvasPoint> _strokePoints = new();
     private DomRect? _strokeRect;
@@ -92,12 +177,16 @@ public partial class ImageCanvas : IDisposable
     {
         await Settings.InitializeAsync();
         ApplyTouchSettings(Settings.Current);
+        ApplyRenderSettings(Settings.Current);
         Settings.Changed += OnSettingsChanged;
     }
 
     private void OnSettingsChanged(AppSettings s)
     {
         ApplyTouchSettings(s);
+
+        if (ApplyRenderSettings(s))
+            _ = InvokeAsync(RedrawAsync);
     }
 
     private void ApplyTouchSettings(AppSettings s)
@@ -115,57 +204,369 @@ public partial class ImageCanvas : IDisposable
             CancelInertia();
     }
 
+    private bool ApplyRenderSettings(AppSettings s)
+    {
+        var checkerSize = Math.Clamp(s.CanvasCheckerSize, 2, 64);
+        var nearestNeighborZoom = Math.Clamp(s.CanvasNearestNeighborZoom, 1.0, 32.0);
+        var pixelGridZoom = Math.Clamp(s.CanvasPixelGridZoom, 2.0, 50.0);
+        var snapDistance = Math.Clamp(s.CanvasSnapDistance, 0, 32);
+
+        var changed = _renderBackend != s.CanvasRenderer
+            || _checkerSize != checkerSize
+            || _checkerLightColor != s.CanvasCheckerLightColor
+            || _checkerDarkColor != s.CanvasCheckerDarkColor
+            || _backdropColor != s.CanvasBackdropColor
+            || _nearestNeighborZoom != nearestNeighborZoom
+            || _pixelGridZoom != pixelGridZoom
+            || _showRulers != s.CanvasShowRulers;
+
+        _renderBackend = s.CanvasRenderer;
+        _checkerSize = checkerSize;
+        _checkerLightColor = s.CanvasCheckerLightColor;
+        _checkerDarkColor = s.CanvasCheckerDarkColor;
+        _backdropColor = s.CanvasBackdropColor;
+        _nearestNeighborZoom = nearestNeighborZoom;
+        _pixelGridZoom = pixelGridZoom;
+        _showRulers = s.CanvasShowRulers;
+        _snapDistance = snapDistance;
+        return changed;
+    }
+
     protected override async Task OnParametersSetAsync()
     {
+        await ApplyPanRequestAsync();
+
+        var guidesChanged = !ReferenceEquals(Guides, _lastGuides);
+        _lastGuides = Guides;
+
+        var compareChanged = await SyncCompareAsync();
+        var selectionChanged = await SyncSelectionMaskAsync();
+        var overlayChanged = compareChanged || selectionChanged || guidesChanged;
+
+        if (await TrySyncLayersAsync(overlayChanged))
+            return;
+
         if (ReferenceEquals(ImageBytes, _lastBytes))
+        {
+            if (overlayChanged || !Equals(PreviewAdjustments, _lastPreview))
+            {
+                _lastPreview = PreviewAdjustments;
+                if (_imagePixelWidth > 0)
+                    await RedrawAsync();
+            }
+
             return;
+        }
 
         _lastBytes = ImageBytes;
+        _lastPreview = PreviewAdjustments;
 
         if (ImageBytes is null || ImageBytes.Length == 0)
         {
             await Js.InvokeVoidAsync("mogeCanvas.clear", _canvas);
+            ResetRawSurface();
             _scale = 1;
             _offsetX = 0;
             _offsetY = 0;
             _imagePixelWidth = 0;
             _imagePixelHeight = 0;
+            _contentVersion++;
+            await RedrawAsync();
             return;
         }
 
-        // Raw-token path (no OpenCV encoder available): render using cached RGBA pixels.
+        // Cached RGBA pixels (raw tokens, and files the browser picker already decoded): render those instead of
+        // sending the encoded bytes back to be decoded again.
         // Note: Some hosts (e.g., Hybrid) may not register an IRawImageProvider; treat it as optional.
-        if (RawToken.IsToken(ImageBytes))
+        if (Services.GetService(typeof(IRawImageProvider)) is IRawImageProvider rawProvider)
         {
-            var rawProvider = Services.GetService(typeof(IRawImageProvider)) as IRawImageProvider;
+            await RestoreRawAsync(ImageBytes);
             var sig = ImageSignature.Create(ImageBytes);
-            if (rawProvider is not null && rawProvider.TryGet(sig, out var raw) && raw.RgbaBytes is { Length: > 0 })
+            if (rawProvider.TryGet(sig, out var raw) && raw.RgbaBytes is { Length: > 0 })
             {
-                await Js.InvokeVoidAsync("mogeCanvas.setRawRgba", _canvas, raw.Width, raw.Height, raw.RgbaBytes);
+                if (!ReferenceEquals(raw.RgbaBytes, _lastRawPixels))
+                    await UploadRawAsync(raw, sig, _lastRawSignature, layerId: null);
+
+                _lastRawSignature = sig;
+                _lastRawPixels = raw.RgbaBytes;
                 _imagePixelWidth = raw.Width;
                 _imagePixelHeight = raw.Height;
                 await RedrawAsync();
                 return;
             }
+        }
 
+        if (RawToken.IsToken(ImageBytes))
+        {
             // Raw token without a cached RGBA payload: do not fall back to browser image decoding.
             await Js.InvokeVoidAsync("mogeCanvas.clear", _canvas);
+            ResetRawSurface();
             _scale = 1;
             _offsetX = 0;
             _offsetY = 0;
             _imagePixelWidth = 0;
             _imagePixelHeight = 0;
+            _contentVersion++;
+            await RedrawAsync();
             return;
         }
 
         var ct = InferContentType(ImageBytes, ContentType);
         var dataUrl = $"data:{ct};base64,{Convert.ToBase64String(ImageBytes)}";
         var info = await Js.InvokeAsync<ImageInfo>("mogeCanvas.setImage", _canvas, dataUrl);
+        ResetRawSurface();
+        _contentVersion++;
         _imagePixelWidth = Math.Max(0, info.width);
         _imagePixelHeight = Math.Max(0, info.height);
         await RedrawAsync();
     }
 
+    // Uploads the before image when it changes; returns true when the compare view needs a redraw.
+    private async Task<bool> SyncCompareAsync()
+    {
+        if (ReferenceEquals(Compare, _lastCompare))
+            return false;
+
+        var previous = _lastCompare;
+        _lastCompare = Compare;
+
+        if (Compare is not { Mode: not CanvasCompareMode.Off } compare)
+        {
+            _compareDragRect = null;
+            return previous is { Mode: not CanvasCompareMode.Off };
+        }
+
+        if (previous?.Horizontal != compare.Horizontal)
+            _compareDivider = 0.5;
+
+        if (!ReferenceEquals(compare.BeforeBytes, _compareBytes))
+        {
+            _compareBytes = compare.BeforeBytes;
+            _compareLoaded = await UploadCompareAsync(compare.BeforeBytes);
+            if (!_compareLoaded)
+                await CompareUnavailable.InvokeAsync();
+        }
+
+        return true;
+    }
+
+    private async Task<bool> SyncSelectionMaskAsync()
+    {
+        if (ReferenceEquals(SelectionMask, _lastSelectionMask))
+            return false;
+
+        _lastSelectionMask = SelectionMask;
+        if (SelectionMask is { } selection)
+            await Js.InvokeAsync<bool>("mogeCanvas.setSelectionMask", _canvas, selection.Width, selection.Height, selection.Mask);
+        else
+            await Js.InvokeVoidAsync("mogeCanvas.clearSelectionMask", _canvas);
+
+        return true;
+    }
+
+    private async Task<bool> UploadCompareAsync(byte[] bytes)
+    {
+        if (bytes.Length == 0)
+        {
+            await Js.InvokeVoidAsync("mogeCanvas.clearCompare", _canvas);
+            return false;
+        }
+
+        await RestoreRawAsync(bytes);
+        if (Services.GetService(typeof(IRawImageProvider)) is IRawImageProvider rawProvider
+            && rawProvider.TryGet(ImageSignature.Create(bytes), out var raw) && raw.RgbaBytes is { Length: > 0 })
+        {
+            await Js.InvokeVoidAsync("mogeCanvas.setCompareRgba", _canvas, raw.Width, raw.Height, await ToJsPixelsAsync(raw.RgbaBytes));
+            return true;
+        }
+
+        if (RawToken.IsToken(bytes))
+        {
+            await Js.InvokeVoidAsync("mogeCanvas.clearCompare", _canvas);
+            return false;
+        }
+
+        var ct = InferContentType(bytes, ContentType);
+        await Js.InvokeAsync<ImageInfo>("mogeCanvas.setCompareImage", _canvas, $"data:{ct};base64,{Convert.ToBase64String(bytes)}");
+        return true;
+    }
+
+    private async Task<bool> TrySyncLayersAsync(bool forceRedraw)
+    {
+        if (Layers is { Count: > 1 })
+        {
+            foreach (var layer in Layers)
+                await RestoreRawAsync(layer.Bytes);
+        }
+
+        var resolved = ResolveLayers();
+        if (resolved is null)
+        {
+            if (_layerMode)
+            {
+                // Back to a single surface: drop the JS layer stack and force ImageBytes to be re-sent.
+                await Js.InvokeVoidAsync("mogeCanvas.clearLayers", _canvas);
+                _layerMode = false;
+                _layerSignatures.Clear();
+                _layerPixels.Clear();
+                _layerVisibility.Clear();
+                _layerOrder.Clear();
+                _lastBytes = null;
+            }
+
+            return false;
+        }
+
+        var changed = !_layerMode;
+        _layerMode = true;
+
+        // Only layers whose pixels changed cross interop; visibility and order are flags on the JS side.
+        foreach (var (layer, raw, signature) in resolved)
+        {
+            var id = layer.Id.ToString();
+
+            _layerSignatures.TryGetValue(layer.Id, out var uploaded);
+            if (uploaded != signature)
+            {
+                if (!_layerPixels.TryGetValue(layer.Id, out var pixels) || !ReferenceEquals(pixels, raw.RgbaBytes))
+                {
+                    await UploadRawAsync(raw, signature, uploaded, id);
+                    changed = true;
+                }
+
+                _layerSignatures[layer.Id] = signature;
+                _layerPixels[layer.Id] = raw.RgbaBytes;
+            }
+
+            if (!_layerVisibility.TryGetValue(layer.Id, out var visible) || visible != layer.Visible)
+            {
+                await Js.InvokeVoidAsync("mogeCanvas.setLayerVisibility", _canvas, id, layer.Visible);
+                _layerVisibility[layer.Id] = layer.Visible;
+                changed = true;
+            }
+        }
+
+        foreach (var removed in _layerSignatures.Keys.Where(id => resolved.All(r => r.Layer.Id != id)).ToArray())
+        {
+            await Js.InvokeVoidAsync("mogeCanvas.removeLayer", _canvas, removed.ToString());
+            _layerSignatures.Remove(removed);
+            _layerPixels.Remove(removed);
+            _layerVisibility.Remove(removed);
+            changed = true;
+        }
+
+        var order = resolved.Select(r => r.Layer.Id).ToArray();
+        if (!_layerOrder.SequenceEqual(order))
+        {
+            await Js.InvokeVoidAsync("mogeCanvas.setLayerOrder", _canvas, order.Select(id => id.ToString()).ToArray());
+            _layerOrder.Clear();
+            _layerOrder.AddRange(order);
+            changed = true;
+        }
+
+        _lastBytes = ImageBytes;
+        _imagePixelWidth = resolved[0].Raw.Width;
+        _imagePixelHeight = resolved[0].Raw.Height;
+
+        if (changed)
+            _contentVersion++;
+
+        if (changed || forceRedraw || !Equals(PreviewAdjustments, _lastPreview))
+        {
+            _lastPreview = PreviewAdjustments;
+            await RedrawAsync();
+        }
+
+        return true;
+    }
+
+    // Sends pixels to the single raw surface (layerId null) or to a layer surface. When RegionUpdate describes the
+    // step from the previously uploaded pixels, only its rectangle is patched; otherwise the whole image goes across.
+    private async Task UploadRawAsync(RawRgbaImage raw, string signature, string? previousSignature, string? layerId)
+    {
+        _contentVersion++;
+
+        if (TryGetRegion(raw, signature, previousSignature, out var rect))
+        {
+            var patch = RgbaImageOps.Crop(raw, rect.X, rect.Y, rect.Width, rect.Height);
+            if (await Js.InvokeAsync<bool>("mogeCanvas.setRawRgbaRegion", _canvas, rect.X, rect.Y, patch.Width, patch.Height, await ToJsPixelsAsync(patch.RgbaBytes), layerId))
+                return;
+        }
+
+        if (layerId is null)
+            await Js.InvokeVoidAsync("mogeCanvas.setRawRgba", _canvas, raw.Width, raw.Height, await ToJsPixelsAsync(raw.RgbaBytes));
+        else
+            await Js.InvokeVoidAsync("mogeCanvas.setLayer", _canvas, layerId, raw.Width, raw.Height, await ToJsPixelsAsync(raw.RgbaBytes));
+    }
+
+    // On WebAssembly the pixels are staged straight from the .NET heap and passed by token (CanvasPixelInterop);
+    // elsewhere, or if the module can't be imported, the byte[] is marshalled as usual.
+    private static async ValueTask<object> ToJsPixelsAsync(byte[] rgba)
+    {
+        if (!OperatingSystem.IsBrowser())
+            return rgba;
+
+        try
+        {
+            await CanvasPixelInterop.EnsureImportedAsync();
+            return CanvasPixelInterop.Stage(rgba);
+        }
+        catch
+        {
+            // Stale static assets or a failed import: the plain byte[] path still works.
+            return rgba;
+        }
+    }
+
+    private bool TryGetRegion(RawRgbaImage raw, string signature, string? previousSignature, out PixelRect rect)
+    {
+        rect = default;
+        if (RegionUpdate is not { } update || previousSignature is null || update.Rect.IsEmpty)
+            return false;
+
+        if (ImageSignature.Create(update.Bytes) != signature || ImageSignature.Create(update.BaseBytes) != previousSignature)
+            return false;
+
+        rect = PixelRect.FromEdges(update.Rect.X, update.Rect.Y, update.Rect.X + update.Rect.Width, update.Rect.Y + update.Rect.Height, raw.Width, raw.Height);
+        return !rect.IsEmpty;
+    }
+
+    private void ResetRawSurface()
+    {
+        _lastRawSignature = null;
+        _lastRawPixels = null;
+    }
+
+    // Browser: a file whose cached pixels were evicted is decoded again, so it is never handed to setImage (which
+    // cannot show formats like HEIC in most browsers). No-op on hosts without an IRawImageRestorer.
+    private async Task RestoreRawAsync(byte[] bytes)
+    {
+        if (Services.GetService(typeof(IRawImageRestorer)) is IRawImageRestorer restorer)
+            await restorer.TryRestoreAsync(bytes);
+    }
+
+    private List<(CanvasLayer Layer, RawRgbaImage Raw, string Signature)>? ResolveLayers()
+    {
+        if (Layers is not { Count: > 1 })
+            return null;
+
+        // Every layer needs cached RGBA pixels (browser runtime); otherwise fall back to the flattened ImageBytes.
+        if (Services.GetService(typeof(IRawImageProvider)) is not IRawImageProvider rawProvider)
+            return null;
+
+        var resolved = new List<(CanvasLayer Layer, RawRgbaImage Raw, string Signature)>(Layers.Count);
+        foreach (var layer in Layers)
+        {
+            var sig = ImageSignature.Create(layer.Bytes);
+            if (!rawProvider.TryGet(sig, out var raw) || raw.RgbaBytes is not { Length: > 0 })
+                return null;
+
+            resolved.Add((layer, raw, sig));
+        }
+
+        return resolved;
+    }
+
     private void ClampPanZoomToCanvas(DomRect rect)
     {
         if (_imagePixelWidth <= 0 || _imagePixelHeight <= 0)
@@ -274,6 +675,9 @@ public partial class ImageCanvas : IDisposable
 
     private async Task OnPointerDown(PointerEventArgs e)
     {
+        // pointerdown's default is prevented, so the canvas takes focus itself (MainLayout's Ctrl+C / Ctrl+X check it).
+        await _canvas.FocusAsync(preventScroll: true);
+
         if (ImageBytes is null || ImageBytes.Length == 0)
             return;
 
@@ -285,7 +689,13 @@ public partial class ImageCanvas : IDisposable
         if (_dragHandleIndex is not null)
             return;
 
-        if (InteractionMode is CanvasInteractionMode.MagicWand or CanvasInteractionMode.Text)
+        if (await TryBeginCompareDragAsync(e))
+            return;
+
+        if (await TryBeginGuideDragAsync(e))
+            return;
+
+        if (InteractionMode is CanvasInteractionMode.MagicWand or CanvasInteractionMode.Text or CanvasInteractionMode.Eyedropper)
         {
             _clickCandidate = true;
             _clickDownClientX = e.ClientX;
@@ -316,6 +726,13 @@ public partial class ImageCanvas : IDisposable
 
             var p = ClientToImagePoint(e.ClientX, e.ClientY, _strokeRect);
             _strokePoints.Add(p);
+
+            if (InteractionMode != CanvasInteractionMode.LassoSelection)
+            {
+                await Js.InvokeVoidAsync("mogeCanvas.beginStroke", _canvas, Math.Clamp(BrushRadius, 1, 64), GetStrokeInkCss());
+                await Js.InvokeVoidAsync("mogeCanvas.addStrokePoint", _canvas, p.X, p.Y);
+            }
+
             return;
         }
 
@@ -348,6 +765,20 @@ public partial class ImageCanvas : IDisposable
             return;
         }
 
+        if (_compareDragRect is not null)
+        {
+            UpdateCompareDrag(_compareDragRect, e);
+            await DrawAsync();
+            return;
+        }
+
+        if (_guideDrag is not null)
+        {
+            UpdateGuideDrag(_guideDrag, e);
+            await RedrawAsync();
+            return;
+        }
+
         if (_pinching)
         {
             if (_panZoomRect is null)
@@ -374,23 +805,19 @@ public partial class ImageCanvas : IDisposable
                 _strokeRect = await Js.InvokeAsync<DomRect>("mogeCanvas.getRect", _canvas);
 
             var p = ClientToImagePoint(e.ClientX, e.ClientY, _strokeRect);
-            if (_strokePoints.Count == 0)
+            if (_strokePoints.Count > 0)
             {
-                _strokePoints.Add(p);
-                // For lasso, trigger re-render to show live preview
-                if (InteractionMode == CanvasInteractionMode.LassoSelection)
-                    StateHasChanged();
-                return;
+                var last = _strokePoints[^1];
+                if (Math.Abs(p.X - last.X) < 0.5 && Math.Abs(p.Y - last.Y) < 0.5)
+                    return;
             }
 
-            var last = _strokePoints[^1];
-            if (Math.Abs(p.X - last.X) < 0.5 && Math.Abs(p.Y - last.Y) < 0.5)
-                return;
-
             _strokePoints.Add(p);
-            // For lasso, trigger re-render to show live preview
+            // For lasso, trigger re-render to show live preview; brush/eraser ink is drawn by mogeCanvas.
             if (InteractionMode == CanvasInteractionMode.LassoSelection)
                 StateHasChanged();
+            else
+                await Js.InvokeVoidAsync("mogeCanvas.addStrokePoint", _canvas, p.X, p.Y);
             return;
         }
 
@@ -438,11 +865,11 @@ public partial class ImageCanvas : IDisposable
             var rect = _clickRect ?? await Js.InvokeAsync<DomRect>("mogeCanvas.getRect", _canvas);
             _clickRect = null;
 
-            if (CanvasClicked.HasDelegate)
-            {
-                var p = ClientToImagePoint(e.ClientX, e.ClientY, rect);
+            var p = ClientToImagePoint(e.ClientX, e.ClientY, rect);
+            if (InteractionMode == CanvasInteractionMode.Eyedropper)
+                await SampleColorAsync(p, e.AltKey);
+            else if (CanvasClicked.HasDelegate)
                 await CanvasClicked.InvokeAsync(p);
-            }
 
             _panning = false;
             _dragHandleIndex = null;
@@ -451,11 +878,27 @@ public partial class ImageCanvas : IDisposable
             return;
         }
 
+        if (_compareDragRect is not null)
+        {
+            _compareDragRect = null;
+            return;
+        }
+
+        if (_guideDrag is { } guideDrag)
+        {
+            _guideDrag = null;
+            await CommitGuideDragAsync(guideDrag);
+            await RedrawAsync();
+            return;
+        }
+
         if (_drawing)
         {
             _drawing = false;
             _strokeRect = null;
 
+            await Js.InvokeVoidAsync("mogeCanvas.endStroke", _canvas);
+
             if (_strokePoints.Count >= 1)
             {
                 var stroke = new CanvasStroke(InteractionMode, _strokePoints.ToArray());
@@ -467,6 +910,10 @@ public partial class ImageCanvas : IDisposable
                 _strokePoints.Clear();
             }
 
+            // Normally the new pixels already replaced the ink; this covers strokes that failed or changed nothing.
+            if (await Js.InvokeAsync<bool>("mogeCanvas.clearStroke", _canvas))
+                await RedrawAsync();
+
             _panning = false;
             _dragHandleIndex = null;
             _cachedRect = null;
@@ -509,6 +956,25 @@ public partial class ImageCanvas : IDisposable
         await Task.CompletedTask;
     }
 
+    private async Task SampleColorAsync(CanvasPoint p, bool background)
+    {
+        if (!ColorSampled.HasDelegate || p.X < 0 || p.Y < 0 || p.X >= _imagePixelWidth || p.Y >= _imagePixelHeight)
+            return;
+
+        var size = Math.Clamp(EyedropperSize, 1, 64);
+        var sample = await Js.InvokeAsync<SampledColor?>("mogeCanvas.samplePixel", _canvas, p.X, p.Y, size, EyedropperLayerId?.ToString());
+        var color = sample is null ? (Rgba32?)null : new Rgba32(sample.r, sample.g, sample.b, sample.a);
+        await ColorSampled.InvokeAsync(new CanvasColorSample(p, color, background));
+    }
+
+    private string? GetStrokeInkCss()
+    {
+        if (StrokeColor is not { } c)
+            return InteractionMode == CanvasInteractionMode.Eraser ? null : "#ffffff";
+
+        return $"#{c.R:x2}{c.G:x2}{c.B:x2}";
+    }
+
     private string GetCanvasCursorCss()
     {
         return InteractionMode switch
@@ -519,6 +985,7 @@ public partial class ImageCanvas : IDisposable
             CanvasInteractionMode.MagicWand => "crosshair",
             CanvasInteractionMode.Text => "text",
             CanvasInteractionMode.LassoSelection => "crosshair",
+            CanvasInteractionMode.Eyedropper => "crosshair",
             _ => "default"
         };
     }
@@ -566,7 +1033,7 @@ public partial class ImageCanvas : IDisposable
         var imageY = (y - _offsetY) / _scale;
 
         var updated = Handles.ToArray();
-        updated[dragIndex] = new CanvasPoint(imageX, imageY);
+        updated[dragIndex] = SnapToGuides(new CanvasPoint(imageX, imageY));
 
         // When handles represent an axis-aligned rectangle (crop), dragging one corner should move the
         // corresponding edges (so the rectangle can shrink/grow with a single corner drag).
@@ -622,8 +1089,279 @@ public partial class ImageCanvas : IDisposable
         await HandlesChanged.InvokeAsync(updated);
     }
 
-    private Task RedrawAsync()
-        => Js.InvokeAsync<object>("mogeCanvas.draw", _canvas, new { scale = _scale, offsetX = _offsetX, offsetY = _offsetY }).AsTask();
+    private async Task<bool> TryBeginCompareDragAsync(PointerEventArgs e)
+    {
+        if (GetCompareMode() != "split" || _activePointers.Count > 1)
+            return false;
+
+        // The divider can be grabbed in any tool, so it is never hidden behind a brush or selection.
+        var rect = await Js.InvokeAsync<DomRect>("mogeCanvas.getRect", _canvas);
+        var horizontal = Compare!.Horizontal;
+        var at = horizontal ? rect.height * _compareDivider : rect.width * _compareDivider;
+        var pointer = horizontal ? e.ClientY - rect.top : e.ClientX - rect.left;
+        if (Math.Abs(pointer - at) > CompareGrabDistance)
+            return false;
+
+        _compareDragRect = rect;
+        return true;
+    }
+
+    private void UpdateCompareDrag(DomRect rect, PointerEventArgs e)
+    {
+        var horizontal = Compare?.Horizontal == true;
+        var extent = Math.Max(1.0, horizontal ? rect.height : rect.width);
+        var pointer = horizontal ? e.ClientY - rect.top : e.ClientX - rect.left;
+        _compareDivider = Math.Clamp(pointer / extent, 0.0, 1.0);
+    }
+
+    // JS compare mode, or null when there is nothing to compare against.
+    private string? GetCompareMode()
+    {
+        if (!_compareLoaded || _imagePixelWidth <= 0 || _imagePixelHeight <= 0)
+            return null;
+
+        return Compare?.Mode switch
+        {
+            CanvasCompareMode.Split => "split",
+            CanvasCompareMode.Before => "before",
+            _ => null
+        };
+    }
+
+    private async Task<bool> TryBeginGuideDragAsync(PointerEventArgs e)
+    {
+        if (!GuidesChanged.HasDelegate || _activePointers.Count > 1 || _imagePixelWidth <= 0 || _imagePixelHeight <= 0)
+            return false;
+
+        // Existing guides can only be grabbed in pan/zoom mode so they don't get in the way of painting.
+        var grabExisting = InteractionMode == CanvasInteractionMode.PanZoom && Guides is { Count: > 0 };
+        if (!_showRulers && !grabExisting)
+            return false;
+
+        var rect = await Js.InvokeAsync<DomRect>("mogeCanvas.getRect", _canvas);
+        var x = e.ClientX - rect.left;
+        var y = e.ClientY - rect.top;
+
+        if (_showRulers && (x < RulerSize || y < RulerSize))
+        {
+            // The corner square does nothing; the top ruler gives horizontal guides, the left one vertical guides.
+            if (x >= RulerSize || y >= RulerSize)
+            {
+                _guideDrag = new GuideDrag
+                {
+                    Orientation = y < RulerSize ? CanvasGuideOrientation.Horizontal : CanvasGuideOrientation.Vertical,
+                    Index = -1,
+                    Rect = rect
+                };
+                UpdateGuideDrag(_guideDrag, e);
+                await RedrawAsync();
+            }
+
+            return true;
+        }
+
+        if (!grabExisting)
+            return false;
+
+        var bestIndex = -1;
+        var bestDistance = GuideGrabDistance;
+        for (var i = 0; i < Guides!.Count; i++)
+        {
+            var guide = Guides[i];
+            var distance = guide.Orientation == CanvasGuideOrientation.Vertical
+                ? Math.Abs(_offsetX + (guide.Position * _scale) - x)
+                : Math.Abs(_offsetY + (guide.Position * _scale) - y);
+            if (distance <= bestDistance)
+            {
+                bestIndex = i;
+                bestDistance = distance;
+            }
+        }
+
+        if (bestIndex < 0)
+            return false;
+
+        _guideDrag = new GuideDrag
+        {
+            Orientation = Guides[bestIndex].Orientation,
+            Index = bestIndex,
+            Rect = rect,
+            Position = Guides[bestIndex].Position
+        };
+        return true;
+    }
+
+    private void UpdateGuideDrag(GuideDrag drag, PointerEventArgs e)
+    {
+        var p = ClientToImagePoint(e.ClientX, e.ClientY, drag.Rect);
+        var vertical = drag.Orientation == CanvasGuideOrientation.Vertical;
+        var position = Math.Round(vertical ? p.X : p.Y);
+        var extent = vertical ? _imagePixelWidth : _imagePixelHeight;
+
+        // Dropped back onto its ruler or outside the image: the guide goes away.
+        var overRuler = _showRulers && (vertical ? e.ClientX - drag.Rect.left : e.ClientY - drag.Rect.top) < RulerSize;
+        drag.Remove = overRuler || position < 0 || position > extent;
+        drag.Position = Math.Clamp(position, 0, extent);
+    }
+
+    private async Task CommitGuideDragAsync(GuideDrag drag)
+    {
+        var guides = Guides?.ToList() ?? new List<CanvasGuide>();
+        var inRange = (uint)drag.Index < (uint)guides.Count;
+
+        if (drag.Remove)
+        {
+            if (!inRange)
+                return;
+
+            guides.RemoveAt(drag.Index);
+        }
+        else if (inRange)
+        {
+            guides[drag.Index] = guides[drag.Index] with { Position = drag.Position };
+        }
+        else
+        {
+            guides.Add(new CanvasGuide(drag.Orientation, drag.Position));
+        }
+
+        await GuidesChanged.InvokeAsync(guides.ToArray());
+    }
+
+    // Guides as drawn, including the one being dragged (hidden while it would be removed).
+    private object[] GetDrawGuides()
+    {
+        var guides = new List<object>();
+        if (Guides is not null)
+        {
+            for (var i = 0; i < Guides.Count; i++)
+            {
+                if (_guideDrag is { } d && d.Index == i)
+                    continue;
+
+                guides.Add(new { vertical = Guides[i].Orientation == CanvasGuideOrientation.Vertical, position = Guides[i].Position });
+            }
+        }
+
+        if (_guideDrag is { Remove: false } drag)
+            guides.Add(new { vertical = drag.Orientation == CanvasGuideOrientation.Vertical, position = drag.Position });
+
+        return guides.ToArray();
+    }
+
+    // Snaps a handle to guides and image edges within the configured screen distance, per axis.
+    private CanvasPoint SnapToGuides(CanvasPoint p)
+    {
+        if (_snapDistance <= 0 || _scale <= 0)
+            return p;
+
+        var limit = _snapDistance / _scale;
+        return new CanvasPoint(
+            SnapCoordinate(p.X, limit, CanvasGuideOrientation.Vertical, _imagePixelWidth),
+            SnapCoordinate(p.Y, limit, CanvasGuideOrientation.Horizontal, _imagePixelHeight));
+    }
+
+    private double SnapCoordinate(double value, double limit, CanvasGuideOrientation orientation, int extent)
+    {
+        var best = value;
+        var bestDistance = limit;
+
+        void Consider(double target)
+        {
+            var distance = Math.Abs(value - target);
+            if (distance <= bestDistance)
+            {
+                best = target;
+                bestDistance = distance;
+            }
+        }
+
+        if (extent > 0)
+        {
+            Consider(0);
+            Consider(extent);
+        }
+
+        if (Guides is not null)
+        {
+            foreach (var guide in Guides)
+            {
+                if (guide.Orientation == orientation)
+                    Consider(guide.Position);
+            }
+        }
+
+        return best;
+    }
+
+    private async Task ApplyPanRequestAsync()
+    {
+        if (PanRequest is not { } request || ReferenceEquals(request, _lastPanRequest))
+            return;
+
+        _lastPanRequest = request;
+        if (_imagePixelWidth <= 0 || _imagePixelHeight <= 0)
+            return;
+
+        CancelInertia();
+
+        var rect = await Js.InvokeAsync<DomRect>("mogeCanvas.getRect", _canvas);
+        _offsetX = (rect.width / 2.0) - (request.Center.X * _scale);
+        _offsetY = (rect.height / 2.0) - (request.Center.Y * _scale);
+        ClampPanZoomToCanvas(rect);
+        await RedrawAsync();
+    }
+
+    private async Task RedrawAsync()
+    {
+        await DrawAsync();
+        QueueViewportChanged();
+    }
+
+    private void QueueViewportChanged()
+    {
+        if (Viewport is null || _viewportQueued || _disposed)
+            return;
+
+        // Pan and zoom redraw on every pointer move; report at most one viewport per interval.
+        _viewportQueued = true;
+        _ = InvokeAsync(async () =>
+        {
+            await Task.Delay(50);
+            _viewportQueued = false;
+            if (_disposed)
+                return;
+
+            var rect = await Js.InvokeAsync<DomRect>("mogeCanvas.getRect", _canvas);
+            var viewport = new CanvasViewport(_scale, _offsetX, _offsetY, rect.width, rect.height, _imagePixelWidth, _imagePixelHeight, _contentVersion);
+            if (viewport == _lastViewport)
+                return;
+
+            _lastViewport = viewport;
+            Viewport?.Set(viewport);
+        });
+    }
+
+    private Task DrawAsync()
+        => Js.InvokeAsync<object>("mogeCanvas.draw", _canvas, new
+        {
+            scale = _scale,
+            offsetX = _offsetX,
+            offsetY = _offsetY,
+            renderer = _renderBackend == CanvasRenderBackend.WebGL2 ? "webgl2" : "2d",
+            backdrop = _backdropColor,
+            checker = new { size = _checkerSize, light = _checkerLightColor, dark = _checkerDarkColor },
+            nearestZoom = _nearestNeighborZoom,
+            pixelGridZoom = _pixelGridZoom,
+            rulers = _showRulers ? RulerSize : 0,
+            guides = GetDrawGuides(),
+            compare = GetCompareMode() is { } compareMode
+                ? new { mode = compareMode, horizontal = Compare!.Horizontal, position = _compareDivider }
+                : null,
+            preview = PreviewAdjustments is { } p
+                ? new { brightness = p.Brightness, contrast = p.Contrast, saturation = p.Saturation, invert = p.Invert, grayscale = p.Grayscale, sepia = p.Sepia }
+                : null
+        }).AsTask();
 
     private void BeginPinch(DomRect rect)
     {
@@ -743,6 +1481,7 @@ public partial class ImageCanvas : IDisposable
 
     public void Dispose()
     {
+        _disposed = true;
         CancelInertia();
         Settings.Changed -= OnSettingsChanged;
     }
@@ -755,6 +1494,14 @@ public partial class ImageCanvas : IDisposable
         public double height { get; set; }
     }
 
+    private sealed class SampledColor
+    {
+        public byte r { get; set; }
+        public byte g { get; set; }
+        public byte b { get; set; }
+        public byte a { get; set; }
+    }
+
     private sealed class ImageInfo
     {
         public int width { get; set; }
@@ -1,18 +1,27 @@
 using Microsoft.AspNetCore.Components;
+using Microsoft.JSInterop;
 using MudBlazor;
 using SharedUI.Components.Dialogs;
 using SharedUI.Mvvm;
 using SharedUI.Logging;
 using SharedUI.Services;
+using SharedUI.Services.Raw;
+using SharedUI.Services.Settings;
 using SharedUI.ViewModels;
 
 namespace SharedUI.Pages;
 
-public partial class Editor : ViewModelComponentBase<EditorViewModel>
+public partial class Editor : ViewModelComponentBase<EditorViewModel>, IAsyncDisposable
 {
     [CascadingParameter] public SharedUI.Layout.MainLayout? Layout { get; set; }
 
     [Inject] private MogeLogService LogService { get; set; } = default!;
+    [Inject] private AppSettingsService Settings { get; set; } = default!;
+    [Inject] private IJSRuntime JS { get; set; } = default!;
+    [Inject] private IServiceProvider Services { get; set; } = default!;
+
+    private ElementReference _dropZone;
+    private DotNetObjectReference<Editor>? _dropZoneRef;
 
     private async Task<(string Text, int FontSize, int Thickness, string ColorHex, int Alpha)?> RequestTextInputAsync(
         string initialText, int fontSize, int thickness, string colorHex, int alpha)
@@ -96,10 +105,19 @@ public partial class Editor : ViewModelComponentBase<EditorViewModel>
         var baseName = FileNameUtil.GetSafeBaseName(Vm.FileName, "image");
         var initialName = baseName;
 
+        await Settings.InitializeAsync();
+
         var parameters = new DialogParameters
         {
             [nameof(SaveImageDialog.InitialFileName)] = initialName,
             [nameof(SaveImageDialog.InitialFormat)] = ImageExportFormat.Png,
+            [nameof(SaveImageDialog.SupportedFormats)] = await Vm.GetSupportedExportFormatsAsync(),
+            [nameof(SaveImageDialog.InitialQuality)] = Settings.Current.ExportQuality,
+            [nameof(SaveImageDialog.HasTransparency)] = await Vm.HasTransparencyAsync(),
+            [nameof(SaveImageDialog.InitialMatteColorHex)] = Vm.BackgroundColorHex,
+            [nameof(SaveImageDialog.InitialTitle)] = baseName,
+            [nameof(SaveImageDialog.HistorySummary)] = Vm.HistorySummary,
+            [nameof(SaveImageDialog.EstimateSize)] = new Func<ImageExportFormat, ImageExportOptions, CancellationToken, Task<long?>>(Vm.EstimateExportSizeAsync),
         };
 
         var options = new DialogOptions
@@ -120,11 +138,84 @@ public partial class Editor : ViewModelComponentBase<EditorViewModel>
         if (result.Data is not SaveImageDialog.Result data)
             return;
 
-        await Vm.SaveAsAsync(data.FileName, data.Format);
+        if (data.Format.GetDefaultQuality() is not null)
+            await Settings.UpdateAsync(s => s with { ExportQuality = data.Quality });
+
+        var metadata = data.Metadata with { Exif = GetExportExif() };
+        await Vm.SaveAsAsync(data.FileName, data.Format, new ImageExportOptions(data.Quality / 100.0, data.MatteColorHex, metadata));
+    }
+
+    // The opened file's EXIF block when the user keeps metadata on export (Settings / image info dialog).
+    private byte[]? GetExportExif()
+        => Settings.Current.ExportKeepMetadata ? Vm?.ImageMetadata?.Exif : null;
+
+    private async Task OnImageInfoClickedAsync()
+    {
+        if (Vm is null || !Vm.HasImage)
+            return;
+
+        if (DialogService is null)
+            return;
+
+        await Settings.InitializeAsync();
+
+        var parameters = new DialogParameters
+        {
+            [nameof(ImageInfoDialog.FileName)] = Vm.FileName,
+            [nameof(ImageInfoDialog.FileSizeBytes)] = Vm.FileSizeBytes,
+            [nameof(ImageInfoDialog.Width)] = Vm.ImageWidth,
+            [nameof(ImageInfoDialog.Height)] = Vm.ImageHeight,
+            [nameof(ImageInfoDialog.Metadata)] = Vm.ImageMetadata,
+            [nameof(ImageInfoDialog.KeepMetadata)] = Settings.Current.ExportKeepMetadata,
+        };
+
+        var options = new DialogOptions
+        {
+            CloseOnEscapeKey = true,
+            MaxWidth = MaxWidth.Small,
+            FullWidth = true
+        };
+
+        var dialog = await DialogService.ShowAsync<ImageInfoDialog>("Image info", parameters, options);
+        if (dialog is null)
+            return;
+
+        var result = await dialog.Result;
+        if (result is { Canceled: false, Data: ImageInfoDialog.Result data })
+            await Settings.UpdateAsync(s => s with { ExportKeepMetadata = data.KeepMetadata });
+    }
+
+    // Called by moge-dropzone.js; zone is the data-moge-drop-zone under the cursor ("document" or "layer").
+    [JSInvokable]
+    public async Task OnFilesDropped(string token, string zone, int count)
+    {
+        if (Vm is null || count <= 0)
+            return;
+
+        await Vm.OpenDroppedFilesAsync(token, asLayers: zone == "layer");
+    }
+
+    // Called by moge-dropzone.js when the dropped files couldn't be collected or handed over.
+    [JSInvokable]
+    public void OnDropFailed(string message) => Vm?.ReportDropFailed(message);
+
+    // Save button and Ctrl+S: write back to the opened file when possible, otherwise ask like Save As.
+    private async Task OnSaveInPlaceClickedAsync()
+    {
+        if (Vm is null || !Vm.HasImage)
+            return;
+
+        await Settings.InitializeAsync();
+
+        var exif = GetExportExif();
+        var options = new ImageExportOptions(Settings.Current.ExportQuality / 100.0, Vm.BackgroundColorHex, exif is null ? null : new ImageExportMetadata(Exif: exif));
+        if (!await Vm.SaveAsync(options))
+            await OnSaveClickedAsync();
     }
 
     protected override EditorViewModel CreateViewModel()
-        => new(ImageFilePicker, Document, ImageProcessor, ImageExport, LogService);
+        => new(ImageFilePicker, Document, ImageProcessor, ImageExport, ImageClipboard, LogService,
+            rawRestorer: Services.GetService(typeof(IRawImageRestorer)) as IRawImageRestorer);
 
     protected override void OnInitialized()
     {
@@ -143,16 +234,62 @@ public partial class Editor : ViewModelComponentBase<EditorViewModel>
         {
             Layout.UndoRequested += Vm.OnLayoutUndoRequestedAsync;
             Layout.RedoRequested += Vm.OnLayoutRedoRequestedAsync;
+            Layout.CopyRequested += Vm.CopySelectionAsync;
+            Layout.CutRequested += Vm.CutSelectionAsync;
+            Layout.PasteRequested += Vm.PasteAsync;
+            Layout.SaveRequested += OnSaveInPlaceClickedAsync;
+            Layout.HasCanvasSelection = () => Vm.CanCopySelection;
             Vm.SetLayoutShortcutsSubscribed(true);
         }
     }
 
+    protected override async Task OnAfterRenderAsync(bool firstRender)
+    {
+        if (!firstRender)
+            return;
+
+        _dropZoneRef = DotNetObjectReference.Create(this);
+        try
+        {
+            await JS.InvokeVoidAsync("mogeDropZone.attach", _dropZone, _dropZoneRef);
+        }
+        catch
+        {
+            // Best-effort: without the script the editor simply doesn't accept drops.
+        }
+    }
+
+    // The renderer calls only this when a component is async-disposable, so it ends with Dispose().
+    public async ValueTask DisposeAsync()
+    {
+        if (_dropZoneRef is not null)
+        {
+            try
+            {
+                await JS.InvokeVoidAsync("mogeDropZone.detach", _dropZone);
+            }
+            catch
+            {
+                // Best-effort: the page (and with it the element) may already be gone.
+            }
+        }
+
+        Dispose();
+    }
+
     public override void Dispose()
     {
+        _dropZoneRef?.Dispose();
+
         if (Layout is not null && Vm is not null && Vm.LayoutShortcutsSubscribed)
         {
             Layout.UndoRequested -= Vm.OnLayoutUndoRequestedAsync;
             Layout.RedoRequested -= Vm.OnLayoutRedoRequestedAsync;
+            Layout.CopyRequested -= Vm.CopySelectionAsync;
+            Layout.CutRequested -= Vm.CutSelectionAsync;
+            Layout.PasteRequested -= Vm.PasteAsync;
+            Layout.SaveRequested -= OnSaveInPlaceClickedAsync;
+            Layout.HasCanvasSelection = null;
             Vm.SetLayoutShortcutsSubscribed(false);
         }
 
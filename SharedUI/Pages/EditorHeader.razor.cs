@@ -10,7 +10,13 @@ public partial class EditorHeader
 
     [Parameter] public EventCallback New { get; set; }
     [Parameter] public EventCallback OpenImage { get; set; }
+    [Parameter] public EventCallback OpenFolder { get; set; }
+    [Parameter] public bool IsOpeningFolder { get; set; }
     [Parameter] public EventCallback SavePng { get; set; }
+    [Parameter] public EventCallback Save { get; set; }
+    [Parameter] public EventCallback ShowInfo { get; set; }
+    // Whether Save writes back to the opened file (otherwise it behaves like Save As).
+    [Parameter] public bool SaveInPlaceAvailable { get; set; }
 
     [Parameter] public IReadOnlyList<string>? LoadedImages { get; set; }
     [Parameter] public int SelectedLoadedIndex { get; set; }
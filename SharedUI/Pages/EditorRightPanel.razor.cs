@@ -1,4 +1,5 @@
 using Microsoft.AspNetCore.Components;
+using SharedUI.Components;
 using SharedUI.Services;
 using SharedUI.ViewModels;
 
@@ -10,6 +11,14 @@ public partial class EditorRightPanel
 
     [Parameter] public bool HasImage { get; set; }
 
+    [Parameter] public ElementReference? CanvasElement { get; set; }
+    [Parameter] public CanvasViewportState? CanvasViewport { get; set; }
+    [Parameter] public EventCallback<CanvasPoint> NavigateTo { get; set; }
+
+    // Current selection (rectangle or wand/lasso mask), for the histogram's "selection only" mode.
+    [Parameter] public PixelRect? SelectionRect { get; set; }
+    [Parameter] public byte[]? SelectionMask { get; set; }
+
     [Parameter] public bool PerspectiveMode { get; set; }
     [Parameter] public EventCallback<bool> PerspectiveModeChanged { get; set; }
 
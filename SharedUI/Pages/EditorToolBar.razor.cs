@@ -57,6 +57,21 @@ public partial class EditorToolBar
     [Parameter] public int MagicWandTolerance { get; set; }
     [Parameter] public EventCallback<int> MagicWandToleranceChanged { get; set; }
 
+    [Parameter] public int EyedropperSampleSize { get; set; } = 1;
+    [Parameter] public EventCallback<int> EyedropperSampleSizeChanged { get; set; }
+
+    [Parameter] public bool EyedropperSampleMerged { get; set; } = true;
+    [Parameter] public EventCallback<bool> EyedropperSampleMergedChanged { get; set; }
+
+    [Parameter] public CanvasCompareMode CompareMode { get; set; }
+    [Parameter] public EventCallback<CanvasCompareMode> CompareModeChanged { get; set; }
+
+    [Parameter] public bool CompareHorizontal { get; set; }
+    [Parameter] public EventCallback<bool> CompareHorizontalChanged { get; set; }
+
+    [Parameter] public CanvasCompareSource CompareSource { get; set; }
+    [Parameter] public EventCallback<CanvasCompareSource> CompareSourceChanged { get; set; }
+
     private bool ToolDisabled => _vm.ToolDisabled(HasImage, PerspectiveMode, CropMode);
 
     private bool IsSelection => _vm.IsSelection(SelectionMode);
@@ -66,6 +81,7 @@ public partial class EditorToolBar
     private bool IsMagicWand => _vm.IsMagicWand(SelectionMode, InteractionMode);
     private bool IsTextTool => _vm.IsTextTool(SelectionMode, InteractionMode);
     private bool IsLasso => _vm.IsLasso(SelectionMode, InteractionMode);
+    private bool IsEyedropper => _vm.IsEyedropper(SelectionMode, InteractionMode);
 
     private Task SelectPanZoom() => SelectModeAsync(CanvasInteractionMode.PanZoom);
     private Task SelectBrush() => SelectModeAsync(CanvasInteractionMode.Brush);
@@ -73,6 +89,7 @@ public partial class EditorToolBar
     private Task SelectTextTool() => SelectModeAsync(CanvasInteractionMode.Text);
     private Task SelectEraser() => SelectModeAsync(CanvasInteractionMode.Eraser);
     private Task SelectLasso() => SelectModeAsync(CanvasInteractionMode.LassoSelection);
+    private Task SelectEyedropper() => SelectModeAsync(CanvasInteractionMode.Eyedropper);
 
     private async Task SelectModeAsync(CanvasInteractionMode mode)
     {
@@ -85,6 +102,15 @@ public partial class EditorToolBar
         await InteractionModeChanged.InvokeAsync(mode);
     }
 
+    private Task ToggleCompareSplit()
+        => CompareModeChanged.InvokeAsync(CompareMode == CanvasCompareMode.Split ? CanvasCompareMode.Off : CanvasCompareMode.Split);
+
+    private Task ToggleCompareBefore()
+        => CompareModeChanged.InvokeAsync(CompareMode == CanvasCompareMode.Before ? CanvasCompareMode.Off : CanvasCompareMode.Before);
+
+    private Task ToggleCompareHorizontal()
+        => CompareHorizontalChanged.InvokeAsync(!CompareHorizontal);
+
     private Task SelectSelection()
         => _vm.CanEnableSelection(ToolDisabled)
             ? SelectionModeChanged.InvokeAsync(true)
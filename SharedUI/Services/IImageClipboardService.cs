@@ -0,0 +1,30 @@
+namespace SharedUI.Services;
+
+/// <summary>
+/// An image read from the system clipboard: decoded RGBA pixels, plus <see cref="Image"/> (PNG) for opening it as a document.
+/// </summary>
+public sealed record ClipboardImage(ImagePickResult Image, int Width, int Height, byte[] Rgba);
+
+public interface IImageClipboardService
+{
+    /// <summary>
+    /// Puts RGBA pixels on the system clipboard as a PNG. False when the platform refuses or has no image clipboard.
+    /// </summary>
+    Task<bool> WriteRgbaAsync(byte[] rgba, int width, int height, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// The first image on the system clipboard, or null when there is none (or reading isn't allowed).
+    /// </summary>
+    Task<ClipboardImage?> ReadImageAsync(CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Whether this platform can read images from the system clipboard at all. Doesn't read or ask for permission.
+    /// </summary>
+    Task<bool> CanReadImageAsync(CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// False while the system clipboard is known to still hold the last image <see cref="WriteRgbaAsync"/> put there;
+    /// true once anything may have replaced it (or nothing was written). Doesn't read or ask for permission.
+    /// </summary>
+    Task<bool> MayHaveChangedAsync(CancellationToken cancellationToken = default);
+}
@@ -4,5 +4,30 @@ namespace SharedUI.Services;
 
 public interface IImageExportService
 {
-    Task SaveAsync(ElementReference canvas, string suggestedFileName, ImageExportFormat format, CancellationToken cancellationToken = default);
+    /// <summary>
+    /// "Save As": lets the user pick a destination. The result says whether the image was saved, downloaded or not
+    /// written at all, and carries the file for later in-place saves when the platform can keep one.
+    /// </summary>
+    Task<ImageSaveResult> SaveAsync(ElementReference canvas, string suggestedFileName, ImageExportFormat format, ImageExportOptions? options = null, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// "Save": overwrites <paramref name="target"/>. False when it can no longer be written (handle gone or
+    /// permission refused); callers then fall back to <see cref="SaveAsync"/>.
+    /// </summary>
+    Task<bool> SaveToAsync(ElementReference canvas, ImageSaveTarget target, ImageExportFormat format, ImageExportOptions? options = null, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Formats the runtime can encode (PNG is always included).
+    /// </summary>
+    Task<IReadOnlyList<ImageExportFormat>> GetSupportedFormatsAsync(CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Whether the image behind the canvas has any pixel that isn't fully opaque.
+    /// </summary>
+    Task<bool> HasTransparencyAsync(ElementReference canvas, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Size in bytes of the file <see cref="SaveAsync"/> would write, from a trial encode; null without an image.
+    /// </summary>
+    Task<long?> EstimateSizeAsync(ElementReference canvas, ImageExportFormat format, ImageExportOptions? options = null, CancellationToken cancellationToken = default);
 }
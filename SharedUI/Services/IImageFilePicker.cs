@@ -1,13 +1,31 @@
 namespace SharedUI.Services;
 
+/// <summary>
+/// A picked file. <see cref="ExifOrientationApplied"/> is whether its pixels were decoded upright per its EXIF
+/// orientation (the import setting at pick time), so decoding it again later gives the same pixels.
+/// </summary>
 public sealed record ImagePickResult(
     string FileName,
     string ContentType,
-    byte[] Bytes);
+    byte[] Bytes,
+    ImageSaveTarget? SaveTarget = null,
+    ImageMetadata? Metadata = null,
+    bool ExifOrientationApplied = false);
 
 public interface IImageFilePicker
 {
     Task<ImagePickResult?> PickImageAsync(CancellationToken cancellationToken = default);
 
     Task<IReadOnlyList<ImagePickResult>> PickImagesAsync(CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Every image in a user-chosen folder (and its subfolders), decoded and yielded one at a time so only the
+    /// image in hand is held. Cancelling ends the sequence before the next file instead of throwing.
+    /// </summary>
+    IAsyncEnumerable<ImagePickResult> PickFolderAsync(IProgress<ImagePickProgress>? progress = null, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Files dropped onto a mogeDropZone; <paramref name="dropToken"/> is only valid during its OnFilesDropped callback.
+    /// </summary>
+    Task<IReadOnlyList<ImagePickResult>> ReadDroppedAsync(string dropToken, CancellationToken cancellationToken = default);
 }
@@ -4,4 +4,65 @@ public enum ImageExportFormat
 {
     Png = 0,
     Jpeg = 1,
+    WebP = 2,
+    Avif = 3,
+}
+
+public static class ImageExportFormatExtensions
+{
+    public static string GetMimeType(this ImageExportFormat format) => format switch
+    {
+        ImageExportFormat.Jpeg => "image/jpeg",
+        ImageExportFormat.WebP => "image/webp",
+        ImageExportFormat.Avif => "image/avif",
+        _ => "image/png",
+    };
+
+    public static string GetExtension(this ImageExportFormat format) => format switch
+    {
+        ImageExportFormat.Jpeg => ".jpg",
+        ImageExportFormat.WebP => ".webp",
+        ImageExportFormat.Avif => ".avif",
+        _ => ".png",
+    };
+
+    public static string GetDisplayName(this ImageExportFormat format) => format switch
+    {
+        ImageExportFormat.Jpeg => "JPEG",
+        ImageExportFormat.WebP => "WebP",
+        ImageExportFormat.Avif => "AVIF",
+        _ => "PNG",
+    };
+
+    // Format for an existing file name (".jpeg" counts as JPEG); false for extensions we can't write.
+    public static bool TryGetFromFileName(string? fileName, out ImageExportFormat format)
+    {
+        var ext = Path.GetExtension(fileName ?? string.Empty).ToLowerInvariant();
+        if (ext == ".jpeg")
+            ext = ".jpg";
+
+        foreach (var candidate in Enum.GetValues<ImageExportFormat>())
+        {
+            if (candidate.GetExtension() == ext)
+            {
+                format = candidate;
+                return true;
+            }
+        }
+
+        format = ImageExportFormat.Png;
+        return false;
+    }
+
+    // JPEG has no alpha channel; exports to it are flattened onto a matte colour.
+    public static bool SupportsAlpha(this ImageExportFormat format) => format != ImageExportFormat.Jpeg;
+
+    // Encoder quality (0..1) for lossy formats; null for PNG.
+    public static double? GetDefaultQuality(this ImageExportFormat format) => format switch
+    {
+        ImageExportFormat.Jpeg => 0.92,
+        ImageExportFormat.WebP => 0.9,
+        ImageExportFormat.Avif => 0.8,
+        _ => null,
+    };
 }
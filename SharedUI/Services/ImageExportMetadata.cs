@@ -0,0 +1,14 @@
+namespace SharedUI.Services;
+
+/// <summary>
+/// Metadata written into exported PNG files: pHYs (<see cref="Dpi"/>), Title/Author/Description text chunks
+/// (Software is always "MOGE") and an sRGB chunk when <see cref="Srgb"/> is set. <see cref="Exif"/> (the opened
+/// file's block, see <see cref="ImageMetadata.Exif"/>) goes into PNG and JPEG files with its orientation reset.
+/// </summary>
+public sealed record ImageExportMetadata(
+    int? Dpi = null,
+    string? Title = null,
+    string? Author = null,
+    string? Description = null,
+    bool Srgb = true,
+    byte[]? Exif = null);
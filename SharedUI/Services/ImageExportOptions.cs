@@ -0,0 +1,30 @@
+namespace SharedUI.Services;
+
+/// <summary>
+/// Encoder settings for an export. <see cref="Quality"/> (0..1) applies to lossy formats only;
+/// null uses the format's default. For formats without alpha, transparent pixels are composited onto
+/// <see cref="MatteColorHex"/> (white when unset). <see cref="Metadata"/> is written into PNG files, and its EXIF
+/// block into JPEG files as well.
+/// </summary>
+public sealed record ImageExportOptions(double? Quality = null, string? MatteColorHex = null, ImageExportMetadata? Metadata = null)
+{
+    public ImageExportMetadata? GetMetadata(ImageExportFormat format)
+        => format switch
+        {
+            ImageExportFormat.Png => Metadata,
+            ImageExportFormat.Jpeg when Metadata?.Exif is not null => new ImageExportMetadata(Srgb: false, Exif: Metadata.Exif),
+            _ => null
+        };
+
+    public string? GetMatte(ImageExportFormat format)
+        => format.SupportsAlpha() ? null : (string.IsNullOrWhiteSpace(MatteColorHex) ? "#ffffff" : MatteColorHex);
+
+    public double? GetQuality(ImageExportFormat format)
+    {
+        var fallback = format.GetDefaultQuality();
+        if (fallback is null)
+            return null;
+
+        return Quality is { } q ? Math.Clamp(q, 0.0, 1.0) : fallback;
+    }
+}
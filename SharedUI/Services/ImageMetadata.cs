@@ -0,0 +1,34 @@
+namespace SharedUI.Services;
+
+/// <summary>
+/// EXIF/XMP metadata of an opened file, read by moge-imagemeta.js. <see cref="Orientation"/> is the EXIF value
+/// (1..8) of the file as stored; <see cref="Exif"/> is the raw TIFF block, written back on export when the user
+/// keeps metadata.
+/// </summary>
+public sealed record ImageMetadata(
+    int? Orientation = null,
+    string? CameraMake = null,
+    string? CameraModel = null,
+    string? Lens = null,
+    string? ExposureTime = null,
+    double? FNumber = null,
+    int? Iso = null,
+    double? FocalLength = null,
+    string? CapturedAt = null,
+    double? Latitude = null,
+    double? Longitude = null,
+    double? Altitude = null,
+    string? Software = null,
+    string? Artist = null,
+    string? Copyright = null,
+    bool HasXmp = false,
+    byte[]? Exif = null)
+{
+    // Models usually repeat the make ("Canon" / "Canon EOS R6"), so it is only prefixed when missing.
+    public string? Camera
+        => string.IsNullOrWhiteSpace(CameraModel) ? CameraMake
+         : string.IsNullOrWhiteSpace(CameraMake) || CameraModel.StartsWith(CameraMake, StringComparison.OrdinalIgnoreCase) ? CameraModel
+         : $"{CameraMake} {CameraModel}";
+
+    public bool HasLocation => Latitude is not null && Longitude is not null;
+}
@@ -0,0 +1,28 @@
+using Microsoft.JSInterop;
+
+namespace SharedUI.Services;
+
+/// <summary>
+/// Progress of a multi-file open: file <see cref="Index"/> (1-based) of <see cref="Total"/> is being decoded.
+/// While the folder is still being scanned <see cref="Total"/> is 0 and <see cref="Index"/> counts the images found.
+/// </summary>
+public sealed record ImagePickProgress(int Index, int Total, string FileName)
+{
+    public bool IsScanning => Total == 0;
+}
+
+/// <summary>
+/// DotNetObjectReference target for mogeFolderPicker.open: forwards scan progress and tells JS whether to go on.
+/// </summary>
+public sealed class ImagePickProgressReporter(IProgress<ImagePickProgress>? progress, CancellationToken cancellationToken)
+{
+    [JSInvokable]
+    public bool OnScanning(int found)
+    {
+        if (cancellationToken.IsCancellationRequested)
+            return false;
+
+        progress?.Report(new ImagePickProgress(found, 0, string.Empty));
+        return true;
+    }
+}
@@ -1,4 +1,5 @@
 using OpenCvSharp;
+using System.Buffers.Binary;
 using System.Runtime.InteropServices;
 using SharedUI.Components;
 using SharedUI.Services.Raw;
@@ -634,6 +635,34 @@ public sealed class ImageProcessorService
         return EncodeForDisplay(dst);
     }
 
+    /// <summary>
+    /// Turns an opened file upright by its EXIF orientation (1..8). OpenCV's decode ignores the tag; in the browser
+    /// the picker has already applied it while decoding.
+    /// </summary>
+    public byte[] ApplyExifOrientation(byte[] imageBytes, int orientation)
+    {
+        if (orientation is < 2 or > 8)
+            return imageBytes;
+
+        using var src = Decode(imageBytes);
+        using var dst = new Mat();
+        switch (orientation)
+        {
+            case 2: Cv2.Flip(src, dst, FlipMode.Y); break;
+            case 3: Cv2.Rotate(src, dst, RotateFlags.Rotate180); break;
+            case 4: Cv2.Flip(src, dst, FlipMode.X); break;
+            case 5: Cv2.Transpose(src, dst); break;
+            case 6: Cv2.Rotate(src, dst, RotateFlags.Rotate90Clockwise); break;
+            case 7:
+                Cv2.Transpose(src, dst);
+                Cv2.Flip(dst, dst, FlipMode.XY);
+                break;
+            case 8: Cv2.Rotate(src, dst, RotateFlags.Rotate90Counterclockwise); break;
+        }
+
+        return EncodeForDisplay(dst);
+    }
+
     public byte[] ResizeByScale(byte[] imageBytes, double scale)
     {
         if (scale <= 0)
@@ -818,10 +847,18 @@ public sealed class ImageProcessorService
     }
 
     public byte[] ApplyStroke(byte[] imageBytes, CanvasInteractionMode mode, IReadOnlyList<CanvasPoint> points, int radius, Rgba32? color = null)
+        => ApplyStroke(imageBytes, mode, points, radius, color, out _);
+
+    /// <summary>
+    /// Same as <see cref="ApplyStroke(byte[], CanvasInteractionMode, IReadOnlyList{CanvasPoint}, int, Rgba32?)"/>,
+    /// also reporting the pixel bounds the stroke may have changed (empty when nothing was drawn).
+    /// </summary>
+    public byte[] ApplyStroke(byte[] imageBytes, CanvasInteractionMode mode, IReadOnlyList<CanvasPoint> points, int radius, Rgba32? color, out PixelRect dirty)
     {
         if (points is null)
             throw new ArgumentNullException(nameof(points));
 
+        dirty = default;
         radius = Math.Clamp(radius, 1, 256);
         if (points.Count < 2)
             return imageBytes;
@@ -830,10 +867,12 @@ public sealed class ImageProcessorService
         {
             var raw = GetRawOrThrow(imageBytes);
             var next = ApplyStrokeToRgba(raw, mode, points, radius, color);
+            dirty = GetStrokeBounds(points, radius, raw.Width, raw.Height);
             return ReturnToken(next);
         }
 
         using var src = Decode(imageBytes);
+        dirty = GetStrokeBounds(points, radius, src.Width, src.Height);
         using var split = SplitBgrAndAlpha(src);
 
         using var work = split.Bgr.Clone();
@@ -886,6 +925,31 @@ public sealed class ImageProcessorService
         return EncodeForDisplay(merged);
     }
 
+    internal static PixelRect GetStrokeBounds(IReadOnlyList<CanvasPoint> points, int radius, int width, int height)
+    {
+        var minX = double.MaxValue;
+        var minY = double.MaxValue;
+        var maxX = double.MinValue;
+        var maxY = double.MinValue;
+        foreach (var p in points)
+        {
+            minX = Math.Min(minX, p.X);
+            minY = Math.Min(minY, p.Y);
+            maxX = Math.Max(maxX, p.X);
+            maxY = Math.Max(maxY, p.Y);
+        }
+
+        // One extra pixel covers rounding and the anti-aliased edge of Cv2.Line.
+        var pad = radius + 1;
+        return PixelRect.FromEdges(
+            (int)Math.Floor(minX) - pad,
+            (int)Math.Floor(minY) - pad,
+            (int)Math.Ceiling(maxX) + pad + 1,
+            (int)Math.Ceiling(maxY) + pad + 1,
+            width,
+            height);
+    }
+
     private static RawRgbaImage ApplyStrokeToRgba(RawRgbaImage src, CanvasInteractionMode mode, IReadOnlyList<CanvasPoint> points, int radius, Rgba32? color)
     {
         if (src.Width <= 0 || src.Height <= 0)
@@ -1228,6 +1292,53 @@ public sealed class ImageProcessorService
         return new Rgba32(v.Item2, v.Item1, v.Item0, v.Item3);
     }
 
+    /// <summary>
+    /// Average colour of the size x size square centred on (x, y), clipped to the image; the same sample the
+    /// canvas eyedropper takes (mogeCanvas.samplePixel). RGB is alpha-weighted so transparent pixels don't pull the
+    /// colour towards black.
+    /// </summary>
+    public Rgba32 GetAverageColor(byte[] imageBytes, int x, int y, int size)
+    {
+        if (size <= 1)
+            return GetPixelColor(imageBytes, x, y);
+
+        var raw = GetRgba(imageBytes);
+        if (raw.Width <= 0 || raw.Height <= 0)
+            throw new InvalidOperationException("Image size is unknown.");
+
+        x = Math.Clamp(x, 0, raw.Width - 1);
+        y = Math.Clamp(y, 0, raw.Height - 1);
+        var half = size / 2;
+        var x0 = Math.Max(0, x - half);
+        var y0 = Math.Max(0, y - half);
+        var x1 = Math.Min(raw.Width, x + half + 1);
+        var y1 = Math.Min(raw.Height, y + half + 1);
+
+        long r = 0, g = 0, b = 0, a = 0;
+        for (var py = y0; py < y1; py++)
+        {
+            for (var px = x0; px < x1; px++)
+            {
+                var i = (py * raw.Width + px) * 4;
+                var alpha = raw.RgbaBytes[i + 3];
+                r += raw.RgbaBytes[i + 0] * alpha;
+                g += raw.RgbaBytes[i + 1] * alpha;
+                b += raw.RgbaBytes[i + 2] * alpha;
+                a += alpha;
+            }
+        }
+
+        if (a == 0)
+            return new Rgba32(0, 0, 0, 0);
+
+        var count = (x1 - x0) * (y1 - y0);
+        return new Rgba32(
+            (byte)Math.Round((double)r / a),
+            (byte)Math.Round((double)g / a),
+            (byte)Math.Round((double)b / a),
+            (byte)Math.Round((double)a / count));
+    }
+
     public byte[] FillByMask(byte[] imageBytes, byte[] mask, Rgba32 fillColor)
     {
         var (iw, ih) = GetSize(imageBytes);
@@ -1395,6 +1506,26 @@ public sealed class ImageProcessorService
         return FillByMask(imageBytes, mask, clearColor);
     }
 
+    /// <summary>
+    /// Decoded RGBA pixels of an image, e.g. an opened file to place on a layer with <see cref="PasteImage"/>.
+    /// </summary>
+    public RawRgbaImage GetRgba(byte[] imageBytes)
+    {
+        if (OperatingSystem.IsBrowser())
+            return GetRawOrThrow(imageBytes);
+
+        using var src = Decode(imageBytes);
+        using var split = SplitBgrAndAlpha(src);
+        using var alpha = split.Alpha?.Clone() ?? new Mat(split.Bgr.Rows, split.Bgr.Cols, MatType.CV_8UC1, Scalar.All(255));
+        using var bgra = MergeBgrAndAlpha(split.Bgr, alpha);
+        using var rgba = new Mat();
+        Cv2.CvtColor(bgra, rgba, ColorConversionCodes.BGRA2RGBA);
+
+        var bytes = new byte[checked(rgba.Rows * rgba.Cols * 4)];
+        Marshal.Copy(rgba.Data, bytes, 0, bytes.Length);
+        return new RawRgbaImage(rgba.Cols, rgba.Rows, bytes);
+    }
+
     /// <summary>
     /// Pastes RGBA clipboard data onto the image at the specified position.
     /// </summary>
@@ -1536,7 +1667,15 @@ public sealed class ImageProcessorService
     }
 
     public byte[] DrawText(byte[] imageBytes, string text, int x, int y, Rgba32 color, double scale = 1.0, int thickness = 2)
+        => DrawText(imageBytes, text, x, y, color, scale, thickness, out _);
+
+    /// <summary>
+    /// Same as <see cref="DrawText(byte[], string, int, int, Rgba32, double, int)"/>,
+    /// also reporting the pixel bounds the text may have changed (empty when nothing was drawn).
+    /// </summary>
+    public byte[] DrawText(byte[] imageBytes, string text, int x, int y, Rgba32 color, double scale, int thickness, out PixelRect dirty)
     {
+        dirty = default;
         if (string.IsNullOrWhiteSpace(text))
             return imageBytes;
 
@@ -1558,6 +1697,7 @@ public sealed class ImageProcessorService
 
             var intScale = Math.Clamp((int)Math.Round(scale), 1, 10);
             DrawAsciiText(dst, iw, ih, x, y, text, color, intScale, thickness);
+            dirty = GetAsciiTextBounds(text, x, y, intScale, thickness, iw, ih);
             return ReturnToken(new RawRgbaImage(iw, ih, dst));
         }
 
@@ -1566,6 +1706,10 @@ public sealed class ImageProcessorService
         using var work = split.Bgr.Clone();
         using var alpha = split.Alpha?.Clone() ?? new Mat(work.Rows, work.Cols, MatType.CV_8UC1, Scalar.All(255));
 
+        // PutText anchors at the baseline; descenders go below it.
+        var textSize = Cv2.GetTextSize(text, HersheyFonts.HersheySimplex, scale, thickness, out var baseline);
+        dirty = PixelRect.FromEdges(x - thickness, y - textSize.Height - thickness, x + textSize.Width + thickness, y + baseline + thickness, iw, ih);
+
         var bgr = new Scalar(color.B, color.G, color.R);
         Cv2.PutText(work, text, new Point(x, y), HersheyFonts.HersheySimplex, scale, bgr, thickness, LineTypes.AntiAlias);
         // Approximate alpha as opaque for the text region by drawing a mask in parallel.
@@ -1579,7 +1723,24 @@ public sealed class ImageProcessorService
         return EncodeForDisplay(merged);
     }
 
-    private static void DrawAsciiText(byte[] rgba, int width, int height, int x, int y, string text, Rgba32 color, int scale, int thickness)
+    internal static PixelRect GetAsciiTextBounds(string text, int x, int y, int scale, int thickness, int width, int height)
+    {
+        // Mirrors DrawAsciiText: 6*scale advance, 10*scale line height, 7*scale glyph rows, square dilation.
+        var lines = text.Split('\n');
+        var left = lines.Length > 1 ? 0 : x;
+        var right = x;
+        for (var i = 0; i < lines.Length; i++)
+        {
+            var startX = i == 0 ? x : 0;
+            right = Math.Max(right, startX + (lines[i].Length * 6 * scale));
+        }
+
+        var bottom = y + ((lines.Length - 1) * 10 * scale) + (7 * scale);
+        var radius = Math.Max(0, thickness - 1);
+        return PixelRect.FromEdges(left - radius, y - radius, right + radius, bottom + radius, width, height);
+    }
+
+    internal static void DrawAsciiText(byte[] rgba, int width, int height, int x, int y, string text, Rgba32 color, int scale, int thickness)
     {
         // 5x7 font (very small); we only support basic ASCII 32..126.
         // NOTE: glyph rows are encoded MSB-left (we read bit 4..0 for columns 0..4).
@@ -1807,6 +1968,17 @@ public sealed class ImageProcessorService
             catch
             {
             }
+
+            // Only the stored file is left. The WASM build of OpenCV has no WebP/AVIF/HEIC codecs (and a failing native
+            // decode may not surface as a managed exception), so those wait for IRawImageRestorer instead.
+            var format = GuessImageFormat(imageBytes);
+            if (format is not ("png" or "jpeg" or "bmp"))
+                throw new InvalidOperationException($"Pixels of this image are not cached and OpenCV cannot decode it here (format={format}).");
+
+            // The browser decoded a rotated JPEG upright or not depending on the import setting; OpenCV's pixels would
+            // not match either way, so that one waits for IRawImageRestorer too.
+            if (format == "jpeg" && ReadJpegOrientation(imageBytes) is > 1)
+                throw new InvalidOperationException("Pixels of this image are not cached and it carries an EXIF orientation OpenCV does not apply here.");
         }
 
         // 1) Normal decode path (works on native platforms)
@@ -1892,6 +2064,52 @@ public sealed class ImageProcessorService
         return "unknown";
     }
 
+    // EXIF orientation (1-8) from a JPEG's APP1 segment; null when there is none.
+    private static int? ReadJpegOrientation(byte[] bytes)
+    {
+        var pos = 2;
+        while (pos + 4 <= bytes.Length && bytes[pos] == 0xFF)
+        {
+            var marker = bytes[pos + 1];
+            var length = (bytes[pos + 2] << 8) | bytes[pos + 3];
+            if (marker == 0xDA || length < 2)
+                return null;
+
+            var tiff = pos + 10;
+            if (marker == 0xE1 && length >= 16 && pos + 2 + length <= bytes.Length
+                && bytes.AsSpan(pos + 4, 6).SequenceEqual("Exif\0\0"u8))
+                return ReadTiffOrientation(bytes.AsSpan(tiff, length - 8));
+
+            pos += 2 + length;
+        }
+
+        return null;
+    }
+
+    private static int? ReadTiffOrientation(ReadOnlySpan<byte> tiff)
+    {
+        var little = tiff[0] == (byte)'I';
+        ushort U16(ReadOnlySpan<byte> at) => little ? BinaryPrimitives.ReadUInt16LittleEndian(at) : BinaryPrimitives.ReadUInt16BigEndian(at);
+
+        var ifd = little ? BinaryPrimitives.ReadUInt32LittleEndian(tiff[4..]) : BinaryPrimitives.ReadUInt32BigEndian(tiff[4..]);
+        if (ifd < 8 || ifd > (uint)tiff.Length - 2)
+            return null;
+
+        var entries = tiff[(int)ifd..];
+        var count = U16(entries);
+        for (var i = 0; i < count; i++)
+        {
+            var entry = 2 + i * 12;
+            if (entry + 12 > entries.Length)
+                return null;
+
+            if (U16(entries[entry..]) == 0x0112)
+                return U16(entries[(entry + 8)..]);
+        }
+
+        return null;
+    }
+
     private byte[] EncodeForDisplay(Mat mat)
     {
         // Browser: avoid Cv2.ImEncode entirely (it may throw a native exception that bypasses managed catch).
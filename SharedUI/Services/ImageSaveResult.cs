@@ -0,0 +1,25 @@
+namespace SharedUI.Services;
+
+public enum ImageSaveOutcome
+{
+    /// <summary>Written to a file the user chose.</summary>
+    Saved,
+
+    /// <summary>Handed to the browser as a download; there is no file to save to again.</summary>
+    Downloaded,
+
+    /// <summary>The user closed the save dialog; nothing was written.</summary>
+    Canceled
+}
+
+/// <summary>
+/// Result of "Save As". <see cref="Target"/> is set when the platform can write to the same file again later.
+/// </summary>
+public sealed record ImageSaveResult(ImageSaveOutcome Outcome, ImageSaveTarget? Target = null)
+{
+    public static ImageSaveResult Canceled { get; } = new(ImageSaveOutcome.Canceled);
+
+    public static ImageSaveResult Downloaded { get; } = new(ImageSaveOutcome.Downloaded);
+
+    public static ImageSaveResult Saved(ImageSaveTarget? target) => new(ImageSaveOutcome.Saved, target);
+}
@@ -0,0 +1,8 @@
+namespace SharedUI.Services;
+
+/// <summary>
+/// A file the editor may write back to with a plain "Save". <see cref="Id"/> is platform-specific and opaque to
+/// shared code (a FileSystemFileHandle kept by moge-filepicker.js in the browser, a full path on desktop);
+/// <see cref="FileName"/> is the file's real name, whose extension decides the format.
+/// </summary>
+public sealed record ImageSaveTarget(string Id, string FileName);
@@ -0,0 +1,21 @@
+using Microsoft.JSInterop;
+
+namespace SharedUI.Services;
+
+public static class JSStreamReferenceExtensions
+{
+    /// <summary>
+    /// Reads a JS Blob/typed array handed over with DotNet.createJSStreamReference into one exactly-sized array
+    /// and releases the JS side.
+    /// </summary>
+    public static async Task<byte[]> ReadAllBytesAsync(this IJSStreamReference reference, CancellationToken cancellationToken = default)
+    {
+        await using (reference)
+        {
+            var bytes = new byte[reference.Length];
+            await using var stream = await reference.OpenReadStreamAsync(reference.Length, cancellationToken);
+            await stream.ReadExactlyAsync(bytes, cancellationToken);
+            return bytes;
+        }
+    }
+}
@@ -0,0 +1,21 @@
+namespace SharedUI.Services;
+
+/// <summary>
+/// Axis-aligned rectangle in image pixel coordinates. Used to report the area an edit touched.
+/// </summary>
+public readonly record struct PixelRect(int X, int Y, int Width, int Height)
+{
+    public bool IsEmpty => Width <= 0 || Height <= 0;
+
+    /// <summary>
+    /// Builds a rectangle from edges (right/bottom exclusive), clamped to a width x height image.
+    /// </summary>
+    public static PixelRect FromEdges(int left, int top, int right, int bottom, int width, int height)
+    {
+        left = Math.Clamp(left, 0, Math.Max(0, width));
+        top = Math.Clamp(top, 0, Math.Max(0, height));
+        right = Math.Clamp(right, left, Math.Max(0, width));
+        bottom = Math.Clamp(bottom, top, Math.Max(0, height));
+        return new PixelRect(left, top, right - left, bottom - top);
+    }
+}
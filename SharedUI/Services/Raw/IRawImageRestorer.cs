@@ -0,0 +1,14 @@
+namespace SharedUI.Services.Raw;
+
+/// <summary>
+/// Puts the RGBA pixels of an encoded image back into the raw cache after they were evicted, on runtimes that work
+/// from cached pixels only (the browser). Raw tokens cannot be restored: their pixels were never stored elsewhere.
+/// </summary>
+public interface IRawImageRestorer
+{
+    /// <summary>
+    /// True when the pixels of <paramref name="imageBytes"/> are in the cache (already, or after decoding them again).
+    /// Failures are logged and reported as false.
+    /// </summary>
+    Task<bool> TryRestoreAsync(byte[] imageBytes, CancellationToken cancellationToken = default);
+}
@@ -1,12 +1,23 @@
+using System.Runtime.CompilerServices;
+using System.Security.Cryptography;
+
 namespace SharedUI.Services.Raw;
 
 public static class ImageSignature
 {
+    // Image bytes are never changed once created, and the canvas asks again on every render, so each array is
+    // hashed once.
+    private static readonly ConditionalWeakTable<byte[], string> Hashes = new();
+
+    /// <summary>
+    /// Cache key for an image's pixels. Raw tokens are random and are their own key; encoded files are keyed by a
+    /// SHA-256 of their content, since two different files can share a length and a header.
+    /// </summary>
     public static string Create(byte[] bytes)
     {
-        var prefixLen = Math.Min(16, bytes.Length);
-        Span<byte> prefix = stackalloc byte[prefixLen];
-        bytes.AsSpan(0, prefixLen).CopyTo(prefix);
-        return $"{bytes.Length}:{Convert.ToHexString(prefix)}";
+        if (RawToken.IsToken(bytes))
+            return $"{bytes.Length}:{Convert.ToHexString(bytes)}";
+
+        return Hashes.GetValue(bytes, static b => $"{b.Length}:{Convert.ToHexString(SHA256.HashData(b))}");
     }
 }
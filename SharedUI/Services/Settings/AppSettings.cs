@@ -11,5 +11,31 @@ public sealed record AppSettings(
     bool TouchInertiaEnabled = true,
     double TouchInertiaStartSpeed = 0.05,
     double TouchInertiaStopSpeed = 0.01,
-    double TouchInertiaDecayPer16ms = 0.92
+    double TouchInertiaDecayPer16ms = 0.92,
+
+    // Canvas rendering
+    CanvasRenderBackend CanvasRenderer = CanvasRenderBackend.Canvas2D,
+
+    // Transparency checkerboard (cell size in screen px) and the area outside the image
+    int CanvasCheckerSize = 8,
+    string CanvasCheckerLightColor = "#ffffff",
+    string CanvasCheckerDarkColor = "#cccccc",
+    string CanvasBackdropColor = "#808080",
+
+    // High zoom: nearest-neighbour sampling from this zoom factor on, 1px pixel grid from the second
+    double CanvasNearestNeighborZoom = 4.0,
+    double CanvasPixelGridZoom = 8.0,
+
+    // Pixel rulers along the top/left edge; handles snap to guides and image edges within this many screen px (0 = off)
+    bool CanvasShowRulers = true,
+    int CanvasSnapDistance = 8,
+
+    // Opening files: turn photos upright by their EXIF orientation
+    bool ImportApplyExifOrientation = true,
+
+    // Save As: quality (1..100) for lossy formats, remembered from the last export
+    int ExportQuality = 92,
+
+    // Write the opened file's EXIF block (camera, capture date, GPS, ...) into PNG/JPEG exports
+    bool ExportKeepMetadata = false
 );
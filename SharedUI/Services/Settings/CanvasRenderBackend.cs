@@ -0,0 +1,7 @@
+namespace SharedUI.Services.Settings;
+
+public enum CanvasRenderBackend
+{
+    Canvas2D,
+    WebGL2
+}
@@ -29,6 +29,9 @@ public sealed class EditorToolBarViewModel
     public bool IsLasso(bool selectionMode, CanvasInteractionMode interactionMode)
         => !selectionMode && interactionMode == CanvasInteractionMode.LassoSelection;
 
+    public bool IsEyedropper(bool selectionMode, CanvasInteractionMode interactionMode)
+        => !selectionMode && interactionMode == CanvasInteractionMode.Eyedropper;
+
     public async Task<CanvasInteractionMode?> SelectModeAsync(bool toolDisabled, bool selectionMode, CanvasInteractionMode mode)
     {
         if (toolDisabled)
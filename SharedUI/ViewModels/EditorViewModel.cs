@@ -5,6 +5,7 @@ using SharedUI.Components;
 using SharedUI.Mvvm;
 using SharedUI.Logging;
 using SharedUI.Services;
+using SharedUI.Services.Raw;
 
 namespace SharedUI.ViewModels;
 
@@ -14,7 +15,9 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
     private readonly ImageDocumentState _document;
     private readonly ImageProcessorService _imageProcessor;
     private readonly IImageExportService _imageExport;
+    private readonly IImageClipboardService _imageClipboard;
     private readonly MogeLogService _log;
+    private readonly IRawImageRestorer? _rawRestorer;
 
     private Action<string?> _pushFooterMessage;
 
@@ -23,6 +26,7 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
     private byte[]? _viewBytes;
     private ElementReference _canvas;
     private bool _hasCanvas;
+    private bool _canReadSystemClipboard;
 
     private const int MaxLayerHistoryEntries = 30;
     private sealed record LayerHistoryEntry(byte[] Bytes, string Label, DateTime Timestamp, string? ThumbnailDataUrl);
@@ -42,6 +46,10 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
     private Rgba32? _magicWandLastTarget;
     private CancellationTokenSource? _magicWandDebounceCts;
 
+    // Eyedropper: averaged square (1, 3, 5 or 11 px) and whether to read the composite instead of the active layer.
+    private int _eyedropperSampleSize = 1;
+    private bool _eyedropperSampleMerged = true;
+
     private string _foregroundColorHex = "#000000";
     private string _backgroundColorHex = "#ffffff";
     private int _foregroundAlpha = 255;
@@ -86,9 +94,36 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
     private double _contrast = 1.0;
     private double _brightness;
 
+    // Shown by the canvas until the debounced pipeline result replaces it.
+    private CanvasPreviewAdjustments? _previewAdjustments;
+
+    // Bounds of the last small-area edit (brush, eraser, text, region blur/sharpen) for partial canvas updates.
+    private CanvasRegionUpdate? _regionUpdate;
+
+    // Navigator: the pending "center here" request (the canvas reports its viewport through CanvasViewport).
+    private CanvasPanRequest? _panRequest;
+
+    // Guides for a document that isn't in the loaded list (e.g. a new blank canvas).
+    private IReadOnlyList<CanvasGuide> _unlistedGuides = Array.Empty<CanvasGuide>();
+
+    // Before/after view of the whole document; the view record is cached (with the bytes it was built from) so the
+    // canvas can compare by reference.
+    private CanvasCompareMode _compareMode;
+    private bool _compareHorizontal;
+    private CanvasCompareSource _compareSource;
+    private CanvasCompareView? _compareView;
+    private byte[]? _compareKey;
+
+    // Marching-ants view of _selectionMask, cached so the canvas only re-traces when the mask changes.
+    private CanvasSelectionMask? _selectionOutline;
+
     private CancellationTokenSource? _debounceCts;
     private string? _status;
 
+    // "Open folder" in progress: cancelling it keeps the images decoded so far.
+    private CancellationTokenSource? _openFolderCts;
+    private ImagePickProgress? _openFolderProgress;
+
     private int _processingCount;
     private readonly SemaphoreSlim _processingLock = new(1, 1);
 
@@ -101,7 +136,14 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
     private const int FilterPreviewMaxSide = 1200;
     private const int FilterPreviewThreshold = 1600;
 
-    private sealed record LoadedImage(ImagePickResult Pick, string? ThumbnailDataUrl);
+    private sealed record LoadedImage(ImagePickResult Pick, string? ThumbnailDataUrl)
+    {
+        // Guides belong to the image they were placed on and survive switching between loaded images.
+        public IReadOnlyList<CanvasGuide> Guides { get; set; } = Array.Empty<CanvasGuide>();
+
+        // Where "Save" writes: the opened file, replaced by the destination of each Save As.
+        public ImageSaveTarget? SaveTarget { get; set; } = Pick.SaveTarget;
+    }
     private readonly List<LoadedImage> _loadedImages = new();
     private int _selectedLoadedIndex = -1;
 
@@ -110,15 +152,19 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
         ImageDocumentState document,
         ImageProcessorService imageProcessor,
         IImageExportService imageExport,
+        IImageClipboardService imageClipboard,
         MogeLogService log,
-        Action<string?>? pushFooterMessage = null)
+        Action<string?>? pushFooterMessage = null,
+        IRawImageRestorer? rawRestorer = null)
     {
         _imageFilePicker = imageFilePicker;
         _document = document;
         _imageProcessor = imageProcessor;
         _imageExport = imageExport;
+        _imageClipboard = imageClipboard;
         _log = log;
         _pushFooterMessage = pushFooterMessage ?? (_ => { });
+        _rawRestorer = rawRestorer;
     }
 
     public bool HasImage => _document.HasImage;
@@ -126,6 +172,9 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
     public long FileSizeBytes => _document.Bytes?.Length ?? 0;
     public string? ContentType => _document.ContentType;
 
+    // EXIF/XMP of the selected loaded image's file (null for new canvases and files without any).
+    public ImageMetadata? ImageMetadata => SelectedLoadedImage?.Pick.Metadata;
+
     public int ImageWidth => _imageWidth;
     public int ImageHeight => _imageHeight;
 
@@ -133,15 +182,26 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
 
     public bool IsProcessing => Volatile.Read(ref _processingCount) > 0;
 
+    public bool IsOpeningFolder => _openFolderCts is not null;
+    public ImagePickProgress? OpenFolderProgress => _openFolderProgress;
+
     public bool PerspectiveMode => _perspectiveMode;
     public bool CropMode => _cropMode;
     public bool SelectionMode => _selectionMode;
 
     public CanvasInteractionMode InteractionMode => _interactionMode;
     public int BrushRadius => _brushRadius;
+    public Rgba32 StrokeColor => GetStrokeColor(_interactionMode);
 
     public int MagicWandTolerance => _magicWandTolerance;
 
+    public int EyedropperSampleSize => _eyedropperSampleSize;
+    public bool EyedropperSampleMerged => _eyedropperSampleMerged;
+
+    // Only composited layers exist on the canvas; a single layer is the drawn surface itself.
+    public Guid? EyedropperLayerId
+        => !_eyedropperSampleMerged && CanvasLayers is not null && GetActiveLayerInternal() is { } layer ? layer.Id : null;
+
     public string ForegroundColorHex => _foregroundColorHex;
     public string BackgroundColorHex => _backgroundColorHex;
 
@@ -162,7 +222,9 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
     public bool CanFillSelection => HasImage && (_selectionMode || _selectionMask is { Length: > 0 });
 
     public bool CanCopySelection => HasImage && (_selectionMode || _selectionMask is { Length: > 0 });
-    public bool CanPaste => HasImage && _clipboardImageBytes is { Length: > 0 };
+    // The system clipboard can't be inspected without a read (and a permission prompt), so paste stays available
+    // wherever it can be read at all; with nothing loaded it opens the clipboard image as a new document.
+    public bool CanPaste => _canReadSystemClipboard || (HasImage && _clipboardImageBytes is { Length: > 0 });
 
     public IReadOnlyList<CanvasPoint> Handles => _handles;
 
@@ -191,6 +253,27 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
     public double Contrast => _contrast;
     public double Brightness => _brightness;
 
+    public CanvasPreviewAdjustments? PreviewAdjustments => _previewAdjustments;
+    public CanvasRegionUpdate? RegionUpdate => _regionUpdate;
+    public CanvasViewportState CanvasViewport { get; } = new();
+    public CanvasPanRequest? PanRequest => _panRequest;
+    public ElementReference? CanvasElement => _hasCanvas ? _canvas : null;
+
+    public CanvasCompareMode CompareMode => _compareMode;
+    public bool CompareHorizontal => _compareHorizontal;
+    public CanvasCompareSource CompareSource => _compareSource;
+    public CanvasCompareView? CompareView => GetCompareView();
+
+    // The selection for the histogram: a rectangle while the selection tool is active, otherwise the wand/lasso mask.
+    public PixelRect? SelectionRect => GetSelectionRect();
+    public byte[]? SelectionMask => HasImage && !(_selectionMode && _handles.Count == 4) && _selectionMask is { Length: > 0 } ? _selectionMask : null;
+    public CanvasSelectionMask? SelectionOutline => GetSelectionOutline();
+
+    public IReadOnlyList<CanvasGuide> Guides
+        => _selectedLoadedIndex >= 0 && _selectedLoadedIndex < _loadedImages.Count
+            ? _loadedImages[_selectedLoadedIndex].Guides
+            : _unlistedGuides;
+
     public int SelectedLoadedIndex => _selectedLoadedIndex;
 
     public bool CanUndo => HasActiveLayer && GetActiveLayerHistoryIndex() > 0;
@@ -282,6 +365,7 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
         _perspectiveMode = false;
         _cropMode = false;
         _selectionMode = false;
+        _compareMode = CanvasCompareMode.Off;
 
         _blurKernelSize = 0;
         _grayscale = false;
@@ -303,6 +387,8 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
         _cannyT2 = 150;
         _contrast = 1.0;
         _brightness = 0;
+        _previewAdjustments = null;
+        _regionUpdate = null;
 
         LayersReset();
 
@@ -356,30 +442,150 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
     public async Task PickImagesAsync()
     {
         var picks = await _imageFilePicker.PickImagesAsync();
-        if (picks.Count == 0)
+        await AddLoadedImagesAsync(picks);
+    }
+
+    public async Task OpenFolderAsync()
+    {
+        if (_openFolderCts is not null)
             return;
 
+        using var cts = new CancellationTokenSource();
+        _openFolderCts = cts;
+
+        var progress = new Progress<ImagePickProgress>(p =>
+        {
+            // Reports are posted, so a late one must not resurrect the progress after the open finished.
+            if (!ReferenceEquals(_openFolderCts, cts))
+                return;
+
+            _openFolderProgress = p;
+            _status = p.IsScanning ? $"Scanning folder: {p.Index} image(s) found" : $"Opening {p.Index}/{p.Total}: {p.FileName}";
+            RefreshFooter();
+            NotifyAll();
+        });
+
+        // Each image joins the strip as it arrives (the first one is shown right away), so only the file being
+        // decoded is in flight.
         var firstNewIndex = _loadedImages.Count;
-        foreach (var pick in picks)
+        var opened = 0;
+        var failed = false;
+        try
         {
-            string? thumb = null;
-            try
+            await foreach (var pick in _imageFilePicker.PickFolderAsync(progress, cts.Token))
             {
-                thumb = await RunImageCpuAsync(() => _imageProcessor.CreateThumbnailDataUrl(pick.Bytes), inProgressStatus: "Loading...");
+                await AddLoadedImageAsync(pick);
+                if (opened++ == 0)
+                    await SelectLoadedImageAsync(firstNewIndex);
+
+                NotifyAll();
             }
-            catch
+        }
+        catch (Exception ex)
+        {
+            _log.Log(Microsoft.Extensions.Logging.LogLevel.Warning, "Open", "Opening a folder failed", ex);
+            _status = opened > 0 ? $"Opened {opened} image(s); could not read the rest of the folder" : "Could not open the folder";
+            failed = true;
+        }
+        finally
+        {
+            _openFolderCts = null;
+            _openFolderProgress = null;
+        }
+
+        if (!failed)
+        {
+            if (opened > 0)
             {
+                _status = cts.IsCancellationRequested
+                    ? $"Opened {opened} image(s) (canceled)"
+                    : $"Opened {opened} image(s)";
             }
-            _loadedImages.Add(new LoadedImage(pick, thumb));
+            else if (cts.IsCancellationRequested)
+            {
+                _status = "Open folder canceled";
+            }
+        }
+
+        RefreshFooter();
+        NotifyAll();
+    }
+
+    public void CancelOpenFolder()
+    {
+        _openFolderCts?.Cancel();
+    }
+
+    // Files dropped on the editor: new documents in the loaded-images strip, or new layers when dropped onto the
+    // layer zone of an open image.
+    public async Task OpenDroppedFilesAsync(string dropToken, bool asLayers)
+    {
+        IReadOnlyList<ImagePickResult> picks;
+        try
+        {
+            picks = await _imageFilePicker.ReadDroppedAsync(dropToken);
+        }
+        catch (Exception ex)
+        {
+            _log.Log(Microsoft.Extensions.Logging.LogLevel.Warning, "Open", "Reading dropped files failed", ex);
+            ShowDropFailed();
+            return;
         }
 
-        SelectLoadedImage(firstNewIndex);
+        if (!asLayers || !HasImage)
+        {
+            await AddLoadedImagesAsync(picks);
+            return;
+        }
+
+        foreach (var pick in picks)
+            await AddImageLayerAsync(pick);
+    }
+
+    public void ReportDropFailed(string message)
+    {
+        _log.Log(Microsoft.Extensions.Logging.LogLevel.Warning, "Open", $"Reading dropped files failed: {message}");
+        ShowDropFailed();
+    }
+
+    private void ShowDropFailed()
+    {
+        _status = "Could not read the dropped files";
+        RefreshFooter();
+        NotifyAll();
+    }
+
+    // Appends to the loaded-images strip and selects the first new entry.
+    private async Task AddLoadedImagesAsync(IReadOnlyList<ImagePickResult> picks)
+    {
+        if (picks.Count == 0)
+            return;
+
+        var firstNewIndex = _loadedImages.Count;
+        foreach (var pick in picks)
+            await AddLoadedImageAsync(pick);
+
+        await SelectLoadedImageAsync(firstNewIndex);
         NotifyAll();
     }
 
+    private async Task AddLoadedImageAsync(ImagePickResult pick)
+    {
+        string? thumb = null;
+        try
+        {
+            thumb = await RunImageCpuAsync(() => _imageProcessor.CreateThumbnailDataUrl(pick.Bytes), inProgressStatus: "Loading...");
+        }
+        catch
+        {
+        }
+        _loadedImages.Add(new LoadedImage(pick, thumb));
+    }
+
     public Task ClearAsync()
     {
         _selectedLoadedIndex = -1;
+        _unlistedGuides = Array.Empty<CanvasGuide>();
         _document.Clear();
         NotifyAll();
         return Task.CompletedTask;
@@ -425,6 +631,7 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
         // Starting a brand-new canvas: clear any loaded list selection.
         _loadedImages.Clear();
         _selectedLoadedIndex = -1;
+        _unlistedGuides = Array.Empty<CanvasGuide>();
 
         var safeW = Math.Clamp(width, 1, 8192);
         var safeH = Math.Clamp(height, 1, 8192);
@@ -443,10 +650,10 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
         return Task.CompletedTask;
     }
 
-    public Task RemoveSelectedLoadedImageAsync()
+    public async Task RemoveSelectedLoadedImageAsync()
     {
         if (_selectedLoadedIndex < 0 || _selectedLoadedIndex >= _loadedImages.Count)
-            return Task.CompletedTask;
+            return;
 
         var removingCurrent = HasImage;
 
@@ -464,7 +671,7 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
             _selectionPreviewPolygonPoints = new();
             _status = null;
             NotifyAll();
-            return Task.CompletedTask;
+            return;
         }
 
         // Re-select: prefer same index, otherwise previous.
@@ -478,12 +685,13 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
         if (removingCurrent)
             _ = NewAsync();
 
-        SelectLoadedImage(nextIndex);
+        await SelectLoadedImageAsync(nextIndex);
         NotifyAll();
-        return Task.CompletedTask;
     }
 
-    public void SelectLoadedImage(int index)
+    // On the browser a file's pixels live in an evicting cache; when they were dropped, the file is decoded again
+    // before it becomes the document (finishes synchronously while they are cached, and everywhere else).
+    public async Task SelectLoadedImageAsync(int index)
     {
         if (index < 0 || index >= _loadedImages.Count)
             return;
@@ -492,8 +700,28 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
             return;
 
         _selectedLoadedIndex = index;
-        _document.Set(_loadedImages[index].Pick);
-        NotifyAll();
+        var image = _loadedImages[index];
+
+        try
+        {
+            var restored = _rawRestorer is null || await _rawRestorer.TryRestoreAsync(image.Pick.Bytes);
+
+            // Another image was chosen while this one was decoded.
+            if (!ReferenceEquals(SelectedLoadedImage, image))
+                return;
+
+            _document.Set(image.Pick);
+            if (!restored)
+            {
+                _status = $"Could not decode {image.Pick.FileName}";
+                RefreshFooter();
+            }
+            NotifyAll();
+        }
+        catch (Exception ex)
+        {
+            ReportError($"Could not open {image.Pick.FileName}", ex, "Open");
+        }
     }
 
     public static string GetLoadedImageCardStyle(bool isSelected)
@@ -505,10 +733,107 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
         return $"border:{border}; border-radius: var(--mud-default-borderradius); cursor:pointer; user-select:none;";
     }
 
-    public Task OnCanvasReady(ElementReference canvas)
+    public async Task OnCanvasReady(ElementReference canvas)
     {
         _canvas = canvas;
         _hasCanvas = true;
+
+        try
+        {
+            _canReadSystemClipboard = await _imageClipboard.CanReadImageAsync();
+        }
+        catch (Exception ex)
+        {
+            _log.Log(Microsoft.Extensions.Logging.LogLevel.Warning, "Clipboard", "System clipboard detection failed", ex);
+            _canReadSystemClipboard = false;
+        }
+
+        NotifyAll();
+    }
+
+    public Task OnGuidesChanged(IReadOnlyList<CanvasGuide> guides)
+    {
+        if (_selectedLoadedIndex >= 0 && _selectedLoadedIndex < _loadedImages.Count)
+            _loadedImages[_selectedLoadedIndex].Guides = guides;
+        else
+            _unlistedGuides = guides;
+
+        NotifyAll();
+        return Task.CompletedTask;
+    }
+
+    public Task OnCompareModeChanged(CanvasCompareMode mode)
+    {
+        _compareMode = mode;
+        NotifyAll();
+        return Task.CompletedTask;
+    }
+
+    public Task OnCompareHorizontalChanged(bool horizontal)
+    {
+        _compareHorizontal = horizontal;
+        NotifyAll();
+        return Task.CompletedTask;
+    }
+
+    public Task OnCompareSourceChanged(CanvasCompareSource source)
+    {
+        _compareSource = source;
+        NotifyAll();
+        return Task.CompletedTask;
+    }
+
+    // The canvas shows the document (layers composited), so "before" is the document too: the file as opened, or
+    // the composite with the active layer one step back.
+    private CanvasCompareView? GetCompareView()
+    {
+        if (_compareMode == CanvasCompareMode.Off || !HasImage)
+            return null;
+
+        var layer = GetActiveLayerInternal();
+        var key = _compareSource == CanvasCompareSource.PreviousStep && layer is { History.Count: > 0 }
+            ? layer.History[Math.Clamp(layer.HistoryIndex - 1, 0, layer.History.Count - 1)].Bytes
+            : _document.Bytes;
+        if (key is null)
+            return null;
+
+        if (_compareView is { } view && ReferenceEquals(_compareKey, key) && view.Mode == _compareMode && view.Horizontal == _compareHorizontal)
+            return view;
+
+        byte[] before;
+        try
+        {
+            before = ReferenceEquals(key, _document.Bytes) || _layers.Count(l => l.Visible) < 2
+                ? key
+                : _imageProcessor.CompositeRgbaLayers(_layers
+                    .Where(l => l.Visible)
+                    .Select(l => ReferenceEquals(l, layer) ? key : GetLayerBytesFromHistory(l))
+                    .ToArray());
+        }
+        catch (Exception ex)
+        {
+            _log.Log(Microsoft.Extensions.Logging.LogLevel.Warning, "Compare", "Could not composite the previous step", ex);
+            return null;
+        }
+
+        _compareKey = key;
+        _compareView = new CanvasCompareView(before, _compareMode, _compareHorizontal);
+        return _compareView;
+    }
+
+    // The canvas could not show the "before" image (e.g. its cached pixels were evicted).
+    public Task OnCompareUnavailable()
+    {
+        _status = "The \"before\" image is no longer available";
+        RefreshFooter();
+        NotifyAll();
+        return Task.CompletedTask;
+    }
+
+    public Task CenterCanvasOn(CanvasPoint center)
+    {
+        _panRequest = new CanvasPanRequest(center);
+        NotifyAll();
         return Task.CompletedTask;
     }
 
@@ -526,7 +851,108 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
         NotifyAll();
     }
 
-    public async Task SaveAsAsync(string fileName, ImageExportFormat format)
+    public async Task<IReadOnlyList<ImageExportFormat>> GetSupportedExportFormatsAsync()
+    {
+        try
+        {
+            return await _imageExport.GetSupportedFormatsAsync();
+        }
+        catch (Exception ex)
+        {
+            // Detection failing shouldn't block saving; PNG always works.
+            _log.Log(Microsoft.Extensions.Logging.LogLevel.Warning, "Save", "Export format detection failed", ex);
+            return new[] { ImageExportFormat.Png };
+        }
+    }
+
+    // Active layer's history labels up to the current step, for export metadata ("Initial > Brush > Filters").
+    public string HistorySummary
+    {
+        get
+        {
+            var layer = GetActiveLayerInternal();
+            if (layer is null || layer.HistoryIndex < 0)
+                return string.Empty;
+
+            return string.Join(" > ", layer.History.Take(layer.HistoryIndex + 1).Select(h => h.Label));
+        }
+    }
+
+    public async Task<bool> HasTransparencyAsync()
+    {
+        if (!HasImage || !_hasCanvas)
+            return false;
+
+        try
+        {
+            return await _imageExport.HasTransparencyAsync(_canvas);
+        }
+        catch (Exception ex)
+        {
+            _log.Log(Microsoft.Extensions.Logging.LogLevel.Warning, "Save", "Transparency check failed", ex);
+            return false;
+        }
+    }
+
+    public async Task<long?> EstimateExportSizeAsync(ImageExportFormat format, ImageExportOptions? options, CancellationToken cancellationToken = default)
+    {
+        if (!HasImage || !_hasCanvas)
+            return null;
+
+        try
+        {
+            return await _imageExport.EstimateSizeAsync(_canvas, format, options, cancellationToken);
+        }
+        catch (Exception ex) when (ex is not OperationCanceledException)
+        {
+            _log.Log(Microsoft.Extensions.Logging.LogLevel.Warning, "Save", "Export size estimate failed", ex);
+            return null;
+        }
+    }
+
+    private LoadedImage? SelectedLoadedImage
+        => _selectedLoadedIndex >= 0 && _selectedLoadedIndex < _loadedImages.Count ? _loadedImages[_selectedLoadedIndex] : null;
+
+    public bool CanSaveInPlace
+        => HasImage && SelectedLoadedImage?.SaveTarget is { } target && ImageExportFormatExtensions.TryGetFromFileName(target.FileName, out _);
+
+    // "Save": writes back to the selected image's file in its own format. False when there is no such file, the
+    // format can't be encoded here, or the file can't be written any more (or the write failed, which is also
+    // reported); the caller then offers Save As.
+    public async Task<bool> SaveAsync(ImageExportOptions? options = null)
+    {
+        if (!HasImage || !_hasCanvas)
+            return false;
+
+        if (SelectedLoadedImage?.SaveTarget is not { } target || !ImageExportFormatExtensions.TryGetFromFileName(target.FileName, out var format))
+            return false;
+
+        if (!(await GetSupportedExportFormatsAsync()).Contains(format))
+            return false;
+
+        BeginProcessing("Saving...");
+        try
+        {
+            if (!await _imageExport.SaveToAsync(_canvas, target, format, options))
+                return false;
+
+            _status = $"Saved: {target.FileName}";
+            RefreshFooter();
+            NotifyAll();
+            return true;
+        }
+        catch (Exception ex)
+        {
+            ReportError("저장 중 문제가 발생했습니다. 로그를 내보내기에서 확인해 주세요.", ex, "Save");
+            return false;
+        }
+        finally
+        {
+            EndProcessing();
+        }
+    }
+
+    public async Task SaveAsAsync(string fileName, ImageExportFormat format, ImageExportOptions? options = null)
     {
         if (!HasImage)
             return;
@@ -537,9 +963,16 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
         BeginProcessing("Saving...");
         try
         {
-            await _imageExport.SaveAsync(_canvas, fileName, format);
-            var ext = format == ImageExportFormat.Jpeg ? ".jpg" : ".png";
-            _status = $"Saved: {fileName}{ext}";
+            var result = await _imageExport.SaveAsync(_canvas, fileName, format, options);
+            if (result.Target is { } target && SelectedLoadedImage is { } loaded)
+                loaded.SaveTarget = target;
+
+            _status = result.Outcome switch
+            {
+                ImageSaveOutcome.Canceled => "Save canceled",
+                ImageSaveOutcome.Downloaded => $"Downloaded: {fileName}{format.GetExtension()}",
+                _ => $"Saved: {result.Target?.FileName ?? fileName + format.GetExtension()}"
+            };
             RefreshFooter();
             NotifyAll();
         }
@@ -633,7 +1066,7 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
         }
 
         var baseBytes = CurrentBytes;
-        _viewBytes = baseBytes;
+        _viewBytes = GetViewBytesFromLayers() ?? baseBytes;
 
         (_imageWidth, _imageHeight) = await RunImageCpuAsync(() => _imageProcessor.GetSize(baseBytes), inProgressStatus: "Preparing...");
         _handles = new List<CanvasPoint>
@@ -670,7 +1103,7 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
             }
 
             var baseBytes = CurrentBytes;
-            _viewBytes = baseBytes;
+            _viewBytes = GetViewBytesFromLayers() ?? baseBytes;
 
             (_imageWidth, _imageHeight) = await RunImageCpuAsync(() => _imageProcessor.GetSize(baseBytes), inProgressStatus: "Preparing...");
 
@@ -725,7 +1158,7 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
             }
 
             var baseBytes = CurrentBytes;
-            _viewBytes = baseBytes;
+            _viewBytes = GetViewBytesFromLayers() ?? baseBytes;
 
             (_imageWidth, _imageHeight) = await RunImageCpuAsync(() => _imageProcessor.GetSize(baseBytes), inProgressStatus: "Preparing...");
 
@@ -788,6 +1221,65 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
         return Task.CompletedTask;
     }
 
+    public Task OnEyedropperSampleSizeChanged(int size)
+    {
+        _eyedropperSampleSize = size is 1 or 3 or 5 or 11 ? size : 1;
+        NotifyAll();
+        return Task.CompletedTask;
+    }
+
+    public Task OnEyedropperSampleMergedChanged(bool merged)
+    {
+        _eyedropperSampleMerged = merged;
+        NotifyAll();
+        return Task.CompletedTask;
+    }
+
+    public Task OnColorSampledAsync(CanvasColorSample sample)
+    {
+        if (!HasImage)
+            return Task.CompletedTask;
+
+        var color = sample.Color;
+        if (color is null || (!_eyedropperSampleMerged && CanvasLayers is null && _layers.Count > 1))
+        {
+            // The canvas shows a flattened view, so the active layer is read directly, over the same square the canvas samples.
+            var layer = GetActiveLayerInternal();
+            if (layer is null)
+                return Task.CompletedTask;
+
+            try
+            {
+                color = _imageProcessor.GetAverageColor(layer.Bytes, (int)Math.Floor(sample.Point.X), (int)Math.Floor(sample.Point.Y), _eyedropperSampleSize);
+            }
+            catch (Exception ex)
+            {
+                _status = ex.Message;
+                RefreshFooter();
+                NotifyAll();
+                return Task.CompletedTask;
+            }
+        }
+
+        var c = color.Value;
+        var hex = $"#{c.R:x2}{c.G:x2}{c.B:x2}";
+        if (sample.Background)
+        {
+            _backgroundColorHex = hex;
+            _backgroundAlpha = c.A;
+        }
+        else
+        {
+            _foregroundColorHex = hex;
+            _foregroundAlpha = c.A;
+        }
+
+        _status = $"{(sample.Background ? "BG" : "FG")} = {hex} (A {c.A})";
+        RefreshFooter();
+        NotifyAll();
+        return Task.CompletedTask;
+    }
+
     public Task OnMagicWandToleranceChanged(int v)
     {
         _magicWandTolerance = Math.Clamp(v, 0, 255);
@@ -878,7 +1370,7 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
 
             _selectionMask = mask;
             _selectionPreviewHandles = ComputeMaskBoundingRectHandles(mask, _imageWidth, _imageHeight);
-            _selectionPreviewPolygonPoints = ComputeMaskOutlinePolygonPoints(mask, _imageWidth, _imageHeight);
+            _selectionPreviewPolygonPoints = new();
             _status = "Magic wand: selected";
         }
         catch (OperationCanceledException)
@@ -956,12 +1448,13 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
         NotifyAll();
 
         byte[] next;
+        var dirty = default(PixelRect);
         try
         {
             var scale = (double)Math.Clamp(_textSize, 1, 8);
             var thickness = Math.Clamp(_textThickness, 1, 6);
             next = await RunImageCpuAsync(
-                () => _imageProcessor.DrawText(baseBytes, _textInput, x, y, color, scale, thickness),
+                () => _imageProcessor.DrawText(baseBytes, _textInput, x, y, color, scale, thickness, out dirty),
                 inProgressStatus: "Applying text...");
         }
         catch (Exception ex)
@@ -973,7 +1466,8 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
         }
 
         ApplyToActiveLayerAndRefresh(next);
-        await CommitHistoryAsync(_viewBytes ?? next, "Text", preserveHandles: true);
+        SetRegionUpdate(baseBytes, next, dirty);
+        await CommitHistoryAsync(next, "Text", preserveHandles: true);
         _status = "Text applied";
         RefreshFooter();
         NotifyAll();
@@ -1171,9 +1665,7 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
                 ? new()
                 : ComputeMaskBoundingRectHandles(_selectionMask, _imageWidth, _imageHeight);
 
-            _selectionPreviewPolygonPoints = _selectionMode
-                ? new()
-                : ComputeMaskOutlinePolygonPoints(_selectionMask, _imageWidth, _imageHeight);
+            _selectionPreviewPolygonPoints = new();
 
             _status = "Similar colors selected";
         }
@@ -1242,7 +1734,7 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
         }
 
         ApplyToActiveLayerAndRefresh(next);
-        await CommitHistoryAsync(_viewBytes ?? next, "Fill", preserveHandles: true);
+        await CommitHistoryAsync(next, "Fill", preserveHandles: true);
         _status = "Fill applied";
         RefreshFooter();
         NotifyAll();
@@ -1289,6 +1781,8 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
             _clipboardOffsetX = ox;
             _clipboardOffsetY = oy;
 
+            await WriteSystemClipboardAsync(rgba, w, h);
+
             _status = $"Copied {w}x{h} pixels";
         }
         catch (Exception ex)
@@ -1341,6 +1835,8 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
             _clipboardOffsetX = ox;
             _clipboardOffsetY = oy;
 
+            await WriteSystemClipboardAsync(rgba, w, h);
+
             // Then clear the selection area with background color (transparent if alpha=0)
             var clearColor = WithAlpha(Rgba32.FromHexOrDefault(_backgroundColorHex, new Rgba32(255, 255, 255, 255)), _backgroundAlpha);
             var next = await RunImageCpuAsync(
@@ -1348,7 +1844,7 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
                 inProgressStatus: "Clearing selection...");
 
             ApplyToActiveLayerAndRefresh(next);
-            await CommitHistoryAsync(_viewBytes ?? next, "Cut", preserveHandles: true);
+            await CommitHistoryAsync(next, "Cut", preserveHandles: true);
 
             _status = $"Cut {w}x{h} pixels";
         }
@@ -1364,10 +1860,25 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
 
     public async Task PasteAsync()
     {
+        // An image from another app (screenshot, browser) wins over the in-app clipboard, unless it is the
+        // selection we copied ourselves: then the in-app copy keeps its original position. Reading the system
+        // clipboard may prompt and means a decode, so it is skipped while it still holds our own copy.
+        ClipboardImage? external = null;
+        if (!HasImage || _clipboardImageBytes is not { Length: > 0 } || await SystemClipboardMayHaveChangedAsync())
+        {
+            external = await ReadSystemClipboardAsync();
+            if (external is not null && IsInAppClipboardImage(external))
+                external = null;
+        }
+
         if (!HasImage)
+        {
+            if (external is not null)
+                await AddLoadedImagesAsync(new[] { external.Image });
             return;
+        }
 
-        if (_clipboardImageBytes is null || _clipboardImageBytes.Length == 0)
+        if (external is null && (_clipboardImageBytes is null || _clipboardImageBytes.Length == 0))
         {
             _status = "Clipboard is empty";
             RefreshFooter();
@@ -1382,14 +1893,29 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
         var baseBytes = GetActiveLayerOrCurrentBytesOrThrow();
         try
         {
+            byte[] clipRgba;
+            int clipW, clipH, offsetX, offsetY;
+            if (external is not null)
+            {
+                // External images land centred on the canvas.
+                var (iw, ih) = _imageProcessor.GetSize(baseBytes);
+                (clipRgba, clipW, clipH) = (external.Rgba, external.Width, external.Height);
+                (offsetX, offsetY) = ((iw - clipW) / 2, (ih - clipH) / 2);
+            }
+            else
+            {
+                (clipRgba, clipW, clipH) = (_clipboardImageBytes!, _clipboardWidth, _clipboardHeight);
+                (offsetX, offsetY) = (_clipboardOffsetX, _clipboardOffsetY);
+            }
+
             var next = await RunImageCpuAsync(
-                () => _imageProcessor.PasteImage(baseBytes, _clipboardImageBytes, _clipboardWidth, _clipboardHeight, _clipboardOffsetX, _clipboardOffsetY),
+                () => _imageProcessor.PasteImage(baseBytes, clipRgba, clipW, clipH, offsetX, offsetY),
                 inProgressStatus: "Pasting...");
 
             ApplyToActiveLayerAndRefresh(next);
-            await CommitHistoryAsync(_viewBytes ?? next, "Paste", preserveHandles: true);
+            await CommitHistoryAsync(next, "Paste", preserveHandles: true);
 
-            _status = $"Pasted {_clipboardWidth}x{_clipboardHeight} pixels";
+            _status = $"Pasted {clipW}x{clipH} pixels";
         }
         catch (Exception ex)
         {
@@ -1401,6 +1927,88 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
         await ApplyPipelineDebouncedAsync();
     }
 
+    // Best-effort mirror of copy/cut onto the system clipboard so the selection can be pasted into other apps.
+    private async Task WriteSystemClipboardAsync(byte[] rgba, int width, int height)
+    {
+        try
+        {
+            await _imageClipboard.WriteRgbaAsync(rgba, width, height);
+        }
+        catch (Exception ex)
+        {
+            _log.Log(Microsoft.Extensions.Logging.LogLevel.Warning, "Clipboard", "System clipboard write failed", ex);
+        }
+    }
+
+    private async Task<bool> SystemClipboardMayHaveChangedAsync()
+    {
+        try
+        {
+            return await _imageClipboard.MayHaveChangedAsync();
+        }
+        catch (Exception ex)
+        {
+            _log.Log(Microsoft.Extensions.Logging.LogLevel.Warning, "Clipboard", "System clipboard state check failed", ex);
+            return true;
+        }
+    }
+
+    private async Task<ClipboardImage?> ReadSystemClipboardAsync()
+    {
+        try
+        {
+            return await _imageClipboard.ReadImageAsync();
+        }
+        catch (Exception ex)
+        {
+            _log.Log(Microsoft.Extensions.Logging.LogLevel.Warning, "Clipboard", "System clipboard read failed", ex);
+            return null;
+        }
+    }
+
+    // The PNG round trip through the system clipboard can shift the colour of translucent pixels,
+    // so only alpha and opaque colours are compared.
+    private bool IsInAppClipboardImage(ClipboardImage image)
+    {
+        var own = _clipboardImageBytes;
+        if (own is null || image.Width != _clipboardWidth || image.Height != _clipboardHeight || image.Rgba.Length != own.Length)
+            return false;
+
+        for (var i = 0; i < own.Length; i += 4)
+        {
+            if (own[i + 3] != image.Rgba[i + 3])
+                return false;
+
+            if (own[i + 3] == 255 && (own[i] != image.Rgba[i] || own[i + 1] != image.Rgba[i + 1] || own[i + 2] != image.Rgba[i + 2]))
+                return false;
+        }
+
+        return true;
+    }
+
+    private CanvasSelectionMask? GetSelectionOutline()
+    {
+        // The lasso keeps its own polygon outline.
+        if (SelectionMask is not { } mask || HasSelectionPreviewPolygon)
+            return null;
+
+        if (_selectionOutline is { } outline && ReferenceEquals(outline.Mask, mask) && outline.Width == _imageWidth && outline.Height == _imageHeight)
+            return outline;
+
+        _selectionOutline = new CanvasSelectionMask(_imageWidth, _imageHeight, mask);
+        return _selectionOutline;
+    }
+
+    private PixelRect? GetSelectionRect()
+    {
+        if (!HasImage || !_selectionMode || _handles.Count != 4)
+            return null;
+
+        var (x0, y0, w, h) = GetHandlesRect();
+        var rect = PixelRect.FromEdges(x0, y0, x0 + w, y0 + h, _imageWidth, _imageHeight);
+        return rect.IsEmpty ? null : rect;
+    }
+
     /// <summary>
     /// Gets the current selection mask, either from selection mode rectangle or from magic wand/lasso.
     /// </summary>
@@ -1455,12 +2063,13 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
 
         var baseBytes = GetActiveLayerOrCurrentBytesOrThrow();
         byte[] next;
+        var dirty = default(PixelRect);
         try
         {
             var scale = (double)Math.Clamp(_textSize, 1, 8);
             var thickness = Math.Clamp(_textThickness, 1, 6);
             next = await RunImageCpuAsync(
-                () => _imageProcessor.DrawText(baseBytes, _textInput, tx, ty, color, scale, thickness),
+                () => _imageProcessor.DrawText(baseBytes, _textInput, tx, ty, color, scale, thickness, out dirty),
                 inProgressStatus: "Applying text...");
         }
         catch (Exception ex)
@@ -1472,7 +2081,8 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
         }
 
         ApplyToActiveLayerAndRefresh(next);
-        await CommitHistoryAsync(_viewBytes ?? next, "Text", preserveHandles: true);
+        SetRegionUpdate(baseBytes, next, dirty);
+        await CommitHistoryAsync(next, "Text", preserveHandles: true);
         _status = "Text applied";
         RefreshFooter();
         NotifyAll();
@@ -1506,6 +2116,12 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
     private static Rgba32 WithAlpha(Rgba32 c, int a)
         => new(c.R, c.G, c.B, (byte)Math.Clamp(a, 0, 255));
 
+    // Brush paints the foreground color; the eraser paints the background color.
+    private Rgba32 GetStrokeColor(CanvasInteractionMode mode)
+        => mode == CanvasInteractionMode.Eraser
+            ? WithAlpha(Rgba32.FromHexOrDefault(_backgroundColorHex, new Rgba32(255, 255, 255, 255)), _backgroundAlpha)
+            : WithAlpha(Rgba32.FromHexOrDefault(_foregroundColorHex, new Rgba32(0, 0, 0, 255)), _foregroundAlpha);
+
     public Task OnSelectionBlurKernelSizeChanged(int v)
     {
         _selectionBlurKernelSize = Math.Clamp(v, 0, 31);
@@ -1564,7 +2180,8 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
         }
 
         ApplyToActiveLayerAndRefresh(next);
-        await CommitHistoryAsync(_viewBytes ?? next, "Blur", preserveHandles: true);
+        SetRegionUpdate(baseBytes, next, PixelRect.FromEdges(x0, y0, x0 + w, y0 + h, _imageWidth, _imageHeight));
+        await CommitHistoryAsync(next, "Blur", preserveHandles: true);
         _status = "Blur applied";
         RefreshFooter();
         NotifyAll();
@@ -1615,7 +2232,8 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
         }
 
         ApplyToActiveLayerAndRefresh(next);
-        await CommitHistoryAsync(_viewBytes ?? next, "Sharpen", preserveHandles: true);
+        SetRegionUpdate(baseBytes, next, PixelRect.FromEdges(x0, y0, x0 + w, y0 + h, _imageWidth, _imageHeight));
+        await CommitHistoryAsync(next, "Sharpen", preserveHandles: true);
         _status = "Sharpen applied";
         RefreshFooter();
         NotifyAll();
@@ -1685,118 +2303,6 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
         };
     }
 
-    private static List<CanvasPoint> ComputeMaskOutlinePolygonPoints(byte[]? mask, int width, int height)
-    {
-        if (mask is null || mask.Length == 0 || width <= 0 || height <= 0)
-            return new();
-
-        if (mask.Length != width * height)
-            return new();
-
-        var segments = new List<(IntPoint A, IntPoint B)>(capacity: 2048);
-
-        for (var y = 0; y < height; y++)
-        {
-            var row = y * width;
-            for (var x = 0; x < width; x++)
-            {
-                if (mask[row + x] == 0)
-                    continue;
-
-                var hasTop = y > 0 && mask[(y - 1) * width + x] != 0;
-                var hasRight = x < width - 1 && mask[row + (x + 1)] != 0;
-                var hasBottom = y < height - 1 && mask[(y + 1) * width + x] != 0;
-                var hasLeft = x > 0 && mask[row + (x - 1)] != 0;
-
-                // pixel square boundary on integer grid; clockwise segments
-                if (!hasTop)
-                    segments.Add((new IntPoint(x, y), new IntPoint(x + 1, y)));
-                if (!hasRight)
-                    segments.Add((new IntPoint(x + 1, y), new IntPoint(x + 1, y + 1)));
-                if (!hasBottom)
-                    segments.Add((new IntPoint(x + 1, y + 1), new IntPoint(x, y + 1)));
-                if (!hasLeft)
-                    segments.Add((new IntPoint(x, y + 1), new IntPoint(x, y)));
-            }
-        }
-
-        if (segments.Count == 0)
-            return new();
-
-        var outgoing = new Dictionary<IntPoint, List<IntPoint>>(capacity: segments.Count);
-        var unused = new HashSet<Seg>(capacity: segments.Count);
-
-        foreach (var (a, b) in segments)
-        {
-            if (!outgoing.TryGetValue(a, out var list))
-            {
-                list = new List<IntPoint>(1);
-                outgoing[a] = list;
-            }
-
-            list.Add(b);
-            unused.Add(new Seg(a, b));
-        }
-
-        List<IntPoint>? best = null;
-
-        foreach (var s in unused.ToArray())
-        {
-            if (!unused.Contains(s))
-                continue;
-
-            var start = s.A;
-            var loop = new List<IntPoint>(capacity: 256) { s.A, s.B };
-            unused.Remove(s);
-
-            var next = s.B;
-            var guard = 0;
-            while (!next.Equals(start) && guard++ < 1_000_000)
-            {
-                if (!outgoing.TryGetValue(next, out var outs) || outs.Count == 0)
-                    break;
-
-                Seg? found = null;
-                for (var i = 0; i < outs.Count; i++)
-                {
-                    var cand = new Seg(next, outs[i]);
-                    if (unused.Contains(cand))
-                    {
-                        found = cand;
-                        break;
-                    }
-                }
-
-                if (found is null)
-                    break;
-
-                unused.Remove(found.Value);
-                next = found.Value.B;
-                loop.Add(next);
-            }
-
-            if (loop.Count >= 4 && loop[^1].Equals(start))
-            {
-                if (best is null || loop.Count > best.Count)
-                    best = loop;
-            }
-        }
-
-        if (best is null)
-            return new();
-
-        if (best.Count > 1 && best[^1].Equals(best[0]))
-            best.RemoveAt(best.Count - 1);
-
-        var result = new List<CanvasPoint>(best.Count);
-        for (var i = 0; i < best.Count; i++)
-            result.Add(new CanvasPoint(best[i].X, best[i].Y));
-        return result;
-    }
-
-    private readonly record struct IntPoint(int X, int Y);
-    private readonly record struct Seg(IntPoint A, IntPoint B);
-
     public async Task ApplyCropAsync()
     {
         if (!HasImage)
@@ -1847,7 +2353,7 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
         _cropMode = false;
         _handles = new();
         ApplyToActiveLayerAndRefresh(cropped);
-        await CommitHistoryAsync(_viewBytes ?? cropped, "Crop");
+        await CommitHistoryAsync(cropped, "Crop");
 
         _status = "Crop applied";
         RefreshFooter();
@@ -1883,15 +2389,14 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
 
         var baseBytes = GetActiveLayerOrCurrentBytesOrThrow();
         byte[] next;
+        var dirty = default(PixelRect);
         try
         {
             var radius = Math.Clamp(_brushRadius, 1, 64);
-            var color = stroke.Mode == CanvasInteractionMode.Eraser
-                ? WithAlpha(Rgba32.FromHexOrDefault(_backgroundColorHex, new Rgba32(255, 255, 255, 255)), _backgroundAlpha)
-                : WithAlpha(Rgba32.FromHexOrDefault(_foregroundColorHex, new Rgba32(0, 0, 0, 255)), _foregroundAlpha);
+            var color = GetStrokeColor(stroke.Mode);
 
             next = await RunImageCpuAsync(
-                () => _imageProcessor.ApplyStroke(baseBytes, stroke.Mode, stroke.Points, radius, color),
+                () => _imageProcessor.ApplyStroke(baseBytes, stroke.Mode, stroke.Points, radius, color, out dirty),
                 inProgressStatus: "Applying stroke...");
         }
         catch (Exception ex)
@@ -1903,7 +2408,8 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
         }
 
         ApplyToActiveLayerAndRefresh(next);
-        await CommitHistoryAsync(_viewBytes ?? next, stroke.Mode == CanvasInteractionMode.Eraser ? "Eraser" : "Brush");
+        SetRegionUpdate(baseBytes, next, dirty);
+        await CommitHistoryAsync(next, stroke.Mode == CanvasInteractionMode.Eraser ? "Eraser" : "Brush");
         _status = "Stroke applied";
         RefreshFooter();
         NotifyAll();
@@ -1950,7 +2456,7 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
 
         _perspectiveMode = false;
         ApplyToActiveLayerAndRefresh(warped);
-        await CommitHistoryAsync(_viewBytes ?? warped, "Perspective");
+        await CommitHistoryAsync(warped, "Perspective");
 
         _status = "Perspective applied";
         RefreshFooter();
@@ -1993,7 +2499,7 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
         }
 
         ApplyToActiveLayerAndRefresh(transformed);
-        await CommitHistoryAsync(_viewBytes ?? transformed, label);
+        await CommitHistoryAsync(transformed, label);
 
         _status = "Transform applied";
         RefreshFooter();
@@ -2013,6 +2519,7 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
             _cartoon = false;
             _colorMap = ColorMapStyle.None;
         }
+        UpdatePreviewAdjustments();
         NotifyAll();
         return ApplyPipelineDebouncedAsync();
     }
@@ -2027,12 +2534,13 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
             _cartoon = false;
             _colorMap = ColorMapStyle.None;
         }
+        UpdatePreviewAdjustments();
         NotifyAll();
         return ApplyPipelineDebouncedAsync();
     }
 
-    public Task OnInvertChanged(bool v) { _invert = v; NotifyAll(); return ApplyPipelineDebouncedAsync(); }
-    public Task OnSaturationChanged(double v) { _saturation = v; NotifyAll(); return ApplyPipelineDebouncedAsync(); }
+    public Task OnInvertChanged(bool v) { _invert = v; UpdatePreviewAdjustments(); NotifyAll(); return ApplyPipelineDebouncedAsync(); }
+    public Task OnSaturationChanged(double v) { _saturation = v; UpdatePreviewAdjustments(); NotifyAll(); return ApplyPipelineDebouncedAsync(); }
 
     public Task OnSketchChanged(bool v)
     {
@@ -2097,8 +2605,8 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
     public Task OnCannyChanged(bool v) { _canny = v; NotifyAll(); return ApplyPipelineDebouncedAsync(); }
     public Task OnCannyT1Changed(double v) { _cannyT1 = v; NotifyAll(); return ApplyPipelineDebouncedAsync(); }
     public Task OnCannyT2Changed(double v) { _cannyT2 = v; NotifyAll(); return ApplyPipelineDebouncedAsync(); }
-    public Task OnContrastChanged(double v) { _contrast = v; NotifyAll(); return ApplyPipelineDebouncedAsync(); }
-    public Task OnBrightnessChanged(double v) { _brightness = v; NotifyAll(); return ApplyPipelineDebouncedAsync(); }
+    public Task OnContrastChanged(double v) { _contrast = v; UpdatePreviewAdjustments(); NotifyAll(); return ApplyPipelineDebouncedAsync(); }
+    public Task OnBrightnessChanged(double v) { _brightness = v; UpdatePreviewAdjustments(); NotifyAll(); return ApplyPipelineDebouncedAsync(); }
 
     private Task ApplyPipelineDebouncedAsync()
     {
@@ -2124,6 +2632,14 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
         return Task.CompletedTask;
     }
 
+    private void UpdatePreviewAdjustments()
+    {
+        // Only the color adjustments the canvas can reproduce per pixel get an instant preview.
+        _previewAdjustments = HasImage && !_perspectiveMode
+            ? new CanvasPreviewAdjustments(_brightness, _contrast, _saturation, _invert, _grayscale, _sepia)
+            : null;
+    }
+
     private ImageProcessorService.ProcessingSettings BuildProcessingSettings()
         => new(
             BlurKernelSize: _blurKernelSize,
@@ -2178,6 +2694,7 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
                     return;
 
                 _viewBytes = preview;
+                _previewAdjustments = null;
                 _status = "Preview";
                 RefreshFooter();
                 NotifyAll();
@@ -2195,7 +2712,8 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
 
             // Apply the processed result to the active layer (or all if only one layer exists)
             ApplyToActiveLayerAndRefresh(processed);
-            await CommitHistoryAsync(_viewBytes ?? processed, "Filters", replaceCurrentIfSameLabel: true, preserveHandles: _cropMode || _selectionMode);
+            _previewAdjustments = null;
+            await CommitHistoryAsync(processed, "Filters", replaceCurrentIfSameLabel: true, preserveHandles: _cropMode || _selectionMode);
 
             _status = "Updated";
             RefreshFooter();
@@ -2206,6 +2724,7 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
         }
         catch (Exception ex)
         {
+            _previewAdjustments = null;
             ReportError("처리 중 문제가 발생했습니다. 로그를 내보내기에서 확인해 주세요.", ex, "Filter");
         }
     }
@@ -2259,7 +2778,7 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
         // Update layer bytes
         layer.Bytes = bytes.ToArray();
 
-        _viewBytes = GetCompositedBytesOrFallback() ?? bytes;
+        _viewBytes = GetViewBytesFromLayers() ?? bytes;
         (_imageWidth, _imageHeight) = size;
 
         if (!preserveHandles)
@@ -2297,6 +2816,8 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
         _debounceCts = null;
 
         _perspectiveMode = false;
+        _previewAdjustments = null;
+        _regionUpdate = null;
         layer.HistoryIndex = index;
 
         var entry = layer.History[index];
@@ -2305,7 +2826,7 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
         // Update layer bytes from history
         layer.Bytes = bytes.ToArray();
 
-        _viewBytes = GetCompositedBytesOrFallback() ?? bytes;
+        _viewBytes = GetViewBytesFromLayers() ?? bytes;
         (_imageWidth, _imageHeight) = await RunImageCpuAsync(() => _imageProcessor.GetSize(bytes), inProgressStatus: "Loading...");
         _handles = new();
 
@@ -2343,6 +2864,8 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
         _magicWandDebounceCts?.Dispose();
         _magicWandDebounceCts = null;
 
+        _openFolderCts?.Cancel();
+
         _processingLock.Dispose();
     }
 
@@ -2408,6 +2931,35 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
         }
     }
 
+    /// <summary>
+    /// Layers for <see cref="ImageCanvas"/> to composite on the JS side (browser runtime, two or more layers).
+    /// Null while the view shows a single flattened buffer, including the perspective/crop/selection editors.
+    /// </summary>
+    public IReadOnlyList<CanvasLayer>? CanvasLayers
+    {
+        get
+        {
+            if (!CanvasShowsLayers)
+                return null;
+
+            var result = new CanvasLayer[_layers.Count];
+            for (var i = 0; i < _layers.Count; i++)
+                result[i] = new CanvasLayer(_layers[i].Id, _layers[i].Bytes, _layers[i].Visible);
+
+            return result;
+        }
+    }
+
+    // In the browser every layer is backed by cached RGBA pixels, so the canvas can composite them itself
+    // and visibility toggles or single-layer edits don't need a C# flatten plus a full-size interop copy.
+    private bool CanvasCompositesLayers => OperatingSystem.IsBrowser() && _layers.Count > 1;
+
+    // The perspective/crop/selection editors draw over one flattened buffer, so they get the composite too.
+    private bool CanvasShowsLayers => CanvasCompositesLayers && !_perspectiveMode && !_cropMode && !_selectionMode;
+
+    private byte[]? GetViewBytesFromLayers()
+        => CanvasShowsLayers ? ActiveLayerBytes : GetCompositedBytesOrFallback();
+
     private byte[]? ActiveLayerBytes
     {
         get
@@ -2491,7 +3043,7 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
     {
         // Show all visible layers composited together.
         // Users can control which layers are visible via the visibility toggle in the UI.
-        _viewBytes = GetCompositedBytesOrFallback() ?? _viewBytes;
+        _viewBytes = GetViewBytesFromLayers() ?? _viewBytes;
     }
 
     public async Task AddLayerAsync()
@@ -2508,9 +3060,43 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
             return;
 
         var created = _imageProcessor.CreateTransparent(w, h);
-        var newLayer = new LayerEntry(Guid.NewGuid(), $"Layer {_layers.Count + 1}", created.Bytes, true);
+        InsertLayer($"Layer {_layers.Count + 1}", created.Bytes);
+    }
+
+    // Adds an image as a new top layer, centred on the canvas (larger images are clipped to the canvas size).
+    private async Task AddImageLayerAsync(ImagePickResult pick)
+    {
+        var sizeSource = GetCompositedBytesOrFallback() ?? CurrentBytes;
+        if (sizeSource is null)
+            return;
+
+        try
+        {
+            var bytes = await RunImageCpuAsync(() =>
+            {
+                var (w, h) = _imageProcessor.GetSize(sizeSource);
+                var image = _imageProcessor.GetRgba(pick.Bytes);
+                var blank = _imageProcessor.CreateTransparent(w, h).Bytes;
+                return _imageProcessor.PasteImage(blank, image.RgbaBytes, image.Width, image.Height, (w - image.Width) / 2, (h - image.Height) / 2);
+            }, inProgressStatus: "Adding layer...");
+
+            InsertLayer(Path.GetFileNameWithoutExtension(pick.FileName), bytes);
+            _status = $"Added layer from {pick.FileName}";
+        }
+        catch (Exception ex)
+        {
+            _status = ex.Message;
+        }
+
+        RefreshFooter();
+        NotifyAll();
+    }
+
+    private void InsertLayer(string name, byte[] bytes)
+    {
+        var newLayer = new LayerEntry(Guid.NewGuid(), name, bytes, true);
         // Initialize first history entry for the new layer
-        newLayer.History.Add(new LayerHistoryEntry(created.Bytes.ToArray(), "Initial", DateTime.UtcNow, null));
+        newLayer.History.Add(new LayerHistoryEntry(bytes.ToArray(), "Initial", DateTime.UtcNow, null));
         newLayer.HistoryIndex = 0;
         _layers.Add(newLayer);
         _activeLayerIndex = _layers.Count - 1;
@@ -2660,9 +3246,14 @@ public sealed partial class EditorViewModel : ObservableObject, IDisposable
         // Immediately update viewBytes with the new result before history is committed.
         // This ensures the canvas shows the latest edit right away.
         // Composite all visible layers including the just-edited one.
-        _viewBytes = GetCompositedBytesWithOverride(_activeLayerIndex, next) ?? next;
+        _viewBytes = CanvasShowsLayers
+            ? next
+            : GetCompositedBytesWithOverride(_activeLayerIndex, next) ?? next;
     }
 
+    private void SetRegionUpdate(byte[] baseBytes, byte[] next, PixelRect dirty)
+        => _regionUpdate = dirty.IsEmpty ? null : new CanvasRegionUpdate(baseBytes, next, dirty);
+
     /// <summary>
     /// Computes composited bytes of visible layers, using an override for a specific layer index.
     /// Used to show immediate edits before they are committed to history.
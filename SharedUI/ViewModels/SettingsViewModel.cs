@@ -26,6 +26,19 @@ public sealed class SettingsViewModel : ObservableObject, IDisposable
     private double _touchInertiaStopSpeed;
     private double _touchInertiaDecayPer16ms;
 
+    private CanvasRenderBackend _canvasRenderer;
+    private int _canvasCheckerSize;
+    private string _canvasCheckerLightColor = "#ffffff";
+    private string _canvasCheckerDarkColor = "#cccccc";
+    private string _canvasBackdropColor = "#808080";
+    private double _canvasNearestNeighborZoom;
+    private double _canvasPixelGridZoom;
+    private bool _canvasShowRulers;
+    private int _canvasSnapDistance;
+
+    private bool _importApplyExifOrientation;
+    private bool _exportKeepMetadata;
+
     private string? _logExportStatus;
 
     public SettingsViewModel(AppSettingsService settingsService, NavigationManager nav, IJSRuntime js, ILogExportService logExport, MogeLogService log)
@@ -48,6 +61,19 @@ public sealed class SettingsViewModel : ObservableObject, IDisposable
     public double TouchInertiaStopSpeed => _touchInertiaStopSpeed;
     public double TouchInertiaDecayPer16ms => _touchInertiaDecayPer16ms;
 
+    public CanvasRenderBackend CanvasRenderer => _canvasRenderer;
+    public int CanvasCheckerSize => _canvasCheckerSize;
+    public string CanvasCheckerLightColor => _canvasCheckerLightColor;
+    public string CanvasCheckerDarkColor => _canvasCheckerDarkColor;
+    public string CanvasBackdropColor => _canvasBackdropColor;
+    public double CanvasNearestNeighborZoom => _canvasNearestNeighborZoom;
+    public double CanvasPixelGridZoom => _canvasPixelGridZoom;
+    public bool CanvasShowRulers => _canvasShowRulers;
+    public int CanvasSnapDistance => _canvasSnapDistance;
+
+    public bool ImportApplyExifOrientation => _importApplyExifOrientation;
+    public bool ExportKeepMetadata => _exportKeepMetadata;
+
     public string? LogExportStatus => _logExportStatus;
 
     public async Task InitializeAsync()
@@ -71,6 +97,19 @@ public sealed class SettingsViewModel : ObservableObject, IDisposable
         SetProperty(ref _touchInertiaStartSpeed, s.TouchInertiaStartSpeed, nameof(TouchInertiaStartSpeed));
         SetProperty(ref _touchInertiaStopSpeed, s.TouchInertiaStopSpeed, nameof(TouchInertiaStopSpeed));
         SetProperty(ref _touchInertiaDecayPer16ms, s.TouchInertiaDecayPer16ms, nameof(TouchInertiaDecayPer16ms));
+
+        SetProperty(ref _canvasRenderer, s.CanvasRenderer, nameof(CanvasRenderer));
+        SetProperty(ref _canvasCheckerSize, s.CanvasCheckerSize, nameof(CanvasCheckerSize));
+        SetProperty(ref _canvasCheckerLightColor, s.CanvasCheckerLightColor, nameof(CanvasCheckerLightColor));
+        SetProperty(ref _canvasCheckerDarkColor, s.CanvasCheckerDarkColor, nameof(CanvasCheckerDarkColor));
+        SetProperty(ref _canvasBackdropColor, s.CanvasBackdropColor, nameof(CanvasBackdropColor));
+        SetProperty(ref _canvasNearestNeighborZoom, s.CanvasNearestNeighborZoom, nameof(CanvasNearestNeighborZoom));
+        SetProperty(ref _canvasPixelGridZoom, s.CanvasPixelGridZoom, nameof(CanvasPixelGridZoom));
+        SetProperty(ref _canvasShowRulers, s.CanvasShowRulers, nameof(CanvasShowRulers));
+        SetProperty(ref _canvasSnapDistance, s.CanvasSnapDistance, nameof(CanvasSnapDistance));
+
+        SetProperty(ref _importApplyExifOrientation, s.ImportApplyExifOrientation, nameof(ImportApplyExifOrientation));
+        SetProperty(ref _exportKeepMetadata, s.ExportKeepMetadata, nameof(ExportKeepMetadata));
     }
 
     public Task OnThemeChanged(AppThemeMode mode)
@@ -117,6 +156,49 @@ public sealed class SettingsViewModel : ObservableObject, IDisposable
     public Task OnTouchInertiaDecayChanged(double v)
         => _settingsService.UpdateAsync(s => s with { TouchInertiaDecayPer16ms = Math.Clamp(v, 0.80, 0.99) });
 
+    public Task OnCanvasRendererChanged(CanvasRenderBackend backend)
+        => _settingsService.UpdateAsync(s => s with { CanvasRenderer = backend });
+
+    public Task OnCanvasCheckerSizeChanged(int v)
+        => _settingsService.UpdateAsync(s => s with { CanvasCheckerSize = Math.Clamp(v, 2, 64) });
+
+    public Task OnCanvasCheckerLightColorChanged(string? hex)
+        => _settingsService.UpdateAsync(s => s with { CanvasCheckerLightColor = NormalizeHexColor(hex, s.CanvasCheckerLightColor) });
+
+    public Task OnCanvasCheckerDarkColorChanged(string? hex)
+        => _settingsService.UpdateAsync(s => s with { CanvasCheckerDarkColor = NormalizeHexColor(hex, s.CanvasCheckerDarkColor) });
+
+    public Task OnCanvasBackdropColorChanged(string? hex)
+        => _settingsService.UpdateAsync(s => s with { CanvasBackdropColor = NormalizeHexColor(hex, s.CanvasBackdropColor) });
+
+    public Task OnCanvasNearestNeighborZoomChanged(double v)
+        => _settingsService.UpdateAsync(s => s with { CanvasNearestNeighborZoom = Math.Clamp(v, 1.0, 32.0) });
+
+    public Task OnCanvasPixelGridZoomChanged(double v)
+        => _settingsService.UpdateAsync(s => s with { CanvasPixelGridZoom = Math.Clamp(v, 2.0, 50.0) });
+
+    public Task OnCanvasShowRulersChanged(bool show)
+        => _settingsService.UpdateAsync(s => s with { CanvasShowRulers = show });
+
+    public Task OnCanvasSnapDistanceChanged(int v)
+        => _settingsService.UpdateAsync(s => s with { CanvasSnapDistance = Math.Clamp(v, 0, 32) });
+
+    public Task OnImportApplyExifOrientationChanged(bool apply)
+        => _settingsService.UpdateAsync(s => s with { ImportApplyExifOrientation = apply });
+
+    public Task OnExportKeepMetadataChanged(bool keep)
+        => _settingsService.UpdateAsync(s => s with { ExportKeepMetadata = keep });
+
+    private static string NormalizeHexColor(string? hex, string fallback)
+    {
+        // <input type="color"> always yields #rrggbb; anything else keeps the previous value.
+        var s = hex?.Trim();
+        if (s is not { Length: 7 } || s[0] != '#' || !s.Skip(1).All(char.IsAsciiHexDigit))
+            return fallback;
+
+        return s.ToLowerInvariant();
+    }
+
     public async Task GoBackAsync()
     {
         try
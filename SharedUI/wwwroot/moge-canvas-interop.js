@@ -0,0 +1,8 @@
+// ES module imported through JSHost on WebAssembly only (see Components/CanvasPixelInterop.cs).
+// The MemoryView is a window onto the .NET heap that is valid only during the call, so the pixels are copied
+// once, straight into the array that will back the ImageData, and parked in mogeCanvas under the token.
+export function stagePixels(token, view) {
+  const pixels = new Uint8ClampedArray(view.length);
+  view.copyTo(pixels);
+  globalThis.mogeCanvas.stagePixels(token, pixels);
+}
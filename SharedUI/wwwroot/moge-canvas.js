@@ -1,39 +1,1103 @@
 (() => {
   const canvasToImage = new WeakMap();
   const canvasToRawCanvas = new WeakMap();
+  const canvasToGl = new WeakMap();
+  const canvasToChecker = new WeakMap();
+  const canvasToLayers = new WeakMap();
+  const canvasToStroke = new WeakMap();
+  const canvasToDrawState = new WeakMap();
+  const canvasToCompare = new WeakMap();
+  const canvasToSelection = new WeakMap();
+  const canvasToAntsView = new WeakMap();
+  const canvasToTransparency = new WeakMap();
+  const canvasToHistogramMask = new WeakMap();
 
-  async function canvasToPngBlob(sourceCanvas) {
-    if (!sourceCanvas) return null;
+  // Marching ants: dash length in CSS px and how often (ms) the dashes step along the outline.
+  const ANTS_DASH = 4;
+  const ANTS_INTERVAL = 120;
 
-    // OffscreenCanvas: convertToBlob
-    if (typeof OffscreenCanvas !== 'undefined' && sourceCanvas instanceof OffscreenCanvas) {
-      return await sourceCanvas.convertToBlob({ type: 'image/png' });
+  // WebGL2 backend: the image is uploaded once as a grid of textures (GPU texture size is limited,
+  // so large scans need several) and pan/zoom only updates the transform uniform.
+  const GL_TILE_SIZE = 2048;
+  let glUnsupported = false;
+
+  const GL_VERTEX_SHADER = `#version 300 es
+in vec2 a_pos;
+uniform vec4 u_rect;      // tile rect in image pixels (x, y, w, h)
+uniform vec4 u_uv;        // tile rect inside its texture (u0, v0, u1, v1)
+uniform vec3 u_transform; // scale, offsetX, offsetY in device pixels
+uniform vec2 u_viewport;  // render target size in device pixels
+out vec2 v_uv;
+void main() {
+  vec2 device = (u_rect.xy + a_pos * u_rect.zw) * u_transform.x + u_transform.yz;
+  vec2 clip = (device / u_viewport) * 2.0 - 1.0;
+  gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+  v_uv = mix(u_uv.xy, u_uv.zw, a_pos);
+}`;
+
+  const GL_FRAGMENT_SHADER = `#version 300 es
+precision highp float;
+in vec2 v_uv;
+uniform sampler2D u_tex;
+out vec4 outColor;
+void main() {
+  outColor = texture(u_tex, v_uv);
+}`;
+
+  // Slider previews are an SVG filter mirroring RgbaImageOps (same op order as ApplyPipelineBrowser,
+  // BT.601 luma, brightness in 0..255 units) so the pipeline result lands without a visible jump.
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  const SEPIA_MATRIX = [0.393, 0.769, 0.189, 0.349, 0.686, 0.168, 0.272, 0.534, 0.131];
+  const LUMA = [0.299, 0.587, 0.114];
+  let previewFilterKey = null;
+  let previewFilterUrl = 'none';
+  let previewFilterSerial = 0;
+
+  function linearTransfer(slope, intercept) {
+    const fn = (c) => `<feFunc${c} type="linear" slope="${slope}" intercept="${intercept}"/>`;
+    return `<feComponentTransfer>${fn('R')}${fn('G')}${fn('B')}</feComponentTransfer>`;
+  }
+
+  function colorMatrix(m) {
+    const rows = [0, 3, 6].map((i) => `${m[i]} ${m[i + 1]} ${m[i + 2]} 0 0`);
+    return `<feColorMatrix type="matrix" values="${rows.join(' ')} 0 0 0 1 0"/>`;
+  }
+
+  function saturationMatrix(s) {
+    // y + (c - y) * s, with y the BT.601 luma
+    const m = [];
+    for (let row = 0; row < 3; row++) {
+      for (let col = 0; col < 3; col++) {
+        m.push(LUMA[col] * (1 - s) + (row === col ? s : 0));
+      }
     }
+    return m;
+  }
 
-    // HTMLCanvasElement: toBlob
-    if (typeof sourceCanvas.toBlob === 'function') {
-      return await new Promise((resolve) => sourceCanvas.toBlob(resolve, 'image/png'));
+  function getPreviewFilter(preview) {
+    if (!preview) return 'none';
+
+    const contrast = preview.contrast ?? 1;
+    const brightness = preview.brightness ?? 0;
+    const saturation = Math.min(3, Math.max(0, preview.saturation ?? 1));
+
+    const ops = [];
+    if (Math.abs(contrast - 1) > 0.0001 || Math.abs(brightness) > 0.0001) ops.push(linearTransfer(contrast, brightness / 255));
+    if (Math.abs(saturation - 1) > 0.0001) ops.push(colorMatrix(saturationMatrix(saturation)));
+    if (preview.invert) ops.push(linearTransfer(-1, 1));
+    if (preview.sepia) ops.push(colorMatrix(SEPIA_MATRIX));
+    else if (preview.grayscale) ops.push(colorMatrix([...LUMA, ...LUMA, ...LUMA]));
+
+    if (ops.length === 0) return 'none';
+
+    const key = ops.join('');
+    if (key === previewFilterKey) return previewFilterUrl;
+
+    let host = document.getElementById('moge-canvas-preview-filters');
+    if (!host) {
+      host = document.createElementNS(SVG_NS, 'svg');
+      host.id = 'moge-canvas-preview-filters';
+      host.setAttribute('width', '0');
+      host.setAttribute('height', '0');
+      host.setAttribute('aria-hidden', 'true');
+      host.style.position = 'absolute';
+      document.body.appendChild(host);
+    }
+
+    // A fresh id per change: browsers cache ctx.filter by its string value.
+    const id = `moge-canvas-preview-${++previewFilterSerial}`;
+    host.innerHTML = `<filter id="${id}" color-interpolation-filters="sRGB">${key}</filter>`;
+    previewFilterKey = key;
+    previewFilterUrl = `url(#${id})`;
+    return previewFilterUrl;
+  }
+
+  function getCheckerPattern(canvas, ctx, cell, light, dark) {
+    const key = `${cell}|${light}|${dark}`;
+    const cached = canvasToChecker.get(canvas);
+    if (cached && cached.key === key) return cached.pattern;
+
+    const tile = createSurface(cell * 2, cell * 2);
+    const tctx = tile.getContext('2d');
+    tctx.fillStyle = light;
+    tctx.fillRect(0, 0, cell * 2, cell * 2);
+    tctx.fillStyle = dark;
+    tctx.fillRect(cell, 0, cell, cell);
+    tctx.fillRect(0, cell, cell, cell);
+
+    const pattern = ctx.createPattern(tile, 'repeat');
+    canvasToChecker.set(canvas, { key, pattern });
+    return pattern;
+  }
+
+  function drawBackdrop(canvas, ctx, state, bounds) {
+    // Device-pixel space: the backdrop fills the viewport, the checkerboard only the image bounds.
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+
+    if (state?.backdrop) {
+      ctx.fillStyle = state.backdrop;
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+
+    const checker = state?.checker;
+    if (!bounds || !checker) return;
+
+    // Cells keep their on-screen size at every zoom level; the pattern is anchored to the image origin
+    // so it moves with the image while panning.
+    const cell = Math.max(1, Math.round((checker.size ?? 8) * bounds.dpr));
+    const pattern = getCheckerPattern(canvas, ctx, cell, checker.light ?? '#ffffff', checker.dark ?? '#cccccc');
+    pattern.setTransform?.(new DOMMatrix([1, 0, 0, 1, Math.round(bounds.x), Math.round(bounds.y)]));
+
+    const left = Math.max(0, bounds.x);
+    const top = Math.max(0, bounds.y);
+    const right = Math.min(canvas.width, bounds.x + bounds.width);
+    const bottom = Math.min(canvas.height, bounds.y + bounds.height);
+    if (right <= left || bottom <= top) return;
+
+    ctx.fillStyle = pattern;
+    ctx.fillRect(left, top, right - left, bottom - top);
+  }
+
+  function drawPixelGrid(canvas, ctx, bounds, pixelScale, imageWidth, imageHeight) {
+    // 1-device-pixel lines on the image pixel boundaries, limited to what's visible.
+    const left = Math.max(0, bounds.x);
+    const top = Math.max(0, bounds.y);
+    const right = Math.min(canvas.width, bounds.x + bounds.width);
+    const bottom = Math.min(canvas.height, bounds.y + bounds.height);
+    if (right <= left || bottom <= top) return;
+
+    const x0 = Math.max(0, Math.ceil((left - bounds.x) / pixelScale));
+    const x1 = Math.min(imageWidth, Math.floor((right - bounds.x) / pixelScale));
+    const y0 = Math.max(0, Math.ceil((top - bounds.y) / pixelScale));
+    const y1 = Math.min(imageHeight, Math.floor((bottom - bounds.y) / pixelScale));
+
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.beginPath();
+    for (let x = x0; x <= x1; x++) {
+      const px = Math.round(bounds.x + x * pixelScale) + 0.5;
+      ctx.moveTo(px, top);
+      ctx.lineTo(px, bottom);
+    }
+    for (let y = y0; y <= y1; y++) {
+      const py = Math.round(bounds.y + y * pixelScale) + 0.5;
+      ctx.moveTo(left, py);
+      ctx.lineTo(right, py);
+    }
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = 'rgba(128, 128, 128, 0.55)';
+    ctx.stroke();
+  }
+
+  // The "before" image, stretched over the current image bounds so a crop or resize still lines up roughly.
+  // clip (device px) limits it to one side of the split divider.
+  function drawCompareImage(canvas, ctx, state, compare, bounds, imageWidth, imageHeight, scale, offsetX, offsetY, smooth, clip) {
+    ctx.save();
+    if (clip) {
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.beginPath();
+      ctx.rect(clip.x, clip.y, clip.width, clip.height);
+      ctx.clip();
+      ctx.clearRect(clip.x, clip.y, clip.width, clip.height);
+    }
+
+    drawBackdrop(canvas, ctx, state, bounds);
+    ctx.setTransform(scale, 0, 0, scale, offsetX, offsetY);
+    ctx.imageSmoothingEnabled = smooth;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(compare.source, 0, 0, imageWidth, imageHeight);
+    ctx.restore();
+  }
+
+  function drawCompareDivider(canvas, ctx, horizontal, at, dpr) {
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.beginPath();
+    if (horizontal) {
+      ctx.moveTo(0, at);
+      ctx.lineTo(canvas.width, at);
+    } else {
+      ctx.moveTo(at, 0);
+      ctx.lineTo(at, canvas.height);
+    }
+    ctx.lineWidth = 3 * dpr;
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.5)';
+    ctx.stroke();
+    ctx.lineWidth = dpr;
+    ctx.strokeStyle = '#ffffff';
+    ctx.stroke();
+
+    // Grip in the middle of the divider.
+    const cx = horizontal ? canvas.width / 2 : at;
+    const cy = horizontal ? at : canvas.height / 2;
+    ctx.beginPath();
+    ctx.arc(cx, cy, 7 * dpr, 0, Math.PI * 2);
+    ctx.fillStyle = '#ffffff';
+    ctx.fill();
+    ctx.lineWidth = dpr;
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.5)';
+    ctx.stroke();
+  }
+
+  // Pixel-edge outline of a width x height mask (non-zero = selected) as one Path2D in image px. Edges are merged
+  // into the longest horizontal/vertical runs in a single pass, so cost follows the image size and the path size
+  // follows the outline length, however many islands the mask has.
+  function traceMaskOutline(width, height, mask) {
+    const path = new Path2D();
+    const selected = (x, y) => x >= 0 && y >= 0 && x < width && y < height && mask[(y * width) + x] !== 0;
+
+    // Start row of the vertical run open at each column edge x (-1 = none).
+    const openVertical = new Int32Array(width + 1).fill(-1);
+    let segments = 0;
+
+    for (let y = 0; y <= height; y++) {
+      // Horizontal edges between rows y - 1 and y.
+      let runStart = -1;
+      for (let x = 0; x <= width; x++) {
+        const edge = x < width && selected(x, y - 1) !== selected(x, y);
+        if (edge && runStart < 0) {
+          runStart = x;
+        } else if (!edge && runStart >= 0) {
+          path.moveTo(runStart, y);
+          path.lineTo(x, y);
+          runStart = -1;
+          segments++;
+        }
+      }
+
+      // Vertical edges between columns x - 1 and x on row y.
+      for (let x = 0; x <= width; x++) {
+        const edge = y < height && selected(x - 1, y) !== selected(x, y);
+        if (edge && openVertical[x] < 0) {
+          openVertical[x] = y;
+        } else if (!edge && openVertical[x] >= 0) {
+          path.moveTo(x, openVertical[x]);
+          path.lineTo(x, y);
+          openVertical[x] = -1;
+          segments++;
+        }
+      }
+    }
+
+    return segments > 0 ? path : null;
+  }
+
+  function drawSelectionAnts(ctx, selection, imageWidth, imageHeight, scale, offsetX, offsetY, dpr) {
+    if (!selection?.path || selection.width !== imageWidth || selection.height !== imageHeight) return;
+
+    // Drawn in image space, so line width and dashes are divided by the scale to stay device-sized.
+    ctx.save();
+    ctx.setTransform(scale, 0, 0, scale, offsetX, offsetY);
+    ctx.lineWidth = dpr / scale;
+    ctx.setLineDash([]);
+    ctx.strokeStyle = '#ffffff';
+    ctx.stroke(selection.path);
+
+    const dash = (ANTS_DASH * dpr) / scale;
+    ctx.setLineDash([dash, dash]);
+    ctx.lineDashOffset = -selection.phase * (dpr / scale);
+    ctx.strokeStyle = '#000000';
+    ctx.stroke(selection.path);
+    ctx.restore();
+  }
+
+  function stopAnts(selection) {
+    if (selection?.timer) clearInterval(selection.timer);
+  }
+
+  // The [data-moge-canvas-ants] sibling the host may render over the canvas. With one, the ants are drawn there and
+  // stepping the dashes repaints only the outline; without one they are part of every draw.
+  function getAntsOverlay(canvas) {
+    return canvas.parentElement?.querySelector(':scope > canvas[data-moge-canvas-ants]') ?? null;
+  }
+
+  // Repaints the overlay for the view draw last laid out (canvasToAntsView), kept clear of the rulers.
+  function repaintAnts(canvas) {
+    const overlay = getAntsOverlay(canvas);
+    const ctx = overlay?.getContext('2d');
+    if (!ctx) return;
+
+    if (overlay.width !== canvas.width) overlay.width = canvas.width;
+    if (overlay.height !== canvas.height) overlay.height = canvas.height;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, overlay.width, overlay.height);
+
+    const view = canvasToAntsView.get(canvas);
+    if (!view) return;
+
+    ctx.save();
+    if (view.rulerSize > 0) {
+      ctx.beginPath();
+      ctx.rect(view.rulerSize, view.rulerSize, overlay.width - view.rulerSize, overlay.height - view.rulerSize);
+      ctx.clip();
+    }
+    drawSelectionAnts(ctx, canvasToSelection.get(canvas), view.imageWidth, view.imageHeight, view.scale, view.offsetX, view.offsetY, view.dpr);
+    ctx.restore();
+  }
+
+  function drawGuides(canvas, ctx, guides, scale, offsetX, offsetY) {
+    if (!guides || guides.length === 0) return;
+
+    // Device-pixel lines across the whole view so guides stay 1px wide at any zoom.
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.beginPath();
+    for (const guide of guides) {
+      if (guide.vertical) {
+        const x = Math.round(guide.position * scale + offsetX) + 0.5;
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, canvas.height);
+      } else {
+        const y = Math.round(guide.position * scale + offsetY) + 0.5;
+        ctx.moveTo(0, y);
+        ctx.lineTo(canvas.width, y);
+      }
+    }
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = 'rgba(0, 170, 255, 0.9)';
+    ctx.stroke();
+  }
+
+  // Major tick spacing in image px: the smallest 1/2/5 x 10^n that is at least minSpacing device px apart.
+  function getRulerStep(scale, minSpacing) {
+    for (let magnitude = 1; magnitude < 1e9; magnitude *= 10) {
+      for (const factor of [1, 2, 5]) {
+        if (factor * magnitude * scale >= minSpacing) return factor * magnitude;
+      }
+    }
+    return 1e9;
+  }
+
+  function drawRulers(canvas, ctx, sizeCss, dpr, scale, offsetX, offsetY) {
+    const size = Math.round(sizeCss * dpr);
+    const step = getRulerStep(scale, 60 * dpr);
+    // 1 px steps have no minor ticks; 2 -> 1 px, 5/10 -> fifths.
+    const subdivisions = step === 1 ? 1 : step % 5 === 0 ? 5 : 2;
+    const minor = step / subdivisions;
+
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.fillStyle = 'rgba(40, 40, 40, 0.9)';
+    ctx.fillRect(0, 0, canvas.width, size);
+    ctx.fillRect(0, size, size, canvas.height - size);
+
+    ctx.beginPath();
+    ctx.fillStyle = '#e0e0e0';
+    ctx.font = `${Math.round(9 * dpr)}px sans-serif`;
+    ctx.textBaseline = 'top';
+
+    // Top ruler: image X.
+    for (let i = Math.floor((size - offsetX) / scale / minor); ; i++) {
+      const x = Math.round(i * minor * scale + offsetX) + 0.5;
+      if (x > canvas.width) break;
+      if (x < size) continue;
+
+      const major = i % subdivisions === 0;
+      ctx.moveTo(x, major ? 0 : size * 0.65);
+      ctx.lineTo(x, size);
+      if (major) ctx.fillText(String(i * minor), x + 2 * dpr, 2 * dpr);
+    }
+
+    // Left ruler: image Y, labels rotated to read bottom-up.
+    for (let i = Math.floor((size - offsetY) / scale / minor); ; i++) {
+      const y = Math.round(i * minor * scale + offsetY) + 0.5;
+      if (y > canvas.height) break;
+      if (y < size) continue;
+
+      const major = i % subdivisions === 0;
+      ctx.moveTo(major ? 0 : size * 0.65, y);
+      ctx.lineTo(size, y);
+      if (major) {
+        ctx.save();
+        ctx.translate(2 * dpr, y - 2 * dpr);
+        ctx.rotate(-Math.PI / 2);
+        ctx.fillText(String(i * minor), 0, 0);
+        ctx.restore();
+      }
+    }
+
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = '#9e9e9e';
+    ctx.stroke();
+  }
+
+  function drawStrokeInk(ctx, stroke, bounds, scale, offsetX, offsetY) {
+    // ApplyStroke needs two points and writes opaque pixels (alpha is ignored), so the ink does the same.
+    if (!stroke || !stroke.color || stroke.points.length < 2) return;
+
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.beginPath();
+    ctx.rect(bounds.x, bounds.y, bounds.width, bounds.height);
+    ctx.clip();
+
+    // Image space: circles of the brush radius centred on the rounded points, like DrawFilledCircle.
+    ctx.setTransform(scale, 0, 0, scale, offsetX, offsetY);
+    ctx.beginPath();
+    for (let i = 0; i < stroke.points.length; i++) {
+      const p = stroke.points[i];
+      const x = Math.round(p.x) + 0.5;
+      const y = Math.round(p.y) + 0.5;
+      if (i === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    }
+    ctx.lineWidth = stroke.radius * 2 + 1;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.strokeStyle = stroke.color;
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  // Pixels from C# are authoritative: once they arrive, ink from a finished stroke is dropped.
+  function dropFinishedStroke(canvas) {
+    if (canvasToStroke.get(canvas)?.ended) canvasToStroke.delete(canvas);
+  }
+
+  function createSurface(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+      return new OffscreenCanvas(width, height);
+    }
+
+    const surface = document.createElement('canvas');
+    surface.width = width;
+    surface.height = height;
+    return surface;
+  }
+
+  function compileShader(gl, type, source) {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+      console.warn('mogeCanvas: shader compile failed', gl.getShaderInfoLog(shader));
+      gl.deleteShader(shader);
+      return null;
+    }
+    return shader;
+  }
+
+  function createGlRenderer() {
+    // Renders into its own viewport-sized surface; the visible canvas keeps its 2D context and
+    // receives the result with a single 1:1 blit, so overlays keep using the 2D API.
+    const target = createSurface(1, 1);
+
+    let gl = null;
+    try {
+      gl = target.getContext('webgl2', { alpha: true, premultipliedAlpha: true, antialias: false, preserveDrawingBuffer: true });
+    } catch {
+      gl = null;
+    }
+    if (!gl) return null;
+
+    const vs = compileShader(gl, gl.VERTEX_SHADER, GL_VERTEX_SHADER);
+    const fs = compileShader(gl, gl.FRAGMENT_SHADER, GL_FRAGMENT_SHADER);
+    if (!vs || !fs) return null;
+
+    const program = gl.createProgram();
+    gl.attachShader(program, vs);
+    gl.attachShader(program, fs);
+    gl.linkProgram(program);
+    gl.deleteShader(vs);
+    gl.deleteShader(fs);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      console.warn('mogeCanvas: program link failed', gl.getProgramInfoLog(program));
+      gl.deleteProgram(program);
+      return null;
+    }
+
+    const vao = gl.createVertexArray();
+    const buffer = gl.createBuffer();
+    gl.bindVertexArray(vao);
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([0, 0, 1, 0, 0, 1, 1, 1]), gl.STATIC_DRAW);
+    const posLoc = gl.getAttribLocation(program, 'a_pos');
+    gl.enableVertexAttribArray(posLoc);
+    gl.vertexAttribPointer(posLoc, 2, gl.FLOAT, false, 0, 0);
+    gl.bindVertexArray(null);
+
+    const maxTexture = gl.getParameter(gl.MAX_TEXTURE_SIZE) || GL_TILE_SIZE;
+
+    return {
+      target,
+      gl,
+      program,
+      vao,
+      buffer,
+      uniforms: {
+        rect: gl.getUniformLocation(program, 'u_rect'),
+        uv: gl.getUniformLocation(program, 'u_uv'),
+        transform: gl.getUniformLocation(program, 'u_transform'),
+        viewport: gl.getUniformLocation(program, 'u_viewport'),
+        tex: gl.getUniformLocation(program, 'u_tex')
+      },
+      // Leave room for the 1px gutter on both sides.
+      tileSize: Math.max(256, Math.min(GL_TILE_SIZE, maxTexture - 2)),
+      source: null,
+      tiles: []
+    };
+  }
+
+  function releaseGlTiles(renderer) {
+    const { gl } = renderer;
+    for (const tile of renderer.tiles) {
+      gl.deleteTexture(tile.texture);
+    }
+    renderer.tiles = [];
+    renderer.source = null;
+  }
+
+  function releaseGlRenderer(canvas) {
+    const renderer = canvasToGl.get(canvas);
+    if (!renderer) return;
+
+    canvasToGl.delete(canvas);
+    const { gl } = renderer;
+    if (gl.isContextLost()) return;
+
+    releaseGlTiles(renderer);
+    gl.deleteBuffer(renderer.buffer);
+    gl.deleteVertexArray(renderer.vao);
+    gl.deleteProgram(renderer.program);
+    gl.getExtension('WEBGL_lose_context')?.loseContext();
+  }
+
+  function uploadGlTile(gl, tile, source, magFilter) {
+    gl.bindTexture(gl.TEXTURE_2D, tile.texture);
+    gl.pixelStorei(gl.UNPACK_SKIP_PIXELS, tile.texX);
+    gl.pixelStorei(gl.UNPACK_SKIP_ROWS, tile.texY);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, tile.texW, tile.texH, 0, gl.RGBA, gl.UNSIGNED_BYTE, source);
+    gl.generateMipmap(gl.TEXTURE_2D);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, magFilter);
+  }
+
+  function uploadGlTiles(renderer, source, width, height) {
+    releaseGlTiles(renderer);
+
+    const { gl, tileSize } = renderer;
+    gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+
+    for (let y = 0; y < height; y += tileSize) {
+      for (let x = 0; x < width; x += tileSize) {
+        const w = Math.min(tileSize, width - x);
+        const h = Math.min(tileSize, height - y);
+
+        // Include a 1px gutter from the neighbouring tiles so linear filtering doesn't show seams.
+        const texX = Math.max(0, x - 1);
+        const texY = Math.max(0, y - 1);
+        const texW = Math.min(width, x + w + 1) - texX;
+        const texH = Math.min(height, y + h + 1) - texY;
+
+        const tile = {
+          texture: gl.createTexture(),
+          x,
+          y,
+          w,
+          h,
+          texX,
+          texY,
+          texW,
+          texH,
+          uv: [(x - texX) / texW, (y - texY) / texH, (x + w - texX) / texW, (y + h - texY) / texH]
+        };
+        uploadGlTile(gl, tile, source, gl.LINEAR);
+        renderer.tiles.push(tile);
+      }
+    }
+
+    gl.pixelStorei(gl.UNPACK_SKIP_PIXELS, 0);
+    gl.pixelStorei(gl.UNPACK_SKIP_ROWS, 0);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    renderer.source = source;
+  }
+
+  // Re-uploads only the tiles (gutter included) touched by regions patched since the last upload.
+  // Returns false when the region log doesn't reach back far enough; the caller then re-uploads everything.
+  function updateGlTiles(renderer, resolved) {
+    const pending = (resolved.regions || []).filter((r) => r.version > renderer.version);
+    if (pending.length !== resolved.version - renderer.version) return false;
+
+    const { gl } = renderer;
+    const magFilter = renderer.smooth === false ? gl.NEAREST : gl.LINEAR;
+    gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+
+    for (const tile of renderer.tiles) {
+      const touched = pending.some((r) =>
+        r.x < tile.texX + tile.texW && r.x + r.width > tile.texX &&
+        r.y < tile.texY + tile.texH && r.y + r.height > tile.texY);
+      if (touched) uploadGlTile(gl, tile, resolved.source, magFilter);
+    }
+
+    gl.pixelStorei(gl.UNPACK_SKIP_PIXELS, 0);
+    gl.pixelStorei(gl.UNPACK_SKIP_ROWS, 0);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    return true;
+  }
+
+  function drawWithGl(canvas, ctx, resolved, scale, offsetX, offsetY, smooth) {
+    if (glUnsupported) return false;
+
+    let renderer = canvasToGl.get(canvas);
+    if (renderer && renderer.gl.isContextLost()) {
+      canvasToGl.delete(canvas);
+      renderer = null;
+    }
+
+    if (!renderer) {
+      renderer = createGlRenderer();
+      if (!renderer) {
+        glUnsupported = true;
+        return false;
+      }
+      canvasToGl.set(canvas, renderer);
+    }
+
+    const { gl, target, uniforms } = renderer;
+    if (renderer.source !== resolved.source) {
+      uploadGlTiles(renderer, resolved.source, resolved.width, resolved.height);
+      renderer.version = resolved.version;
+      renderer.smooth = true;
+    } else if (renderer.version !== resolved.version) {
+      if (!updateGlTiles(renderer, resolved)) {
+        uploadGlTiles(renderer, resolved.source, resolved.width, resolved.height);
+        renderer.smooth = true;
+      }
+      renderer.version = resolved.version;
+    }
+
+    if (target.width !== canvas.width) target.width = canvas.width;
+    if (target.height !== canvas.height) target.height = canvas.height;
+
+    gl.viewport(0, 0, target.width, target.height);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+
+    gl.useProgram(renderer.program);
+    gl.bindVertexArray(renderer.vao);
+    gl.uniform3f(uniforms.transform, scale, offsetX, offsetY);
+    gl.uniform2f(uniforms.viewport, target.width, target.height);
+    gl.uniform1i(uniforms.tex, 0);
+    gl.activeTexture(gl.TEXTURE0);
+
+    const magFilter = smooth ? gl.LINEAR : gl.NEAREST;
+    const updateFilter = renderer.smooth !== smooth;
+    renderer.smooth = smooth;
+
+    for (const tile of renderer.tiles) {
+      if (updateFilter) {
+        gl.bindTexture(gl.TEXTURE_2D, tile.texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, magFilter);
+      }
+
+      // Skip tiles outside the viewport.
+      const left = tile.x * scale + offsetX;
+      const top = tile.y * scale + offsetY;
+      if (left > target.width || top > target.height) continue;
+      if (left + tile.w * scale < 0 || top + tile.h * scale < 0) continue;
+
+      gl.bindTexture(gl.TEXTURE_2D, tile.texture);
+      gl.uniform4f(uniforms.rect, tile.x, tile.y, tile.w, tile.h);
+      gl.uniform4f(uniforms.uv, tile.uv[0], tile.uv[1], tile.uv[2], tile.uv[3]);
+      gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    }
+
+    gl.bindVertexArray(null);
+
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.drawImage(target, 0, 0);
+    return true;
+  }
+
+  // Patched regions are logged per source so the WebGL renderer can refresh just the affected tiles.
+  const REGION_LOG_LIMIT = 16;
+
+  function logRegion(target, x, y, width, height) {
+    target.version++;
+    target.regions.push({ x, y, width, height, version: target.version });
+    if (target.regions.length > REGION_LOG_LIMIT) target.regions.shift();
+  }
+
+  function unionRect(a, b) {
+    if (!a) return b;
+    const x = Math.min(a.x, b.x);
+    const y = Math.min(a.y, b.y);
+    return {
+      x,
+      y,
+      width: Math.max(a.x + a.width, b.x + b.width) - x,
+      height: Math.max(a.y + a.height, b.y + b.height) - y
+    };
+  }
+
+  // Pixels staged straight from the WebAssembly heap by moge-canvas-interop.js, keyed by token.
+  const stagedPixels = new Map();
+
+  // Pixel arguments are either a Uint8Array marshalled from a .NET byte[] (wrapped, not copied) or the token of
+  // staged pixels. Either way the result can back an ImageData directly.
+  function takePixels(pixels) {
+    if (typeof pixels !== 'string') {
+      return pixels ? new Uint8ClampedArray(pixels.buffer, pixels.byteOffset, pixels.byteLength) : null;
+    }
+
+    const staged = stagedPixels.get(pixels) ?? null;
+    stagedPixels.delete(pixels);
+    return staged;
+  }
+
+  function putRgbaRegion(surface, x, y, width, height, pixels) {
+    const ctx = surface.getContext('2d');
+    ctx.putImageData(new ImageData(pixels, width, height), x, y);
+  }
+
+  function getLayerStack(canvas, create) {
+    let stack = canvasToLayers.get(canvas);
+    if (!stack && create) {
+      // order is bottom -> top; version bumps whenever the composite changes.
+      // dirtyRect marks a pixel patch that only needs that area re-composited.
+      stack = { layers: new Map(), order: [], composite: null, version: 0, regions: [], dirty: true, dirtyRect: null };
+      canvasToLayers.set(canvas, stack);
     }
+    return stack;
+  }
+
+  function compositeLayers(stack) {
+    if (!stack.dirty && !stack.dirtyRect && stack.composite) return stack.composite;
+
+    let width = 0;
+    let height = 0;
+    for (const id of stack.order) {
+      const layer = stack.layers.get(id);
+      if (!layer) continue;
+      width = Math.max(width, layer.width);
+      height = Math.max(height, layer.height);
+    }
+    if (width <= 0 || height <= 0) return null;
+
+    let surface = stack.composite?.canvas;
+    if (!surface || surface.width !== width || surface.height !== height) {
+      surface = createSurface(width, height);
+    }
+
+    const region = !stack.dirty && surface === stack.composite?.canvas ? stack.dirtyRect : null;
+
+    // Same source-over blend as ImageProcessorService.CompositeRgbaLayers.
+    const ctx = surface.getContext('2d');
+    ctx.save();
+    if (region) {
+      ctx.beginPath();
+      ctx.rect(region.x, region.y, region.width, region.height);
+      ctx.clip();
+      ctx.clearRect(region.x, region.y, region.width, region.height);
+    } else {
+      ctx.clearRect(0, 0, width, height);
+    }
+    for (const id of stack.order) {
+      const layer = stack.layers.get(id);
+      if (layer && layer.visible) ctx.drawImage(layer.surface, 0, 0);
+    }
+    ctx.restore();
+
+    stack.composite = { canvas: surface, width, height };
+    if (region) {
+      logRegion(stack, region.x, region.y, region.width, region.height);
+    } else {
+      stack.version++;
+      stack.regions = [];
+    }
+    stack.dirty = false;
+    stack.dirtyRect = null;
+    return stack.composite;
+  }
+
+  // Layers take precedence over the single raw surface, which takes precedence over the decoded <img>.
+  function resolveSource(canvas) {
+    const stack = canvasToLayers.get(canvas);
+    if (stack && stack.order.length > 0) {
+      const composite = compositeLayers(stack);
+      if (composite) {
+        return {
+          source: composite.canvas,
+          width: composite.width,
+          height: composite.height,
+          version: stack.version,
+          regions: stack.regions
+        };
+      }
+    }
+
+    const raw = canvasToRawCanvas.get(canvas);
+    if (raw) return { source: raw.canvas, width: raw.width, height: raw.height, version: raw.version, regions: raw.regions };
+
+    const img = canvasToImage.get(canvas);
+    if (img) return { source: img, width: img.naturalWidth, height: img.naturalHeight, version: 0 };
 
     return null;
   }
 
-  async function canvasToJpegBlob(sourceCanvas) {
-    if (!sourceCanvas) return null;
+  function getExportSurface(canvas) {
+    const resolved = resolveSource(canvas);
+
+    // fallback: export visible canvas (may include current transform)
+    if (!resolved) return canvas;
+
+    if (typeof HTMLImageElement !== 'undefined' && resolved.source instanceof HTMLImageElement) {
+      const surface = createSurface(resolved.width || 1, resolved.height || 1);
+      surface.getContext('2d').drawImage(resolved.source, 0, 0);
+      return surface;
+    }
+
+    return resolved.source;
+  }
+
+  // The width x height block at (x, y) of surface, one pixel per step x step cell, as a ceil(width / step) x
+  // ceil(height / step) ImageData. Nearest-neighbour scaling takes the pixel at the centre of each cell, so the
+  // GPU does the subsampling and only the samples are read back.
+  function readSampledPixels(surface, x, y, width, height, step) {
+    const sampled = createSurface(Math.ceil(width / step), Math.ceil(height / step));
+    const ctx = sampled.getContext('2d', { willReadFrequently: true });
+    if (!ctx) return null;
+
+    ctx.imageSmoothingEnabled = false;
+    ctx.setTransform(1 / step, 0, 0, 1 / step, -x / step, -y / step);
+    ctx.drawImage(surface, 0, 0);
+    return ctx.getImageData(0, 0, sampled.width, sampled.height);
+  }
+
+  async function scanTransparency(surface) {
+    // The full-size readback happens in the image worker when it is up, on a copy of the surface.
+    const imageWorker = window.mogeImageWorker;
+    if (imageWorker?.available) {
+      try {
+        return await imageWorker.hasTransparency(await createImageBitmap(surface));
+      } catch (err) {
+        console.warn('mogeCanvas: transparency check in the image worker failed, scanning on the main thread', err);
+      }
+    }
+
+    const ctx = surface.getContext('2d', { willReadFrequently: true });
+    if (!ctx) return false;
+
+    const data = ctx.getImageData(0, 0, surface.width, surface.height).data;
+    for (let i = 3; i < data.length; i += 4) {
+      if (data[i] !== 255) return true;
+    }
+    return false;
+  }
+
+  async function surfaceToBlob(surface, type, quality) {
+    if (!surface) return null;
+
+    // Encode off the main thread when the image worker is up; the surface itself is left untouched, so any
+    // worker failure can still fall through to the encoders below.
+    const imageWorker = window.mogeImageWorker;
+    if (imageWorker?.available) {
+      try {
+        return await imageWorker.encode(await createImageBitmap(surface), type, quality);
+      } catch (err) {
+        console.warn('mogeCanvas: encoding in the image worker failed, encoding on the main thread', err);
+      }
+    }
 
     // OffscreenCanvas: convertToBlob
-    if (typeof OffscreenCanvas !== 'undefined' && sourceCanvas instanceof OffscreenCanvas) {
-      return await sourceCanvas.convertToBlob({ type: 'image/jpeg', quality: 0.92 });
+    if (typeof OffscreenCanvas !== 'undefined' && surface instanceof OffscreenCanvas) {
+      return await surface.convertToBlob(quality == null ? { type } : { type, quality });
     }
 
     // HTMLCanvasElement: toBlob
-    if (typeof sourceCanvas.toBlob === 'function') {
-      return await new Promise((resolve) => sourceCanvas.toBlob(resolve, 'image/jpeg', 0.92));
+    if (typeof surface.toBlob === 'function') {
+      return await new Promise((resolve) => surface.toBlob(resolve, type, quality ?? undefined));
     }
 
     return null;
   }
 
+  // Copy of surface composited onto an opaque CSS colour, for formats without alpha.
+  function flattenOnto(surface, matte) {
+    const flat = createSurface(surface.width || 1, surface.height || 1);
+    const ctx = flat.getContext('2d');
+    ctx.fillStyle = matte;
+    ctx.fillRect(0, 0, flat.width, flat.height);
+    ctx.drawImage(surface, 0, 0);
+    return flat;
+  }
+
+  let crcTable = null;
+
+  function crc32(bytes) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  // length + type + data + CRC(type + data)
+  function pngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+  }
+
+  // tEXt for Latin-1 values, uncompressed iTXt (UTF-8) for anything else.
+  function pngTextChunk(keyword, value) {
+    const key = Array.from(keyword, (ch) => ch.charCodeAt(0));
+    if (/^[\x20-\x7e\xa0-\xff\n]*$/.test(value)) {
+      return pngChunk('tEXt', Uint8Array.from([...key, 0, ...Array.from(value, (ch) => ch.charCodeAt(0))]));
+    }
+
+    // keyword, 0, compression flag, compression method, language tag, 0, translated keyword, 0, text
+    return pngChunk('iTXt', Uint8Array.from([...key, 0, 0, 0, 0, 0, ...new TextEncoder().encode(value)]));
+  }
+
+  // EXIF block (the TIFF from mogeImageMeta) to write into an export. .NET sends ImageExportMetadata.Exif (a
+  // byte[]) as a Uint8Array; base64 text is accepted as well. Orientation is reset to 1: the exported pixels are
+  // what the canvas shows, so viewers must not rotate them again.
+  function exportExif(metadata) {
+    if (!metadata?.exif) return null;
+    const tiff = metadata.exif instanceof Uint8Array
+      ? metadata.exif
+      : Uint8Array.from(atob(metadata.exif), (ch) => ch.charCodeAt(0));
+    return window.mogeImageMeta ? window.mogeImageMeta.withOrientation(tiff, 1) : tiff;
+  }
+
+  // Inserts pHYs / sRGB / text / eXIf chunks right after IHDR. metadata: { dpi, title, author, description, srgb,
+  // exif }; chunks the encoder already wrote for pHYs/sRGB/iCCP/eXIf are dropped so each appears once.
+  async function writePngMetadata(blob, metadata) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const view = new DataView(bytes.buffer);
+    if (bytes.length < 33 || view.getUint32(12) !== 0x49484452) return blob; // 'IHDR' after the signature
+
+    const chunks = [];
+    if (metadata.dpi > 0) {
+      const ppm = Math.round(metadata.dpi / 0.0254);
+      const data = new Uint8Array(9);
+      const dv = new DataView(data.buffer);
+      dv.setUint32(0, ppm);
+      dv.setUint32(4, ppm);
+      data[8] = 1; // unit: metre
+      chunks.push(pngChunk('pHYs', data));
+    }
+    if (metadata.srgb) chunks.push(pngChunk('sRGB', Uint8Array.of(0))); // perceptual intent
+    if (metadata.title) chunks.push(pngTextChunk('Title', metadata.title));
+    if (metadata.author) chunks.push(pngTextChunk('Author', metadata.author));
+    chunks.push(pngTextChunk('Software', 'MOGE'));
+    if (metadata.description) chunks.push(pngTextChunk('Description', metadata.description));
+
+    const exif = exportExif(metadata);
+    if (exif) chunks.push(pngChunk('eXIf', exif));
+
+    const dropped = new Set(['pHYs', 'eXIf', ...(metadata.srgb ? ['sRGB', 'iCCP'] : [])]);
+    const parts = [bytes.subarray(0, 33), ...chunks];
+    for (let offset = 33; offset + 12 <= bytes.length;) {
+      const length = view.getUint32(offset);
+      const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+      const end = offset + 12 + length;
+      if (!dropped.has(type)) parts.push(bytes.subarray(offset, end));
+      offset = end;
+    }
+
+    return new Blob(parts, { type: 'image/png' });
+  }
+
+  // Inserts an APP1 Exif segment after SOI (and the JFIF APP0 segment, which must come first).
+  async function writeJpegExif(blob, metadata) {
+    const exif = exportExif(metadata);
+    const length = exif ? 2 + 6 + exif.length : 0;
+    if (!exif || length > 0xffff) return blob;
+
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    if (bytes[0] !== 0xff || bytes[1] !== 0xd8) return blob;
+
+    let insertAt = 2;
+    if (bytes[2] === 0xff && bytes[3] === 0xe0) insertAt = 4 + ((bytes[4] << 8) | bytes[5]);
+
+    const segment = new Uint8Array(4 + 6 + exif.length);
+    segment.set([0xff, 0xe1, length >> 8, length & 0xff, 0x45, 0x78, 0x69, 0x66, 0, 0]); // 'Exif\0\0'
+    segment.set(exif, 10);
+
+    return new Blob([bytes.subarray(0, insertAt), segment, bytes.subarray(insertAt)], { type: 'image/jpeg' });
+  }
+
+  // Every export goes through here. options: { type: MIME type (default PNG), quality: 0..1 for lossy formats,
+  // matte: CSS colour to flatten transparency onto, metadata: PNG chunks (see writePngMetadata); for JPEG only
+  // its exif block is written }.
+  // Encoders that don't support the type fall back to PNG, so the blob type is checked.
+  async function exportBlob(canvas, options) {
+    const type = options?.type || 'image/png';
+    const quality = exportQuality(options);
+
+    let surface = getExportSurface(canvas);
+    if (surface && options?.matte) surface = flattenOnto(surface, options.matte);
+
+    const blob = await surfaceToBlob(surface, type, quality);
+    if (!blob) return null;
+    if (blob.type && blob.type !== type) throw new Error(`This browser cannot encode ${type}.`);
+    if (!options?.metadata) return blob;
+    if (type === 'image/png') return await writePngMetadata(blob, options.metadata);
+    if (type === 'image/jpeg') return await writeJpegExif(blob, options.metadata);
+    return blob;
+  }
+
+  function exportQuality(options) {
+    return typeof options?.quality === 'number' ? Math.min(1, Math.max(0, options.quality)) : null;
+  }
+
+  // Longest side of the copy a size estimate encodes; its size is scaled back up by area, which is close enough
+  // for lossy formats and keeps slider drags from encoding the full image each time.
+  const ESTIMATE_MAX_SIDE = 1024;
+
+  async function estimateExportSize(canvas, options) {
+    let surface = getExportSurface(canvas);
+    if (!surface) return null;
+
+    const width = surface.width || 1;
+    const height = surface.height || 1;
+    const scale = Math.min(1, ESTIMATE_MAX_SIDE / Math.max(width, height));
+    if (scale < 1) {
+      const copy = createSurface(Math.max(1, Math.round(width * scale)), Math.max(1, Math.round(height * scale)));
+      copy.getContext('2d').drawImage(surface, 0, 0, copy.width, copy.height);
+      surface = copy;
+    }
+    if (options?.matte) surface = flattenOnto(surface, options.matte);
+
+    const blob = await surfaceToBlob(surface, options?.type || 'image/png', exportQuality(options));
+    return blob ? Math.round(blob.size * (width * height) / (surface.width * surface.height)) : null;
+  }
+
+  // MIME type -> Promise<boolean>; probed once per type with a 1x1 encode.
+  const encodeSupport = new Map();
+
+  function canEncode(type) {
+    if (type === 'image/png') return Promise.resolve(true);
+
+    let probe = encodeSupport.get(type);
+    if (!probe) {
+      probe = surfaceToBlob(createSurface(1, 1), type, null)
+        .then((blob) => !!blob && blob.type === type)
+        .catch(() => false);
+      encodeSupport.set(type, probe);
+    }
+    return probe;
+  }
+
+  // Whether the system clipboard still holds the image writeClipboardRgba put there. That is only known until
+  // something else may have replaced it: the page losing focus (another app copying) or a copy or cut in the page.
+  let clipboardHoldsOwnImage = false;
+  const forgetClipboardImage = () => { clipboardHoldsOwnImage = false; };
+  window.addEventListener?.('blur', forgetClipboardImage);
+  window.document?.addEventListener('copy', forgetClipboardImage);
+  window.document?.addEventListener('cut', forgetClipboardImage);
+
   async function blobToBase64(blob) {
     const buffer = await blob.arrayBuffer();
     const bytes = new Uint8Array(buffer);
@@ -81,6 +1145,11 @@
   }
 
   window.mogeCanvas = {
+    // Called by moge-canvas-interop.js; the token is then passed wherever a pixel argument is expected.
+    stagePixels: (token, pixels) => {
+      stagedPixels.set(token, pixels);
+    },
+
     getRect: (canvas) => {
       const r = canvas.getBoundingClientRect();
       return { left: r.left, top: r.top, width: r.width, height: r.height };
@@ -90,33 +1159,167 @@
       const img = await loadImage(dataUrl);
       canvasToImage.set(canvas, img);
       canvasToRawCanvas.delete(canvas);
+      dropFinishedStroke(canvas);
       return { width: img.naturalWidth, height: img.naturalHeight };
     },
 
-    setRawRgba: async (canvas, width, height, rgbaBytes) => {
-      // rgbaBytes is a Uint8Array (marshaled from .NET byte[])
-      let rawCanvas;
-      if (typeof OffscreenCanvas !== 'undefined') {
-        rawCanvas = new OffscreenCanvas(width, height);
-      } else {
-        rawCanvas = document.createElement('canvas');
-        rawCanvas.width = width;
-        rawCanvas.height = height;
+    setLayer: (canvas, layerId, width, height, rgbaBytes) => {
+      const pixels = takePixels(rgbaBytes);
+      const stack = getLayerStack(canvas, true);
+      const existing = stack.layers.get(layerId);
+
+      let surface = existing?.surface;
+      if (!surface || surface.width !== width || surface.height !== height) {
+        surface = createSurface(width, height);
       }
 
-      const ctx = rawCanvas.getContext('2d');
-      const clamped = new Uint8ClampedArray(rgbaBytes);
-      const imageData = new ImageData(clamped, width, height);
-      ctx.putImageData(imageData, 0, 0);
+      putRgbaRegion(surface, 0, 0, width, height, pixels);
+
+      stack.layers.set(layerId, { surface, width, height, visible: existing ? existing.visible : true });
+      dropFinishedStroke(canvas);
+      if (!stack.order.includes(layerId)) stack.order.push(layerId);
+      stack.dirty = true;
+      return { width, height };
+    },
+
+    removeLayer: (canvas, layerId) => {
+      const stack = getLayerStack(canvas, false);
+      if (!stack || !stack.layers.delete(layerId)) return;
+
+      stack.order = stack.order.filter((id) => id !== layerId);
+      stack.dirty = true;
+    },
+
+    setLayerOrder: (canvas, layerIds) => {
+      const stack = getLayerStack(canvas, false);
+      if (!stack) return;
+
+      // Bottom -> top. Unknown ids are ignored; layers missing from the list keep their place on top.
+      const ordered = (layerIds || []).filter((id) => stack.layers.has(id));
+      const rest = stack.order.filter((id) => !ordered.includes(id));
+      stack.order = ordered.concat(rest);
+      stack.dirty = true;
+    },
+
+    setLayerVisibility: (canvas, layerId, visible) => {
+      const stack = getLayerStack(canvas, false);
+      const layer = stack?.layers.get(layerId);
+      if (!layer || layer.visible === !!visible) return;
 
-      canvasToRawCanvas.set(canvas, { canvas: rawCanvas, width, height });
+      layer.visible = !!visible;
+      stack.dirty = true;
+    },
+
+    clearLayers: (canvas) => {
+      canvasToLayers.delete(canvas);
+    },
+
+    // rgbaBytes: a Uint8Array (marshalled from .NET byte[]) or a staged-pixels token (see takePixels).
+    setRawRgba: async (canvas, width, height, rgbaBytes) => {
+      const rawCanvas = createSurface(width, height);
+      putRgbaRegion(rawCanvas, 0, 0, width, height, takePixels(rgbaBytes));
+
+      canvasToRawCanvas.set(canvas, { canvas: rawCanvas, width, height, version: 0, regions: [] });
       canvasToImage.delete(canvas);
+      dropFinishedStroke(canvas);
       return { width, height };
     },
 
+    // Patches a width x height block at (x, y) of the surface uploaded by setRawRgba (or of layer layerId)
+    // in place. Returns false when there is nothing to patch or the block doesn't fit; the caller then
+    // falls back to a full upload.
+    setRawRgbaRegion: (canvas, x, y, width, height, rgbaBytes, layerId) => {
+      const pixels = takePixels(rgbaBytes);
+      if (!pixels || width <= 0 || height <= 0 || x < 0 || y < 0) return false;
+
+      if (layerId) {
+        const stack = getLayerStack(canvas, false);
+        const layer = stack?.layers.get(layerId);
+        if (!layer || x + width > layer.width || y + height > layer.height) return false;
+
+        putRgbaRegion(layer.surface, x, y, width, height, pixels);
+        stack.dirtyRect = unionRect(stack.dirtyRect, { x, y, width, height });
+        dropFinishedStroke(canvas);
+        return true;
+      }
+
+      const raw = canvasToRawCanvas.get(canvas);
+      if (!raw || x + width > raw.width || y + height > raw.height) return false;
+
+      putRgbaRegion(raw.canvas, x, y, width, height, pixels);
+      logRegion(raw, x, y, width, height);
+      dropFinishedStroke(canvas);
+      return true;
+    },
+
+    // Pixels for the compare view ("before"); the same raw/encoded split as setRawRgba/setImage.
+    setCompareRgba: (canvas, width, height, rgbaBytes) => {
+      const surface = createSurface(width, height);
+      putRgbaRegion(surface, 0, 0, width, height, takePixels(rgbaBytes));
+      canvasToCompare.set(canvas, { source: surface, width, height });
+      return { width, height };
+    },
+
+    setCompareImage: async (canvas, dataUrl) => {
+      const img = await loadImage(dataUrl);
+      canvasToCompare.set(canvas, { source: img, width: img.naturalWidth, height: img.naturalHeight });
+      return { width: img.naturalWidth, height: img.naturalHeight };
+    },
+
+    clearCompare: (canvas) => {
+      canvasToCompare.delete(canvas);
+    },
+
+    // Selection outline as animated marching ants; maskBytes is width x height (non-zero = selected) and is only
+    // drawn while the image has the same size. Returns false for an empty or mismatched mask.
+    setSelectionMask: (canvas, width, height, maskBytes) => {
+      stopAnts(canvasToSelection.get(canvas));
+      canvasToSelection.delete(canvas);
+
+      if (!maskBytes || width <= 0 || height <= 0 || maskBytes.length !== width * height) return false;
+
+      const path = traceMaskOutline(width, height, maskBytes);
+      if (!path) return false;
+
+      const selection = { width, height, path, phase: 0, timer: 0 };
+      selection.timer = setInterval(() => {
+        // Stop once the canvas is gone or the selection was replaced.
+        if (!canvas.isConnected || canvasToSelection.get(canvas) !== selection) {
+          clearInterval(selection.timer);
+          return;
+        }
+
+        selection.phase = (selection.phase + 1) % (ANTS_DASH * 2);
+        if (getAntsOverlay(canvas)) {
+          repaintAnts(canvas);
+          return;
+        }
+
+        const state = canvasToDrawState.get(canvas);
+        if (state) window.mogeCanvas.draw(canvas, state);
+      }, ANTS_INTERVAL);
+
+      canvasToSelection.set(canvas, selection);
+      repaintAnts(canvas);
+      return true;
+    },
+
+    clearSelectionMask: (canvas) => {
+      stopAnts(canvasToSelection.get(canvas));
+      canvasToSelection.delete(canvas);
+      repaintAnts(canvas);
+    },
+
     clear: (canvas) => {
       canvasToImage.delete(canvas);
       canvasToRawCanvas.delete(canvas);
+      canvasToLayers.delete(canvas);
+      canvasToStroke.delete(canvas);
+      stopAnts(canvasToSelection.get(canvas));
+      canvasToSelection.delete(canvas);
+      canvasToAntsView.delete(canvas);
+      repaintAnts(canvas);
+      releaseGlRenderer(canvas);
       const ctx = canvas.getContext('2d');
       if (!ctx) return;
       const { widthCss, heightCss, dpr } = ensureSize(canvas);
@@ -124,9 +1327,33 @@
       ctx.clearRect(0, 0, widthCss, heightCss);
     },
 
+    // Live ink while a brush/eraser drag is in progress. color is a CSS color (null draws nothing);
+    // points are image coordinates. Each new point redraws with the last draw() state.
+    beginStroke: (canvas, radius, color) => {
+      canvasToStroke.set(canvas, { radius: Math.max(1, radius || 1), color: color || null, points: [], ended: false });
+    },
+
+    addStrokePoint: (canvas, x, y) => {
+      const stroke = canvasToStroke.get(canvas);
+      if (!stroke || stroke.ended) return;
+
+      stroke.points.push({ x, y });
+      const state = canvasToDrawState.get(canvas);
+      if (state && stroke.points.length >= 2) window.mogeCanvas.draw(canvas, state);
+    },
+
+    // The ink stays up until the resulting pixels are uploaded.
+    endStroke: (canvas) => {
+      const stroke = canvasToStroke.get(canvas);
+      if (stroke) stroke.ended = true;
+    },
+
+    // Returns true when ink was still showing (the caller should redraw).
+    clearStroke: (canvas) => canvasToStroke.delete(canvas),
+
     draw: (canvas, state) => {
-      const img = canvasToImage.get(canvas);
-      const raw = canvasToRawCanvas.get(canvas);
+      canvasToDrawState.set(canvas, state);
+      const resolved = resolveSource(canvas);
       const ctx = canvas.getContext('2d');
       if (!ctx) return { hasImage: false };
 
@@ -135,141 +1362,331 @@
       ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
       ctx.clearRect(0, 0, widthCss, heightCss);
 
-      if (!img && !raw) return { hasImage: false };
+      if (!resolved) {
+        drawBackdrop(canvas, ctx, state, null);
+        canvasToAntsView.delete(canvas);
+        repaintAnts(canvas);
+        return { hasImage: false };
+      }
+
+      const { source, width: imageWidth, height: imageHeight } = resolved;
 
       const scale = (state?.scale ?? 1) * dpr;
       const offsetX = (state?.offsetX ?? 0) * dpr;
       const offsetY = (state?.offsetY ?? 0) * dpr;
 
-      ctx.setTransform(scale, 0, 0, scale, offsetX, offsetY);
-      ctx.imageSmoothingEnabled = true;
-      ctx.imageSmoothingQuality = 'high';
-
-      if (img) {
-        ctx.drawImage(img, 0, 0);
-        return { hasImage: true, imageWidth: img.naturalWidth, imageHeight: img.naturalHeight, dpr };
-      }
+      const bounds = { x: offsetX, y: offsetY, width: imageWidth * scale, height: imageHeight * scale, dpr };
+      drawBackdrop(canvas, ctx, state, bounds);
 
-      // raw RGBA path
-      ctx.drawImage(raw.canvas, 0, 0);
-      return { hasImage: true, imageWidth: raw.width, imageHeight: raw.height, dpr };
-    },
+      // Past the configured zoom, show hard pixel edges instead of a blur.
+      const zoom = state?.scale ?? 1;
+      const smooth = !(zoom >= (state?.nearestZoom ?? Infinity));
 
-    exportPngBase64: async (canvas) => {
-      const img = canvasToImage.get(canvas);
-      const raw = canvasToRawCanvas.get(canvas);
+      // compare: { mode: 'split' | 'before', horizontal, position (0..1 of the view) } over setCompare* pixels.
+      const compare = state?.compare ? canvasToCompare.get(canvas) : null;
+      const compareMode = compare ? state.compare.mode : null;
 
-      let sourceCanvas = null;
+      let renderer = '2d';
+      if (compareMode === 'before') {
+        drawCompareImage(canvas, ctx, state, compare, bounds, imageWidth, imageHeight, scale, offsetX, offsetY, smooth, null);
+      } else {
+        ctx.filter = getPreviewFilter(state?.preview);
 
-      if (raw && raw.canvas) {
-        sourceCanvas = raw.canvas;
-      } else if (img) {
-        const w = img.naturalWidth || 1;
-        const h = img.naturalHeight || 1;
-        if (typeof OffscreenCanvas !== 'undefined') {
-          sourceCanvas = new OffscreenCanvas(w, h);
+        if (state?.renderer === 'webgl2' && drawWithGl(canvas, ctx, resolved, scale, offsetX, offsetY, smooth)) {
+          renderer = 'webgl2';
         } else {
-          sourceCanvas = document.createElement('canvas');
-          sourceCanvas.width = w;
-          sourceCanvas.height = h;
+          if (state?.renderer !== 'webgl2') releaseGlRenderer(canvas);
+
+          ctx.setTransform(scale, 0, 0, scale, offsetX, offsetY);
+          ctx.imageSmoothingEnabled = smooth;
+          ctx.imageSmoothingQuality = 'high';
+          ctx.drawImage(source, 0, 0);
         }
-        const ctx = sourceCanvas.getContext('2d');
-        ctx.drawImage(img, 0, 0);
+
+        ctx.filter = 'none';
+
+        drawStrokeInk(ctx, canvasToStroke.get(canvas), bounds, scale, offsetX, offsetY);
+      }
+
+      if (compareMode === 'split') {
+        // Before on the left/top of the divider, current view on the right/bottom.
+        const horizontal = !!state.compare.horizontal;
+        const position = Math.min(1, Math.max(0, state.compare.position ?? 0.5));
+        const at = Math.round((horizontal ? canvas.height : canvas.width) * position);
+        const clip = horizontal
+          ? { x: 0, y: 0, width: canvas.width, height: at }
+          : { x: 0, y: 0, width: at, height: canvas.height };
+
+        drawCompareImage(canvas, ctx, state, compare, bounds, imageWidth, imageHeight, scale, offsetX, offsetY, smooth, clip);
+        drawCompareDivider(canvas, ctx, horizontal, at, dpr);
+      }
+
+      if (zoom >= (state?.pixelGridZoom ?? Infinity)) {
+        drawPixelGrid(canvas, ctx, bounds, scale, imageWidth, imageHeight);
+      }
+
+      if (getAntsOverlay(canvas)) {
+        const rulerSize = state?.rulers > 0 ? Math.round(state.rulers * dpr) : 0;
+        canvasToAntsView.set(canvas, { imageWidth, imageHeight, scale, offsetX, offsetY, dpr, rulerSize });
+        repaintAnts(canvas);
       } else {
-        // fallback: export visible canvas (may include current transform)
-        sourceCanvas = canvas;
+        drawSelectionAnts(ctx, canvasToSelection.get(canvas), imageWidth, imageHeight, scale, offsetX, offsetY, dpr);
       }
 
-      const blob = await canvasToPngBlob(sourceCanvas);
-      if (!blob) return null;
-      return await blobToBase64(blob);
+      // guides: [{ vertical, position }] in image px; rulers: band size in CSS px (0/absent = none).
+      drawGuides(canvas, ctx, state?.guides, scale, offsetX, offsetY);
+      if (state?.rulers > 0) {
+        drawRulers(canvas, ctx, state.rulers, dpr, scale, offsetX, offsetY);
+      }
+
+      return { hasImage: true, imageWidth, imageHeight, dpr, renderer };
     },
 
-    exportJpegBase64: async (canvas) => {
-      const img = canvasToImage.get(canvas);
-      const raw = canvasToRawCanvas.get(canvas);
+    // Draws the image behind sourceCanvas (layers composited) scaled to fit maxSide CSS px into targetCanvas,
+    // over a small checkerboard. Returns the thumbnail size in CSS px (0 x 0 without an image).
+    renderThumbnail: (sourceCanvas, targetCanvas, maxSide) => {
+      const ctx = targetCanvas.getContext('2d');
+      if (!ctx) return { width: 0, height: 0 };
+
+      const resolved = resolveSource(sourceCanvas);
+      if (!resolved || resolved.width <= 0 || resolved.height <= 0) {
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, targetCanvas.width, targetCanvas.height);
+        return { width: 0, height: 0 };
+      }
 
-      let sourceCanvas = null;
+      const fit = Math.min(1, Math.max(16, maxSide || 200) / Math.max(resolved.width, resolved.height));
+      const width = Math.max(1, Math.round(resolved.width * fit));
+      const height = Math.max(1, Math.round(resolved.height * fit));
+      const dpr = window.devicePixelRatio || 1;
 
-      if (raw && raw.canvas) {
-        sourceCanvas = raw.canvas;
-      } else if (img) {
-        const w = img.naturalWidth || 1;
-        const h = img.naturalHeight || 1;
-        if (typeof OffscreenCanvas !== 'undefined') {
-          sourceCanvas = new OffscreenCanvas(w, h);
-        } else {
-          sourceCanvas = document.createElement('canvas');
-          sourceCanvas.width = w;
-          sourceCanvas.height = h;
-        }
-        const ctx = sourceCanvas.getContext('2d');
-        ctx.drawImage(img, 0, 0);
+      targetCanvas.style.width = `${width}px`;
+      targetCanvas.style.height = `${height}px`;
+      targetCanvas.width = Math.max(1, Math.round(width * dpr));
+      targetCanvas.height = Math.max(1, Math.round(height * dpr));
+
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.fillStyle = getCheckerPattern(targetCanvas, ctx, Math.max(1, Math.round(4 * dpr)), '#ffffff', '#cccccc');
+      ctx.fillRect(0, 0, targetCanvas.width, targetCanvas.height);
+      ctx.imageSmoothingEnabled = true;
+      ctx.imageSmoothingQuality = 'high';
+      ctx.drawImage(resolved.source, 0, 0, targetCanvas.width, targetCanvas.height);
+      return { width, height };
+    },
+
+    // Average colour of the size x size image px square centred on (x, y), clipped to the image. Reads the composite
+    // (what is drawn) or, with layerId, that layer's own pixels; null when there is no such surface.
+    // RGB is alpha-weighted so transparent pixels don't pull the colour towards black.
+    samplePixel: (canvas, x, y, size, layerId) => {
+      let surface = null;
+      let width = 0;
+      let height = 0;
+
+      if (layerId) {
+        const layer = getLayerStack(canvas, false)?.layers.get(layerId);
+        if (!layer) return null;
+        ({ surface, width, height } = layer);
       } else {
-        sourceCanvas = canvas;
+        const resolved = resolveSource(canvas);
+        if (!resolved) return null;
+        surface = getExportSurface(canvas);
+        ({ width, height } = resolved);
       }
 
-      const blob = await canvasToJpegBlob(sourceCanvas);
-      if (!blob) return null;
-      return await blobToBase64(blob);
+      const half = Math.floor(Math.max(1, size || 1) / 2);
+      const cx = Math.floor(x);
+      const cy = Math.floor(y);
+      const x0 = Math.max(0, cx - half);
+      const y0 = Math.max(0, cy - half);
+      const x1 = Math.min(width, cx + half + 1);
+      const y1 = Math.min(height, cy + half + 1);
+      if (x1 <= x0 || y1 <= y0) return null;
+
+      const ctx = surface.getContext('2d', { willReadFrequently: true });
+      if (!ctx) return null;
+
+      const data = ctx.getImageData(x0, y0, x1 - x0, y1 - y0).data;
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let a = 0;
+      for (let i = 0; i < data.length; i += 4) {
+        const alpha = data[i + 3];
+        r += data[i] * alpha;
+        g += data[i + 1] * alpha;
+        b += data[i + 2] * alpha;
+        a += alpha;
+      }
+
+      const count = data.length / 4;
+      if (a === 0) return { r: 0, g: 0, b: 0, a: 0 };
+      return { r: Math.round(r / a), g: Math.round(g / a), b: Math.round(b / a), a: Math.round(a / count) };
     },
 
-    downloadPng: async (canvas, filename) => {
-      const img = canvasToImage.get(canvas);
-      const raw = canvasToRawCanvas.get(canvas);
+    // Selection mask for computeHistogram (width x height bytes, non-zero = selected; null clears it). Kept here so
+    // it crosses from .NET once per selection rather than with every histogram refresh.
+    setHistogramMask: (canvas, mask) => {
+      if (mask) canvasToHistogramMask.set(canvas, mask);
+      else canvasToHistogramMask.delete(canvas);
+    },
 
-      let sourceCanvas = null;
+    // 256-bin R/G/B/luma histogram of the image behind canvas (layers composited). Fully transparent pixels are
+    // skipped; options.rect ({ x, y, width, height }) or options.useMask (the mask from setHistogramMask) limits it
+    // to a selection and options.maxSamples subsamples large images on a regular grid.
+    // Returns null without an image.
+    computeHistogram: (canvas, options) => {
+      const resolved = resolveSource(canvas);
+      if (!resolved || resolved.width <= 0 || resolved.height <= 0) return null;
 
-      if (raw && raw.canvas) {
-        sourceCanvas = raw.canvas;
-      } else if (img) {
-        const w = img.naturalWidth || 1;
-        const h = img.naturalHeight || 1;
-        if (typeof OffscreenCanvas !== 'undefined') {
-          sourceCanvas = new OffscreenCanvas(w, h);
-        } else {
-          sourceCanvas = document.createElement('canvas');
-          sourceCanvas.width = w;
-          sourceCanvas.height = h;
+      const { width, height } = resolved;
+      const rect = options?.rect;
+      const x0 = rect ? Math.max(0, Math.floor(rect.x)) : 0;
+      const y0 = rect ? Math.max(0, Math.floor(rect.y)) : 0;
+      const x1 = rect ? Math.min(width, Math.ceil(rect.x + rect.width)) : width;
+      const y1 = rect ? Math.min(height, Math.ceil(rect.y + rect.height)) : height;
+      if (x1 <= x0 || y1 <= y0) return null;
+
+      const stored = !rect && options?.useMask ? canvasToHistogramMask.get(canvas) : null;
+      const mask = stored && stored.length === width * height ? stored : null;
+      const maxSamples = Math.max(1024, options?.maxSamples ?? 262144);
+      const step = Math.max(1, Math.ceil(Math.sqrt(((x1 - x0) * (y1 - y0)) / maxSamples)));
+
+      // Only the sampled pixels are read back, never the full-size image.
+      const sampled = readSampledPixels(getExportSurface(canvas), x0, y0, x1 - x0, y1 - y0, step);
+      if (!sampled) return null;
+
+      const { data } = sampled;
+
+      const r = new Array(256).fill(0);
+      const g = new Array(256).fill(0);
+      const b = new Array(256).fill(0);
+      const luma = new Array(256).fill(0);
+      let samples = 0;
+
+      for (let sy = 0; sy < sampled.height; sy++) {
+        const y = Math.min(y1 - 1, y0 + Math.floor((sy + 0.5) * step));
+        for (let sx = 0; sx < sampled.width; sx++) {
+          const x = Math.min(x1 - 1, x0 + Math.floor((sx + 0.5) * step));
+          if (mask && mask[(y * width) + x] === 0) continue;
+
+          const i = ((sy * sampled.width) + sx) * 4;
+          if (data[i + 3] === 0) continue;
+
+          const red = data[i];
+          const green = data[i + 1];
+          const blue = data[i + 2];
+          r[red]++;
+          g[green]++;
+          b[blue]++;
+          // Rec. 601 weights in 8.8 fixed point.
+          luma[((77 * red) + (150 * green) + (29 * blue)) >> 8]++;
+          samples++;
         }
-        const ctx = sourceCanvas.getContext('2d');
-        ctx.drawImage(img, 0, 0);
-      } else {
-        sourceCanvas = canvas;
       }
 
-      const blob = await canvasToPngBlob(sourceCanvas);
+      return { r, g, b, luma, samples, step };
+    },
+
+    // Encoded image as a Blob for other scripts (e.g. writing to a file handle); null without pixels.
+    exportBlob: (canvas, options) => exportBlob(canvas, options),
+
+    // Encoded image as base64 (null without pixels). options: see exportBlob.
+    exportBase64: async (canvas, options) => {
+      const blob = await exportBlob(canvas, options);
+      if (!blob) return null;
+      return await blobToBase64(blob);
+    },
+
+    download: async (canvas, filename, options) => {
+      const blob = await exportBlob(canvas, options);
       if (!blob) return;
       downloadBlob(blob, filename || 'image.png');
     },
 
-    downloadJpeg: async (canvas, filename) => {
-      const img = canvasToImage.get(canvas);
-      const raw = canvasToRawCanvas.get(canvas);
+    // Whether any pixel of the image behind canvas is not fully opaque. The answer is kept until the pixels
+    // change, so reopening Save As doesn't scan again.
+    hasTransparency: async (canvas) => {
+      const resolved = resolveSource(canvas);
+      if (!resolved) return false;
 
-      let sourceCanvas = null;
+      const known = canvasToTransparency.get(canvas);
+      if (known && known.source === resolved.source && known.version === resolved.version) return known.result;
 
-      if (raw && raw.canvas) {
-        sourceCanvas = raw.canvas;
-      } else if (img) {
-        const w = img.naturalWidth || 1;
-        const h = img.naturalHeight || 1;
-        if (typeof OffscreenCanvas !== 'undefined') {
-          sourceCanvas = new OffscreenCanvas(w, h);
-        } else {
-          sourceCanvas = document.createElement('canvas');
-          sourceCanvas.width = w;
-          sourceCanvas.height = h;
+      const result = await scanTransparency(getExportSurface(canvas));
+      canvasToTransparency.set(canvas, { source: resolved.source, version: resolved.version, result });
+      return result;
+    },
+
+    // Trial encode of a downscaled copy for a size estimate in bytes (null without pixels); nothing is kept.
+    estimateExportSize: (canvas, options) => estimateExportSize(canvas, options),
+
+    // The subset of the given MIME types this runtime can encode.
+    getSupportedExportTypes: async (types) => {
+      const list = types || [];
+      const supported = await Promise.all(list.map((type) => canEncode(type)));
+      return list.filter((_, i) => supported[i]);
+    },
+
+    // Puts a width x height RGBA block on the system clipboard as image/png. Resolves false when the
+    // async clipboard API is missing or the write is refused (no focus or permission).
+    writeClipboardRgba: async (width, height, rgbaBytes) => {
+      if (!navigator.clipboard?.write || typeof ClipboardItem === 'undefined') return false;
+
+      const surface = createSurface(width, height);
+      putRgbaRegion(surface, 0, 0, width, height, takePixels(rgbaBytes));
+
+      try {
+        // Handing ClipboardItem the pending blob keeps the write inside the user gesture on Safari.
+        await navigator.clipboard.write([new ClipboardItem({ 'image/png': surfaceToBlob(surface, 'image/png', null) })]);
+        clipboardHoldsOwnImage = true;
+        return true;
+      } catch {
+        clipboardHoldsOwnImage = false;
+        return false;
+      }
+    },
+
+    // False while the system clipboard is known to still hold the last image from writeClipboardRgba, so a paste
+    // can skip reading it back (asks for nothing).
+    clipboardMayHaveChanged: () => !clipboardHoldsOwnImage,
+
+    // First image on the system clipboard as { width, height, bytes (PNG), rgba } with both buffers as JS stream
+    // references, or null when there is none or reading is refused.
+    readClipboardImage: async () => {
+      if (!navigator.clipboard?.read) return null;
+
+      // Refused permission, an unreadable item and an undecodable image all count as "no image".
+      try {
+        const items = await navigator.clipboard.read();
+        for (const item of items) {
+          const type = item.types.find((t) => t.startsWith('image/'));
+          if (!type) continue;
+
+          const blob = await item.getType(type);
+          const bitmap = await createImageBitmap(blob);
+          try {
+            const { width, height } = bitmap;
+            const surface = createSurface(width, height);
+            const ctx = surface.getContext('2d', { willReadFrequently: true });
+            ctx.drawImage(bitmap, 0, 0);
+
+            const rgba = ctx.getImageData(0, 0, width, height).data;
+            const png = type === 'image/png' ? blob : await surfaceToBlob(surface, 'image/png', null);
+            if (!png) return null;
+
+            return { width, height, bytes: DotNet.createJSStreamReference(png), rgba: DotNet.createJSStreamReference(rgba) };
+          } finally {
+            bitmap.close();
+          }
         }
-        const ctx = sourceCanvas.getContext('2d');
-        ctx.drawImage(img, 0, 0);
-      } else {
-        sourceCanvas = canvas;
+      } catch (err) {
+        console.warn('mogeCanvas: clipboard read failed', err);
       }
 
-      const blob = await canvasToJpegBlob(sourceCanvas);
-      if (!blob) return;
-      downloadBlob(blob, filename || 'image.jpg');
-    }
+      return null;
+    },
+
+    // Whether images can be read from the system clipboard here at all (asks for nothing).
+    canReadClipboardImage: () => typeof navigator.clipboard?.read === 'function'
   };
 })();
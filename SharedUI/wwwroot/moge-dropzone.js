@@ -0,0 +1,161 @@
+(() => {
+  // Drag-and-drop of image files and folders onto an element. Dropped files stay here under a token until .NET
+  // takes them (mogeFilePicker.pickDropped on the web, readFiles in the desktop app), so nothing is decoded early.
+  // While files are dragged over, the element gets `moge-drop-active`, and the [data-moge-drop-zone] child under
+  // the cursor gets `moge-drop-target`; the zone's value is reported with the drop ("document" when outside).
+  const dropped = new Map();
+  let nextToken = 0;
+
+  const isImage = (file) => window.mogeImageFiles.isImage(file);
+
+  function hasFiles(e) {
+    return Array.from(e.dataTransfer?.types || []).includes('Files');
+  }
+
+  function readEntries(reader) {
+    return new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+  }
+
+  async function collectEntry(entry, out) {
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      if (isImage(file)) out.push(file);
+      return;
+    }
+
+    if (entry.isDirectory) {
+      // readEntries returns batches; an empty batch means the folder is exhausted.
+      const reader = entry.createReader();
+      for (let batch = await readEntries(reader); batch.length; batch = await readEntries(reader)) {
+        for (const child of batch) await collectEntry(child, out);
+      }
+    }
+  }
+
+  // Entries have to be taken synchronously in the drop handler (the DataTransfer is emptied afterwards),
+  // which is why this grabs them before the first await.
+  async function collectFiles(dataTransfer) {
+    const items = Array.from(dataTransfer.items || []).filter((item) => item.kind === 'file');
+    const entries = items.map((item) => item.webkitGetAsEntry?.() ?? null);
+    const files = Array.from(dataTransfer.files || []);
+
+    if (!entries.length || entries.some((entry) => !entry)) return files.filter(isImage);
+
+    const out = [];
+    for (const entry of entries) await collectEntry(entry, out);
+    return out;
+  }
+
+  function findZone(target) {
+    return target?.closest?.('[data-moge-drop-zone]') ?? null;
+  }
+
+  function attach(element, dotNetRef) {
+    if (!element || element.__mogeDropZone) return;
+
+    let depth = 0;
+    let targetZone = null;
+
+    const setTarget = (zone) => {
+      if (zone === targetZone) return;
+      targetZone?.classList.remove('moge-drop-target');
+      zone?.classList.add('moge-drop-target');
+      targetZone = zone;
+    };
+
+    const reset = () => {
+      depth = 0;
+      setTarget(null);
+      element.classList.remove('moge-drop-active');
+    };
+
+    const onDragEnter = (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      depth++;
+      element.classList.add('moge-drop-active');
+    };
+
+    const onDragOver = (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+      setTarget(findZone(e.target));
+    };
+
+    const onDragLeave = (e) => {
+      if (!hasFiles(e)) return;
+      depth = Math.max(0, depth - 1);
+      if (!depth) reset();
+    };
+
+    // Same outcome as a failed read on the .NET side: logged, and a status message instead of silence.
+    const reportFailure = (err) => {
+      console.error('mogeDropZone: drop failed', err);
+      dotNetRef.invokeMethodAsync('OnDropFailed', String(err?.message || err)).catch(() => { });
+    };
+
+    const onDrop = async (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+
+      const zone = findZone(e.target)?.getAttribute('data-moge-drop-zone') || 'document';
+      reset();
+
+      let files;
+      try {
+        files = await collectFiles(e.dataTransfer);
+      } catch (err) {
+        reportFailure(err);
+        return;
+      }
+      if (!files.length) return;
+
+      const token = `drop${++nextToken}`;
+      dropped.set(token, files);
+      try {
+        await dotNetRef.invokeMethodAsync('OnFilesDropped', token, zone, files.length);
+      } catch (err) {
+        reportFailure(err);
+      } finally {
+        dropped.delete(token);
+      }
+    };
+
+    element.addEventListener('dragenter', onDragEnter);
+    element.addEventListener('dragover', onDragOver);
+    element.addEventListener('dragleave', onDragLeave);
+    element.addEventListener('drop', onDrop);
+
+    element.__mogeDropZone = () => {
+      element.removeEventListener('dragenter', onDragEnter);
+      element.removeEventListener('dragover', onDragOver);
+      element.removeEventListener('dragleave', onDragLeave);
+      element.removeEventListener('drop', onDrop);
+      reset();
+    };
+  }
+
+  function detach(element) {
+    if (!element?.__mogeDropZone) return;
+    element.__mogeDropZone();
+    delete element.__mogeDropZone;
+  }
+
+  window.mogeDropZone = {
+    attach,
+    detach,
+
+    // The File objects of a drop (only valid while OnFilesDropped runs).
+    take: (token) => dropped.get(token) || [],
+
+    // Unprocessed bytes of a drop as [{ fileName, contentType, bytes, metadata }] (bytes as JS stream references,
+    // metadata from mogeImageMeta), for hosts that decode natively.
+    readFiles: (token) => Promise.all((dropped.get(token) || []).map(async (file) => ({
+      fileName: file.name,
+      contentType: file.type || 'application/octet-stream',
+      bytes: DotNet.createJSStreamReference(file),
+      metadata: window.mogeImageMeta ? await window.mogeImageMeta.read(file) : null
+    })))
+  };
+})();
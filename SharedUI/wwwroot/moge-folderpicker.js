@@ -0,0 +1,137 @@
+(() => {
+  // "Open folder": lets the user choose a directory (showDirectoryPicker, or an <input webkitdirectory>) and keeps
+  // its image files under a token, so .NET can take them one at a time and nothing is decoded ahead of it.
+  // While the folder is walked, a .NET object gets OnScanning(found) now and then; when that returns false the
+  // walk stops and nothing is kept.
+  const SCAN_REPORT_MS = 150;
+
+  const folders = new Map();
+  let nextToken = 0;
+
+  const isImage = (file) => window.mogeImageFiles.isImage(file);
+
+  class ScanCanceled extends Error { }
+
+  // Tells .NET how many images the walk has found, at most every SCAN_REPORT_MS unless forced.
+  function createScanReporter(progressRef) {
+    let lastReport = -Infinity;
+
+    return async (found, force) => {
+      const now = performance.now();
+      if (!force && now - lastReport < SCAN_REPORT_MS) return;
+
+      lastReport = now;
+      if (!await progressRef.invokeMethodAsync('OnScanning', found)) throw new ScanCanceled();
+    };
+  }
+
+  async function collectHandle(dirHandle, path, out, report) {
+    for await (const entry of dirHandle.values()) {
+      const entryPath = `${path}${entry.name}`;
+      if (entry.kind === 'directory') {
+        await collectHandle(entry, `${entryPath}/`, out, report);
+      } else {
+        const file = await entry.getFile();
+        if (isImage(file)) out.push({ path: entryPath, file });
+        await report(out.length, false);
+      }
+    }
+  }
+
+  // [] when the user cancels; null when the API is missing or refused, so the <input> path is used.
+  async function chooseWithFileSystemAccess(report) {
+    if (typeof window.showDirectoryPicker !== 'function') return null;
+
+    let dirHandle;
+    try {
+      dirHandle = await window.showDirectoryPicker({ mode: 'read' });
+    } catch (e) {
+      return e?.name === 'AbortError' ? [] : null;
+    }
+
+    const out = [];
+    await report(0, true);
+    await collectHandle(dirHandle, '', out, report);
+    return out;
+  }
+
+  // The browser walks the folder itself before `change`, so there is nothing to report until then.
+  function chooseWithInput() {
+    return new Promise((resolve) => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.webkitdirectory = true;
+      input.multiple = true;
+      input.style.display = 'none';
+
+      const finish = (entries) => {
+        input.remove();
+        resolve(entries);
+      };
+
+      input.addEventListener('change', () => finish(Array.from(input.files || [])
+        .filter(isImage)
+        .map((file) => ({ path: file.webkitRelativePath || file.name, file }))));
+      input.addEventListener('cancel', () => finish([]));
+
+      document.body.appendChild(input);
+      input.click();
+    });
+  }
+
+  // Image files of the chosen folder and its subfolders, in path order; null when the scan was canceled.
+  async function choose(progressRef) {
+    const report = createScanReporter(progressRef);
+
+    let chosen;
+    try {
+      chosen = (await chooseWithFileSystemAccess(report)) ?? (await chooseWithInput());
+    } catch (e) {
+      if (e instanceof ScanCanceled) return null;
+      throw e;
+    }
+
+    chosen.sort((a, b) => a.path.localeCompare(b.path, undefined, { numeric: true }));
+    return chosen.map((entry) => entry.file);
+  }
+
+  window.mogeFolderPicker = {
+    // Asks for a folder and keeps its images: { token, names } (file names in the order .NET takes them), or
+    // { token: null, names: [] } when the user cancels either the dialog or the scan.
+    open: async (progressRef) => {
+      const files = await choose(progressRef);
+      if (!files?.length) return { token: null, names: [] };
+
+      const token = `folder${++nextToken}`;
+      folders.set(token, files);
+      return { token, names: files.map((file) => file.name) };
+    },
+
+    release: (token) => {
+      folders.delete(token);
+    },
+
+    // convert(file) -> entry for the index-th file of an opened folder (e.g. mogeFilePicker._toPicked on the web);
+    // null when the folder was released or the file could not be read, so one bad file doesn't cost the rest.
+    read: async (token, index, convert) => {
+      const file = folders.get(token)?.[index];
+      if (!file) return null;
+
+      try {
+        return await convert(file);
+      } catch (err) {
+        console.warn(`mogeFolderPicker: could not read ${file.name}`, err);
+        return null;
+      }
+    },
+
+    // Unprocessed bytes as { fileName, contentType, bytes, metadata } (bytes as a JS stream reference, metadata
+    // from mogeImageMeta), for hosts that decode natively.
+    readFile: (token, index) => window.mogeFolderPicker.read(token, index, async (file) => ({
+      fileName: file.name,
+      contentType: file.type || 'application/octet-stream',
+      bytes: DotNet.createJSStreamReference(file),
+      metadata: window.mogeImageMeta ? await window.mogeImageMeta.read(file) : null
+    }))
+  };
+})();
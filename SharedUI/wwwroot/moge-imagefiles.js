@@ -0,0 +1,9 @@
+(() => {
+  // Which files count as images when a whole drop or folder is taken (moge-dropzone.js, moge-folderpicker.js):
+  // an image/* type, or a known extension for files the browser reports without a type (e.g. HEIC on Windows).
+  const IMAGE_NAME = /\.(png|jpe?g|gif|bmp|webp|avif|heic|heif|tiff?|ico)$/i;
+
+  window.mogeImageFiles = {
+    isImage: (file) => (file.type && file.type.startsWith('image/')) || IMAGE_NAME.test(file.name || '')
+  };
+})();
@@ -0,0 +1,492 @@
+(() => {
+  // EXIF / XMP reader for opened files (JPEG APP1, PNG eXIf/iTXt, WebP EXIF/XMP chunks, HEIF/AVIF Exif and XMP
+  // items). read() resolves to { orientation, cameraMake, cameraModel, lens, exposureTime, fNumber, iso, focalLength,
+  // capturedAt, latitude, longitude, altitude, software, artist, copyright, hasXmp, exif }
+  // (SharedUI.Services.ImageMetadata), or null when the file carries none. exif is the raw TIFF block as base64 so
+  // exports can write it back.
+  // Containers are walked through a small window on the file, so metadata after the pixel data (WebP, some PNGs) is
+  // found without reading the pixels themselves.
+  const WINDOW_BYTES = 64 * 1024;
+  const MAX_BLOCK_BYTES = 4 * 1024 * 1024;
+
+  const TYPE_SIZES = [0, 1, 1, 2, 4, 8, 1, 1, 2, 4, 8, 4, 8];
+
+  const IFD0 = { 0x010f: 'make', 0x0110: 'model', 0x0112: 'orientation', 0x0131: 'software', 0x0132: 'dateTime', 0x013b: 'artist', 0x8298: 'copyright', 0x8769: 'exifIfd', 0x8825: 'gpsIfd' };
+  const EXIF_IFD = { 0x829a: 'exposureTime', 0x829d: 'fNumber', 0x8827: 'iso', 0x9003: 'dateTimeOriginal', 0x920a: 'focalLength', 0xa433: 'lensMake', 0xa434: 'lensModel' };
+  const GPS_IFD = { 1: 'latRef', 2: 'lat', 3: 'lonRef', 4: 'lon', 5: 'altRef', 6: 'alt' };
+
+  const ascii = (bytes, start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+
+  // ---- TIFF (the body of an EXIF block) ----
+
+  function tiffReader(tiff) {
+    const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+    const order = ascii(tiff, 0, 2);
+    if (tiff.length < 8 || (order !== 'II' && order !== 'MM')) return null;
+
+    const little = order === 'II';
+    const u16 = (o) => view.getUint16(o, little);
+    const u32 = (o) => view.getUint32(o, little);
+    if (u16(2) !== 42) return null;
+    return { tiff, view, little, u16, u32, ifd0: u32(4) };
+  }
+
+  function readValue(r, entry) {
+    const type = r.u16(entry + 2);
+    const count = r.u32(entry + 4);
+    const size = (TYPE_SIZES[type] || 0) * count;
+    if (!size) return null;
+
+    const at = size > 4 ? r.u32(entry + 8) : entry + 8;
+    if (at + size > r.tiff.length) return null;
+
+    if (type === 2) return ascii(r.tiff, at, count).replace(/\0+$/, '').trim() || null;
+
+    const values = [];
+    for (let i = 0; i < count && i < 16; i++) {
+      switch (type) {
+        case 1: case 7: values.push(r.tiff[at + i]); break;
+        case 3: values.push(r.u16(at + i * 2)); break;
+        case 4: values.push(r.u32(at + i * 4)); break;
+        case 9: values.push(r.view.getInt32(at + i * 4, r.little)); break;
+        case 5: case 10: {
+          const signed = type === 10;
+          const num = signed ? r.view.getInt32(at + i * 8, r.little) : r.u32(at + i * 8);
+          const den = signed ? r.view.getInt32(at + i * 8 + 4, r.little) : r.u32(at + i * 8 + 4);
+          values.push({ num, den });
+          break;
+        }
+        default: return null;
+      }
+    }
+    return values;
+  }
+
+  function readIfd(r, offset, tags) {
+    const out = {};
+    if (!offset || offset + 2 > r.tiff.length) return out;
+
+    const count = r.u16(offset);
+    for (let i = 0; i < count; i++) {
+      const entry = offset + 2 + i * 12;
+      if (entry + 12 > r.tiff.length) break;
+
+      const name = tags[r.u16(entry)];
+      if (!name) continue;
+      try {
+        out[name] = readValue(r, entry);
+      } catch {
+        // A broken entry shouldn't hide the rest of the block.
+      }
+    }
+    return out;
+  }
+
+  const first = (v) => (Array.isArray(v) ? v[0] : v);
+  const ratio = (v) => (v && v.den ? v.num / v.den : null);
+
+  function formatExposure(v) {
+    if (!v || !v.den || !v.num) return null;
+    const seconds = v.num / v.den;
+    return seconds >= 1 ? `${+seconds.toFixed(1)}` : `1/${Math.round(v.den / v.num)}`;
+  }
+
+  // "2024:05:01 12:34:56" -> "2024-05-01 12:34:56"
+  const formatDate = (s) => (typeof s === 'string' ? s.replace(/^(\d{4}):(\d{2}):(\d{2})/, '$1-$2-$3') : null);
+
+  function gpsCoordinate(values, ref) {
+    if (!Array.isArray(values) || values.length < 3) return null;
+    const [d, m, s] = values.map(ratio);
+    if ([d, m, s].some((x) => x == null)) return null;
+    const value = d + m / 60 + s / 3600;
+    return ref === 'S' || ref === 'W' ? -value : value;
+  }
+
+  function parseExif(tiff) {
+    const r = tiffReader(tiff);
+    if (!r) return null;
+
+    const ifd0 = readIfd(r, r.ifd0, IFD0);
+    const exif = readIfd(r, first(ifd0.exifIfd), EXIF_IFD);
+    const gps = readIfd(r, first(ifd0.gpsIfd), GPS_IFD);
+
+    const altitude = ratio(first(gps.alt));
+    return {
+      orientation: first(ifd0.orientation) ?? null,
+      cameraMake: ifd0.make ?? null,
+      cameraModel: ifd0.model ?? null,
+      lens: exif.lensModel ?? exif.lensMake ?? null,
+      exposureTime: formatExposure(first(exif.exposureTime)),
+      fNumber: ratio(first(exif.fNumber)),
+      iso: first(exif.iso) ?? null,
+      focalLength: ratio(first(exif.focalLength)),
+      capturedAt: formatDate(exif.dateTimeOriginal ?? ifd0.dateTime),
+      latitude: gpsCoordinate(gps.lat, gps.latRef),
+      longitude: gpsCoordinate(gps.lon, gps.lonRef),
+      altitude: altitude == null ? null : (first(gps.altRef) === 1 ? -altitude : altitude),
+      software: ifd0.software ?? null,
+      artist: ifd0.artist ?? null,
+      copyright: ifd0.copyright ?? null
+    };
+  }
+
+  // Copy of a TIFF block with IFD0's Orientation set to `value` (exports are written upright).
+  function withOrientation(tiff, value) {
+    const copy = new Uint8Array(tiff);
+    const r = tiffReader(copy);
+    if (!r) return copy;
+
+    const count = r.u16(r.ifd0);
+    for (let i = 0; i < count; i++) {
+      const entry = r.ifd0 + 2 + i * 12;
+      if (entry + 12 > copy.length) break;
+      if (r.u16(entry) === 0x0112 && r.u16(entry + 2) === 3) r.view.setUint16(entry + 8, value, r.little);
+    }
+    return copy;
+  }
+
+  // ---- XMP ----
+
+  function xmpValue(xml, name) {
+    const attr = new RegExp(`${name}="([^"]*)"`).exec(xml);
+    if (attr) return attr[1];
+    const element = new RegExp(`<${name}>\\s*(?:<rdf:(?:Seq|Alt|Bag)>\\s*<rdf:li[^>]*>)?([^<]*)<`).exec(xml);
+    return element ? element[1].trim() : null;
+  }
+
+  const xmpRatio = (s) => {
+    if (!s) return null;
+    const [num, den] = s.split('/').map(Number);
+    return den ? num / den : (Number.isFinite(num) ? num : null);
+  };
+
+  // "37,46.123N" / "37,46,7.4N" -> decimal degrees
+  function xmpCoordinate(s) {
+    const m = /^(\d+),(\d+(?:\.\d+)?)(?:,(\d+(?:\.\d+)?))?([NSEW])$/.exec(s || '');
+    if (!m) return null;
+    const value = +m[1] + +m[2] / 60 + (m[3] ? +m[3] / 3600 : 0);
+    return m[4] === 'S' || m[4] === 'W' ? -value : value;
+  }
+
+  function parseXmp(xml) {
+    const exposure = xmpRatio(xmpValue(xml, 'exif:ExposureTime'));
+    const orientation = Number(xmpValue(xml, 'tiff:Orientation'));
+    return {
+      orientation: orientation >= 1 && orientation <= 8 ? orientation : null,
+      cameraMake: xmpValue(xml, 'tiff:Make'),
+      cameraModel: xmpValue(xml, 'tiff:Model'),
+      lens: xmpValue(xml, 'exifEX:LensModel') ?? xmpValue(xml, 'aux:Lens'),
+      exposureTime: exposure ? formatExposure({ num: 1, den: 1 / exposure }) : null,
+      fNumber: xmpRatio(xmpValue(xml, 'exif:FNumber')),
+      iso: Number(xmpValue(xml, 'exif:ISOSpeedRatings')) || null,
+      focalLength: xmpRatio(xmpValue(xml, 'exif:FocalLength')),
+      capturedAt: (xmpValue(xml, 'exif:DateTimeOriginal') ?? xmpValue(xml, 'xmp:CreateDate'))?.replace('T', ' ') ?? null,
+      latitude: xmpCoordinate(xmpValue(xml, 'exif:GPSLatitude')),
+      longitude: xmpCoordinate(xmpValue(xml, 'exif:GPSLongitude')),
+      software: xmpValue(xml, 'xmp:CreatorTool'),
+      artist: xmpValue(xml, 'dc:creator'),
+      copyright: xmpValue(xml, 'dc:rights')
+    };
+  }
+
+  // ---- containers: { exif: Uint8Array (TIFF), xmp: string } ----
+
+  const XMP_JPEG = 'http://ns.adobe.com/xap/1.0/\0';
+  const decodeText = (bytes) => new TextDecoder().decode(bytes);
+
+  // Random access to a Blob through a window of WINDOW_BYTES (or the requested length, when longer).
+  function blobReader(blob) {
+    let windowStart = 0;
+    let buffer = new Uint8Array(0);
+
+    return {
+      size: blob.size,
+      bytes: async (start, length) => {
+        const end = Math.min(blob.size, start + length);
+        if (start < windowStart || end > windowStart + buffer.length) {
+          windowStart = start;
+          buffer = new Uint8Array(await blob.slice(start, Math.max(end, start + WINDOW_BYTES)).arrayBuffer());
+        }
+        return buffer.subarray(start - windowStart, end - windowStart);
+      }
+    };
+  }
+
+  const viewOf = (bytes) => new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  async function findInJpeg(r) {
+    const found = {};
+    for (let offset = 2; offset + 4 <= r.size;) {
+      const head = await r.bytes(offset, 4);
+      if (head[0] !== 0xff) break;
+      const marker = head[1];
+      if (marker === 0xda || marker === 0xd9) break; // pixel data / end
+      const length = viewOf(head).getUint16(2);
+
+      if (marker === 0xe1 && length > 2) {
+        const data = await r.bytes(offset + 4, length - 2);
+        if (!found.exif && ascii(data, 0, 6) === 'Exif\0\0') found.exif = data.subarray(6);
+        else if (!found.xmp && ascii(data, 0, XMP_JPEG.length) === XMP_JPEG) found.xmp = decodeText(data.subarray(XMP_JPEG.length));
+      }
+      offset = offset + 2 + length;
+    }
+    return found;
+  }
+
+  // eXIf and iTXt may also follow IDAT, so the walk goes on to IEND (IDAT chunks are skipped, not read).
+  async function findInPng(r) {
+    const found = {};
+    for (let offset = 8; offset + 12 <= r.size;) {
+      const head = await r.bytes(offset, 8);
+      const length = viewOf(head).getUint32(0);
+      const type = ascii(head, 4, 4);
+      if (type === 'IEND') break;
+
+      if ((type === 'eXIf' || type === 'iTXt') && length <= MAX_BLOCK_BYTES) {
+        const data = await r.bytes(offset + 8, length);
+        if (type === 'eXIf') found.exif = data;
+        else if (ascii(data, 0, 18) === 'XML:com.adobe.xmp\0' && data[18] === 0) {
+          // keyword \0, compression flag, method, language \0, translated keyword \0, text (uncompressed only)
+          let at = 20;
+          for (let zeros = 0; at < data.length && zeros < 2; at++) if (data[at] === 0) zeros++;
+          found.xmp = decodeText(data.subarray(at));
+        }
+      }
+
+      offset += 12 + length;
+    }
+    return found;
+  }
+
+  // EXIF and XMP chunks come after the image data in extended WebP files.
+  async function findInWebp(r) {
+    const found = {};
+    for (let offset = 12; offset + 8 <= r.size;) {
+      const head = await r.bytes(offset, 8);
+      const type = ascii(head, 0, 4);
+      const length = viewOf(head).getUint32(4, true);
+
+      if ((type === 'EXIF' || type === 'XMP ') && length <= MAX_BLOCK_BYTES) {
+        const data = await r.bytes(offset + 8, length);
+        if (type === 'EXIF') found.exif = ascii(data, 0, 6) === 'Exif\0\0' ? data.subarray(6) : data;
+        else found.xmp = decodeText(data);
+      }
+
+      offset += 8 + length + (length & 1);
+    }
+    return found;
+  }
+
+  // ---- ISO-BMFF (HEIF/HEIC, AVIF): metadata are items of the top-level meta box, located through iinf/iloc ----
+
+  const uint = (view, at, size) => {
+    switch (size) {
+      case 0: return 0;
+      case 2: return view.getUint16(at);
+      case 4: return view.getUint32(at);
+      case 8: return view.getUint32(at) * 2 ** 32 + view.getUint32(at + 4);
+      default: throw new Error(`Unsupported field size ${size}`);
+    }
+  };
+
+  // Child boxes of bytes[start, end) as [{ type, start (of the payload), end }].
+  function boxes(bytes, start, end) {
+    const view = viewOf(bytes);
+    const out = [];
+    for (let offset = start; offset + 8 <= end;) {
+      let size = view.getUint32(offset);
+      let header = 8;
+      if (size === 1) {
+        size = uint(view, offset + 8, 8);
+        header = 16;
+      } else if (size === 0) {
+        size = end - offset;
+      }
+      if (size < header) break;
+
+      out.push({ type: ascii(bytes, offset + 4, 4), start: offset + header, end: Math.min(end, offset + size) });
+      offset += size;
+    }
+    return out;
+  }
+
+  // iinf: item IDs of the Exif item and of the XMP item (a mime item of type application/rdf+xml).
+  function readItemInfo(meta, box) {
+    const view = viewOf(meta);
+    const version = meta[box.start];
+    const entriesStart = box.start + 4 + (version === 0 ? 2 : 4);
+    const items = {};
+
+    for (const infe of boxes(meta, entriesStart, box.end)) {
+      const infeVersion = meta[infe.start];
+      if (infe.type !== 'infe' || infeVersion < 2) continue;
+
+      const idSize = infeVersion === 2 ? 2 : 4;
+      const id = uint(view, infe.start + 4, idSize);
+      const typeAt = infe.start + 4 + idSize + 2;
+      const itemType = ascii(meta, typeAt, 4);
+      if (itemType === 'Exif') items.exif ??= id;
+      else if (itemType === 'mime') {
+        // item_name \0, then content_type \0
+        let at = typeAt + 4;
+        while (at < infe.end && meta[at] !== 0) at++;
+        const contentStart = at + 1;
+        let contentEnd = contentStart;
+        while (contentEnd < infe.end && meta[contentEnd] !== 0) contentEnd++;
+        if (ascii(meta, contentStart, contentEnd - contentStart) === 'application/rdf+xml') items.xmp ??= id;
+      }
+    }
+    return items;
+  }
+
+  // iloc: the extents of one item as [{ method, offset, length }] (method 0: file offset, 1: offset into idat).
+  function readItemLocation(meta, box, itemId) {
+    const view = viewOf(meta);
+    const version = meta[box.start];
+    const offsetSize = meta[box.start + 4] >> 4;
+    const lengthSize = meta[box.start + 4] & 0x0f;
+    const baseOffsetSize = meta[box.start + 5] >> 4;
+    const indexSize = version === 1 || version === 2 ? meta[box.start + 5] & 0x0f : 0;
+    const idSize = version < 2 ? 2 : 4;
+
+    let at = box.start + 6;
+    const count = uint(view, at, idSize);
+    at += idSize;
+
+    for (let i = 0; i < count && at < box.end; i++) {
+      const id = uint(view, at, idSize);
+      at += idSize;
+      let method = 0;
+      if (version === 1 || version === 2) {
+        method = view.getUint16(at) & 0x0f;
+        at += 2;
+      }
+      at += 2; // data_reference_index
+      const baseOffset = uint(view, at, baseOffsetSize);
+      at += baseOffsetSize;
+      const extentCount = view.getUint16(at);
+      at += 2;
+
+      const extents = [];
+      for (let e = 0; e < extentCount; e++) {
+        at += indexSize;
+        const offset = uint(view, at, offsetSize);
+        at += offsetSize;
+        const length = uint(view, at, lengthSize);
+        at += lengthSize;
+        extents.push({ method, offset: baseOffset + offset, length });
+      }
+      if (id === itemId) return extents;
+    }
+    return null;
+  }
+
+  async function readItem(r, meta, iloc, idat, itemId) {
+    const extents = itemId == null ? null : readItemLocation(meta, iloc, itemId);
+    if (!extents?.length) return null;
+
+    const parts = [];
+    let total = 0;
+    for (const extent of extents) {
+      // A length of 0 means "to the end of the file"; such items are not metadata-sized.
+      if (!extent.length || (total += extent.length) > MAX_BLOCK_BYTES) return null;
+      if (extent.method === 0) parts.push(await r.bytes(extent.offset, extent.length));
+      else if (extent.method === 1 && idat) parts.push(meta.subarray(idat.start + extent.offset, idat.start + extent.offset + extent.length));
+      else return null;
+    }
+
+    const data = new Uint8Array(total);
+    let at = 0;
+    for (const part of parts) {
+      data.set(part, at);
+      at += part.length;
+    }
+    return data;
+  }
+
+  // HEIF/AVIF rotate through their own irot/imir properties, which decoders apply; EXIF orientation there only
+  // mirrors them, so it is dropped to keep it from being applied a second time.
+  async function findInIsoBmff(r) {
+    const found = { ignoreOrientation: true };
+    for (let offset = 0; offset + 16 <= r.size;) {
+      const head = await r.bytes(offset, 16);
+      const view = viewOf(head);
+      let size = view.getUint32(0);
+      if (size === 1) size = uint(view, 8, 8);
+      else if (size === 0) size = r.size - offset;
+      if (size < 8) break;
+
+      if (ascii(head, 4, 4) === 'meta') {
+        if (size > MAX_BLOCK_BYTES) break;
+
+        const meta = await r.bytes(offset, size);
+        const children = boxes(meta, 12, meta.length); // header + version/flags
+        const child = (type) => children.find((box) => box.type === type);
+        const iinf = child('iinf');
+        const iloc = child('iloc');
+        if (!iinf || !iloc) break;
+
+        const items = readItemInfo(meta, iinf);
+        const exif = await readItem(r, meta, iloc, child('idat'), items.exif);
+        if (exif && exif.length >= 4) {
+          // exif_tiff_header_offset, then (usually) "Exif\0\0", then the TIFF block
+          found.exif = exif.subarray(4 + viewOf(exif).getUint32(0));
+        }
+        const xmp = await readItem(r, meta, iloc, child('idat'), items.xmp);
+        if (xmp) found.xmp = decodeText(xmp);
+        break;
+      }
+
+      offset += size;
+    }
+    return found;
+  }
+
+  function toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return btoa(binary);
+  }
+
+  async function read(blob) {
+    try {
+      const r = blobReader(blob);
+      if (r.size < 16) return null;
+
+      const head = await r.bytes(0, 16);
+      let found;
+      if (head[0] === 0xff && head[1] === 0xd8) found = await findInJpeg(r);
+      else if (viewOf(head).getUint32(0) === 0x89504e47) found = await findInPng(r);
+      else if (ascii(head, 0, 4) === 'RIFF' && ascii(head, 8, 4) === 'WEBP') found = await findInWebp(r);
+      else if (ascii(head, 4, 4) === 'ftyp') found = await findInIsoBmff(r);
+      else return null;
+
+      const fromExif = found.exif ? parseExif(found.exif) : null;
+      const fromXmp = found.xmp ? parseXmp(found.xmp) : null;
+      if (!fromExif && !fromXmp) return null;
+
+      // EXIF wins; XMP fills the gaps (e.g. lens names that only editors write).
+      const meta = { ...fromXmp };
+      for (const [key, value] of Object.entries(fromExif || {})) {
+        if (value != null) meta[key] = value;
+      }
+      if (found.ignoreOrientation) meta.orientation = null;
+      meta.hasXmp = !!fromXmp;
+      meta.exif = fromExif ? toBase64(found.exif) : null;
+      return meta;
+    } catch (err) {
+      // The file still opens; it just shows no metadata.
+      console.warn(`mogeImageMeta: could not read the metadata of ${blob.name || 'the image'}`, err);
+      return null;
+    }
+  }
+
+  window.mogeImageMeta = {
+    read,
+
+    // Same, for bytes sent from .NET as a DotNetStreamReference.
+    readStream: async (streamRef) => read(new Blob([await streamRef.arrayBuffer()])),
+
+    withOrientation
+  };
+})();
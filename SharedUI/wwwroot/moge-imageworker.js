@@ -0,0 +1,76 @@
+(() => {
+  // Promise wrapper around moge-imageworker.worker.js. Callers check `available` and fall back to decoding or
+  // encoding on the main thread when it is false or a call rejects.
+  const workerUrl = new URL('moge-imageworker.worker.js', document.currentScript.src).href;
+
+  let available = typeof Worker !== 'undefined'
+    && typeof OffscreenCanvas !== 'undefined'
+    && typeof OffscreenCanvas.prototype.convertToBlob === 'function';
+
+  let worker = null;
+  let nextId = 0;
+  const pending = new Map();
+
+  function fail(message) {
+    for (const { reject } of pending.values()) reject(new Error(message));
+    pending.clear();
+  }
+
+  function getWorker() {
+    if (worker) return worker;
+
+    worker = new Worker(workerUrl);
+    worker.onmessage = (e) => {
+      const { id, result, error } = e.data;
+      const call = pending.get(id);
+      if (!call) return;
+
+      pending.delete(id);
+      if (error) call.reject(new Error(error));
+      else call.resolve(result);
+    };
+
+    // The script failed to load or the worker died: stop using it for the rest of the session.
+    worker.onerror = () => {
+      available = false;
+      worker.terminate();
+      worker = null;
+      fail('Image worker failed.');
+    };
+
+    return worker;
+  }
+
+  function call(op, args, transfer) {
+    if (!available) return Promise.reject(new Error('Image worker is not available.'));
+
+    return new Promise((resolve, reject) => {
+      const id = ++nextId;
+      pending.set(id, { resolve, reject });
+      try {
+        getWorker().postMessage({ id, op, args }, transfer || []);
+      } catch (err) {
+        pending.delete(id);
+        reject(err);
+      }
+    });
+  }
+
+  window.mogeImageWorker = {
+    get available() {
+      return available;
+    },
+
+    // Blob/File -> { width, height, rgba: Uint8Array }; imageOrientation as for createImageBitmap.
+    decodeRgba: async (blob, imageOrientation) => {
+      const { width, height, rgba } = await call('decodeRgba', { blob, imageOrientation });
+      return { width, height, rgba: new Uint8Array(rgba) };
+    },
+
+    // Encodes an ImageBitmap (transferred to the worker, so it is unusable afterwards).
+    encode: (bitmap, type, quality) => call('encode', { bitmap, type, quality }, [bitmap]),
+
+    // Whether an ImageBitmap (transferred) has any pixel that is not fully opaque.
+    hasTransparency: (bitmap) => call('hasTransparency', { bitmap }, [bitmap])
+  };
+})();
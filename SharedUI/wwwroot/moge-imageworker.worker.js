@@ -0,0 +1,62 @@
+// Dedicated worker behind window.mogeImageWorker (moge-imageworker.js). Decodes and encodes on an OffscreenCanvas
+// so large images don't block the UI thread.
+// Protocol: { id, op, args } in, { id, result } or { id, error } out; pixel buffers are transferred, not copied.
+
+function drawBitmap(bitmap) {
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  if (!ctx) throw new Error('OffscreenCanvas 2D is not available in workers.');
+  ctx.drawImage(bitmap, 0, 0);
+  return { canvas, ctx };
+}
+
+const ops = {
+  // Blob -> { width, height, rgba: ArrayBuffer }. imageOrientation: 'from-image' (apply EXIF) or 'none'.
+  async decodeRgba({ blob, imageOrientation }) {
+    const bitmap = await createImageBitmap(blob, { imageOrientation: imageOrientation || 'from-image' });
+    try {
+      const { ctx } = drawBitmap(bitmap);
+      const { data } = ctx.getImageData(0, 0, bitmap.width, bitmap.height);
+      return { result: { width: bitmap.width, height: bitmap.height, rgba: data.buffer }, transfer: [data.buffer] };
+    } finally {
+      bitmap.close();
+    }
+  },
+
+  // ImageBitmap (transferred) -> Blob of the requested type; quality null = encoder default.
+  async encode({ bitmap, type, quality }) {
+    try {
+      const { canvas } = drawBitmap(bitmap);
+      return { result: await canvas.convertToBlob(quality == null ? { type } : { type, quality }) };
+    } finally {
+      bitmap.close();
+    }
+  },
+
+  // ImageBitmap (transferred) -> true when any pixel is not fully opaque.
+  async hasTransparency({ bitmap }) {
+    try {
+      const { ctx } = drawBitmap(bitmap);
+      const { data } = ctx.getImageData(0, 0, bitmap.width, bitmap.height);
+      for (let i = 3; i < data.length; i += 4) {
+        if (data[i] !== 255) return { result: true };
+      }
+      return { result: false };
+    } finally {
+      bitmap.close();
+    }
+  }
+};
+
+self.onmessage = async (e) => {
+  const { id, op, args } = e.data;
+  try {
+    const handler = ops[op];
+    if (!handler) throw new Error(`Unknown image worker op: ${op}`);
+
+    const { result, transfer } = await handler(args);
+    self.postMessage({ id, result }, transfer || []);
+  } catch (err) {
+    self.postMessage({ id, error: String(err?.message || err) });
+  }
+};
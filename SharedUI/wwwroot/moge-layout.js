@@ -19,6 +19,22 @@
         }
     }
 
+    // The editor canvas (marked data-moge-canvas) has focus and no page text is selected, so Ctrl+C / Ctrl+X
+    // belong to the canvas selection rather than to the browser.
+    function isCanvasFocused() {
+        try {
+            var el = document.activeElement;
+            if (!el || !el.hasAttribute('data-moge-canvas'))
+                return false;
+
+            var selection = window.getSelection();
+            return !selection || selection.isCollapsed;
+        }
+        catch {
+            return false;
+        }
+    }
+
     function setFooterHeightVar(footerEl) {
         try {
             if (!footerEl)
@@ -60,8 +76,16 @@
         }
     }
 
+    // Ctrl/Cmd+S is the editor's Save (MainLayout); keep the browser's "save page" dialog from opening as well.
+    // Only the default action is cancelled, so Blazor's @onkeydown still sees the key.
+    document.addEventListener('keydown', function (e) {
+        if ((e.ctrlKey || e.metaKey) && !e.shiftKey && !e.altKey && (e.key === 's' || e.key === 'S'))
+            e.preventDefault();
+    });
+
     window.mogeLayout = window.mogeLayout || {};
     window.mogeLayout.isTextInputFocused = isTextInputFocused;
+    window.mogeLayout.isCanvasFocused = isCanvasFocused;
     window.mogeLayout.setFooterHeightVar = setFooterHeightVar;
     window.mogeLayout.preventWheelScroll = preventWheelScroll;
 })();
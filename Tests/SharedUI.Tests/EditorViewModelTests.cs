@@ -0,0 +1,174 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+using Microsoft.AspNetCore.Components;
+using SharedUI.Components;
+using SharedUI.Logging;
+using SharedUI.Services;
+using SharedUI.ViewModels;
+using Xunit;
+
+namespace SharedUI.Tests;
+
+public sealed class EditorViewModelTests
+{
+    [Fact]
+    public async Task BrushStroke_OnUpperLayer_KeepsLowerLayersOutOfItsHistory()
+    {
+        var processor = new ImageProcessorService();
+        var document = new ImageDocumentState();
+        var (white, contentType) = processor.CreateBlankWhite(16, 16);
+        document.Set(new ImagePickResult("base.png", contentType, white));
+
+        using var vm = CreateViewModel(processor, document);
+        vm.Initialize();
+        await vm.AddLayerAsync();
+        await vm.OnBrushRadiusChanged(1);
+
+        await vm.OnStrokeCommittedAsync(new CanvasStroke(CanvasInteractionMode.Brush, new[] { new CanvasPoint(2, 8), new CanvasPoint(13, 8) }));
+
+        // Both layers are shown: the white page with the black line on top.
+        AssertPixel(processor, vm.ViewBytes!, 8, 0, 255, 255, 255, 255);
+        AssertPixel(processor, vm.ViewBytes!, 8, 8, 0, 0, 0, 255);
+
+        // With the page hidden only the stroke remains, so the edit didn't flatten the page into the top layer.
+        await vm.ToggleLayerVisibilityAsync(0);
+        AssertPixel(processor, vm.ViewBytes!, 8, 0, 0, 0, 0, 0);
+        AssertPixel(processor, vm.ViewBytes!, 8, 8, 0, 0, 0, 255);
+    }
+
+    [Fact]
+    public async Task DroppedImages_OnTheLayerZone_BecomeLayers()
+    {
+        var processor = new ImageProcessorService();
+        var document = new ImageDocumentState();
+        var (white, contentType) = processor.CreateBlankWhite(16, 16);
+        document.Set(new ImagePickResult("base.png", contentType, white));
+        var (dropped, _) = processor.CreateBlankWhite(4, 4);
+        var picker = new FakeFilePicker { Dropped = _ => new[] { new ImagePickResult("stamp.png", contentType, dropped) } };
+
+        using var vm = CreateViewModel(processor, document, picker);
+        vm.Initialize();
+        await vm.OpenDroppedFilesAsync("drop1", asLayers: true);
+
+        Assert.Equal(new[] { "Base", "stamp" }, vm.Layers.Select(l => l.Name));
+        Assert.Empty(vm.LoadedImageNames);
+    }
+
+    [Fact]
+    public async Task DroppedFiles_ThatCannotBeRead_EndInAStatusMessage()
+    {
+        var footer = new List<string?>();
+        var picker = new FakeFilePicker { Dropped = _ => throw new InvalidOperationException("The drop is gone.") };
+
+        using var vm = CreateViewModel(new ImageProcessorService(), new ImageDocumentState(), picker, footer.Add);
+        await vm.OpenDroppedFilesAsync("drop1", asLayers: false);
+        vm.ReportDropFailed("NotReadableError");
+
+        Assert.Equal(new[] { "Could not read the dropped files", "Could not read the dropped files" }, footer);
+    }
+
+    [Fact]
+    public async Task SaveAs_ClosedWithoutChoosingAFile_IsNotReportedAsSaved()
+    {
+        var processor = new ImageProcessorService();
+        var document = new ImageDocumentState();
+        var (white, contentType) = processor.CreateBlankWhite(16, 16);
+        document.Set(new ImagePickResult("base.png", contentType, white));
+        var footer = new List<string?>();
+
+        using var vm = CreateViewModel(processor, document, pushFooterMessage: footer.Add);
+        vm.Initialize();
+        await vm.OnCanvasReady(default);
+        await vm.SaveAsAsync("base-edited", ImageExportFormat.Png);
+
+        Assert.Equal("Save canceled", footer.Last());
+    }
+
+    private static void AssertPixel(ImageProcessorService processor, byte[] bytes, int x, int y, byte r, byte g, byte b, byte a)
+    {
+        var color = processor.GetPixelColor(bytes, x, y);
+
+        Assert.Equal(a, color.A);
+        if (a == 0)
+            return;
+
+        Assert.Equal(r, color.R);
+        Assert.Equal(g, color.G);
+        Assert.Equal(b, color.B);
+    }
+
+    private static EditorViewModel CreateViewModel(ImageProcessorService processor, ImageDocumentState document, FakeFilePicker? picker = null, Action<string?>? pushFooterMessage = null)
+        => new(
+            picker ?? new FakeFilePicker(),
+            document,
+            processor,
+            new NoExport(),
+            new NoClipboard(),
+            new MogeLogService(new NoLogStore(), new MogeLogOptions("tests")),
+            pushFooterMessage);
+
+    private sealed class FakeFilePicker : IImageFilePicker
+    {
+        public Func<string, IReadOnlyList<ImagePickResult>>? Dropped { get; init; }
+
+        public Task<ImagePickResult?> PickImageAsync(CancellationToken cancellationToken = default)
+            => Task.FromResult<ImagePickResult?>(null);
+
+        public Task<IReadOnlyList<ImagePickResult>> PickImagesAsync(CancellationToken cancellationToken = default)
+            => Task.FromResult<IReadOnlyList<ImagePickResult>>(Array.Empty<ImagePickResult>());
+
+        public async IAsyncEnumerable<ImagePickResult> PickFolderAsync(IProgress<ImagePickProgress>? progress = null, CancellationToken cancellationToken = default)
+        {
+            await Task.CompletedTask;
+            yield break;
+        }
+
+        public Task<IReadOnlyList<ImagePickResult>> ReadDroppedAsync(string dropToken, CancellationToken cancellationToken = default)
+            => Task.FromResult(Dropped?.Invoke(dropToken) ?? Array.Empty<ImagePickResult>());
+    }
+
+    private sealed class NoExport : IImageExportService
+    {
+        public Task<ImageSaveResult> SaveAsync(ElementReference canvas, string suggestedFileName, ImageExportFormat format, ImageExportOptions? options = null, CancellationToken cancellationToken = default)
+            => Task.FromResult(ImageSaveResult.Canceled);
+
+        public Task<bool> SaveToAsync(ElementReference canvas, ImageSaveTarget target, ImageExportFormat format, ImageExportOptions? options = null, CancellationToken cancellationToken = default)
+            => Task.FromResult(false);
+
+        public Task<IReadOnlyList<ImageExportFormat>> GetSupportedFormatsAsync(CancellationToken cancellationToken = default)
+            => Task.FromResult<IReadOnlyList<ImageExportFormat>>(Array.Empty<ImageExportFormat>());
+
+        public Task<bool> HasTransparencyAsync(ElementReference canvas, CancellationToken cancellationToken = default)
+            => Task.FromResult(false);
+
+        public Task<long?> EstimateSizeAsync(ElementReference canvas, ImageExportFormat format, ImageExportOptions? options = null, CancellationToken cancellationToken = default)
+            => Task.FromResult<long?>(null);
+    }
+
+    private sealed class NoClipboard : IImageClipboardService
+    {
+        public Task<bool> WriteRgbaAsync(byte[] rgba, int width, int height, CancellationToken cancellationToken = default)
+            => Task.FromResult(false);
+
+        public Task<ClipboardImage?> ReadImageAsync(CancellationToken cancellationToken = default)
+            => Task.FromResult<ClipboardImage?>(null);
+
+        public Task<bool> CanReadImageAsync(CancellationToken cancellationToken = default)
+            => Task.FromResult(false);
+
+        public Task<bool> MayHaveChangedAsync(CancellationToken cancellationToken = default)
+            => Task.FromResult(true);
+    }
+
+    private sealed class NoLogStore : ILogFileStore
+    {
+        public Task AppendLineAsync(DateOnly day, string line, CancellationToken cancellationToken = default) => Task.CompletedTask;
+
+        public Task CleanupAsync(DateOnly deleteBeforeDay, CancellationToken cancellationToken = default) => Task.CompletedTask;
+
+        public Task<string?> ReadAllTextAsync(DateOnly day, CancellationToken cancellationToken = default) => Task.FromResult<string?>(null);
+    }
+}
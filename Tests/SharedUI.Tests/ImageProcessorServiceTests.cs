@@ -0,0 +1,170 @@
+using System;
+using SharedUI.Components;
+using SharedUI.Services;
+using Xunit;
+
+namespace SharedUI.Tests;
+
+public sealed class ImageProcessorServiceTests
+{
+    [Fact]
+    public void GetStrokeBounds_PadsByRadiusAndClampsToImage()
+    {
+        var points = new[] { new CanvasPoint(10.4, 20), new CanvasPoint(30, 25.6) };
+
+        var inside = ImageProcessorService.GetStrokeBounds(points, radius: 3, width: 100, height: 100);
+        var clipped = ImageProcessorService.GetStrokeBounds(points, radius: 15, width: 40, height: 40);
+
+        Assert.Equal(new PixelRect(6, 16, 29, 15), inside);
+        Assert.Equal(new PixelRect(0, 4, 40, 36), clipped);
+    }
+
+    [Fact]
+    public void ApplyStroke_ReportsBoundsThatCoverEveryChangedPixel()
+    {
+        var processor = new ImageProcessorService();
+        var (blank, _) = processor.CreateBlankWhite(48, 32);
+        var points = new[] { new CanvasPoint(8, 10), new CanvasPoint(20, 14), new CanvasPoint(30, 12) };
+
+        var next = processor.ApplyStroke(blank, CanvasInteractionMode.Brush, points, 3, new Rgba32(200, 0, 0), out var dirty);
+
+        Assert.Equal(ImageProcessorService.GetStrokeBounds(points, 3, 48, 32), dirty);
+        AssertChangesInside(processor.GetRgba(blank).RgbaBytes, processor.GetRgba(next).RgbaBytes, 48, dirty);
+    }
+
+    [Fact]
+    public void ApplyStroke_WithASinglePoint_ReportsNoBounds()
+    {
+        var processor = new ImageProcessorService();
+        var (blank, _) = processor.CreateBlankWhite(8, 8);
+
+        var next = processor.ApplyStroke(blank, CanvasInteractionMode.Brush, new[] { new CanvasPoint(4, 4) }, 2, null, out var dirty);
+
+        Assert.Same(blank, next);
+        Assert.True(dirty.IsEmpty);
+    }
+
+    [Fact]
+    public void DrawText_ReportsBoundsThatCoverEveryChangedPixel()
+    {
+        var processor = new ImageProcessorService();
+        var (blank, _) = processor.CreateBlankWhite(160, 60);
+
+        var next = processor.DrawText(blank, "Moge gyp", 12, 30, new Rgba32(0, 0, 0), 1.0, 2, out var dirty);
+
+        Assert.False(dirty.IsEmpty);
+        AssertChangesInside(processor.GetRgba(blank).RgbaBytes, processor.GetRgba(next).RgbaBytes, 160, dirty);
+    }
+
+    [Fact]
+    public void AsciiTextBounds_CoverEveryPixelTheBitmapFontDraws()
+    {
+        const int width = 120;
+        const int height = 80;
+        var blank = new byte[width * height * 4];
+        var drawn = new byte[blank.Length];
+
+        ImageProcessorService.DrawAsciiText(drawn, width, height, 30, 8, "Hi!\nMOGE", new Rgba32(255, 255, 255), 2, 3);
+        var dirty = ImageProcessorService.GetAsciiTextBounds("Hi!\nMOGE", 30, 8, 2, 3, width, height);
+
+        AssertChangesInside(blank, drawn, width, dirty);
+    }
+
+    [Theory]
+    [InlineData(2)]
+    [InlineData(3)]
+    [InlineData(4)]
+    [InlineData(5)]
+    [InlineData(6)]
+    [InlineData(7)]
+    [InlineData(8)]
+    public void ApplyExifOrientation_TurnsTheStoredPixelsUpright(int orientation)
+    {
+        const int width = 2;
+        const int height = 3;
+        var processor = new ImageProcessorService();
+        var (blank, _) = processor.CreateBlankWhite(width, height);
+
+        // Every stored pixel is told apart by its coordinates: R = 40 * (x + 1), G = 40 * (y + 1).
+        var rgba = new byte[width * height * 4];
+        for (var y = 0; y < height; y++)
+        {
+            for (var x = 0; x < width; x++)
+            {
+                var i = (y * width + x) * 4;
+                rgba[i] = (byte)(40 * (x + 1));
+                rgba[i + 1] = (byte)(40 * (y + 1));
+                rgba[i + 3] = 255;
+            }
+        }
+        var stored = processor.PasteImage(blank, rgba, width, height, 0, 0);
+
+        var upright = processor.GetRgba(processor.ApplyExifOrientation(stored, orientation));
+
+        var swapsSides = orientation >= 5;
+        Assert.Equal(swapsSides ? height : width, upright.Width);
+        Assert.Equal(swapsSides ? width : height, upright.Height);
+        for (var y = 0; y < upright.Height; y++)
+        {
+            for (var x = 0; x < upright.Width; x++)
+            {
+                var (sx, sy) = orientation switch
+                {
+                    2 => (width - 1 - x, y),
+                    3 => (width - 1 - x, height - 1 - y),
+                    4 => (x, height - 1 - y),
+                    5 => (y, x),
+                    6 => (y, height - 1 - x),
+                    7 => (width - 1 - y, height - 1 - x),
+                    _ => (width - 1 - y, x)
+                };
+                var i = (y * upright.Width + x) * 4;
+                Assert.Equal((byte)(40 * (sx + 1)), upright.RgbaBytes[i]);
+                Assert.Equal((byte)(40 * (sy + 1)), upright.RgbaBytes[i + 1]);
+            }
+        }
+    }
+
+    [Fact]
+    public void ApplyExifOrientation_LeavesUprightAndUnknownValuesAlone()
+    {
+        var processor = new ImageProcessorService();
+        var (blank, _) = processor.CreateBlankWhite(2, 3);
+
+        Assert.Same(blank, processor.ApplyExifOrientation(blank, 1));
+        Assert.Same(blank, processor.ApplyExifOrientation(blank, 9));
+    }
+
+    [Fact]
+    public void GetAverageColor_AveragesTheSquareAroundThePointClippedToTheImage()
+    {
+        var processor = new ImageProcessorService();
+        var (blank, _) = processor.CreateBlankWhite(8, 8);
+        var image = processor.PasteImage(blank, new byte[] { 0, 0, 0, 255 }, 1, 1, 4, 4);
+
+        Assert.Equal(new Rgba32(0, 0, 0), processor.GetAverageColor(image, 4, 4, 1));
+        Assert.Equal(new Rgba32(227, 227, 227), processor.GetAverageColor(image, 4, 4, 3));
+        // Only 6 x 6 of the 11 x 11 square lies inside the image, one of those pixels black.
+        Assert.Equal(new Rgba32(248, 248, 248), processor.GetAverageColor(image, 0, 0, 11));
+    }
+
+    private static void AssertChangesInside(byte[] before, byte[] after, int width, PixelRect dirty)
+    {
+        Assert.Equal(before.Length, after.Length);
+
+        var changed = 0;
+        for (var i = 0; i < before.Length; i += 4)
+        {
+            if (before.AsSpan(i, 4).SequenceEqual(after.AsSpan(i, 4)))
+                continue;
+
+            changed++;
+            var x = i / 4 % width;
+            var y = i / 4 / width;
+            Assert.InRange(x, dirty.X, dirty.X + dirty.Width - 1);
+            Assert.InRange(y, dirty.Y, dirty.Y + dirty.Height - 1);
+        }
+
+        Assert.True(changed > 0);
+    }
+}
@@ -0,0 +1,36 @@
+using System;
+using SharedUI.Services.Raw;
+using Xunit;
+
+namespace SharedUI.Tests;
+
+public sealed class ImageSignatureTests
+{
+    [Fact]
+    public void Files_WithTheSameLengthAndHeader_GetDifferentSignatures()
+    {
+        var first = new byte[64];
+        var second = new byte[64];
+        first[0] = second[0] = 0x89;
+        second[63] = 1;
+
+        Assert.NotEqual(ImageSignature.Create(first), ImageSignature.Create(second));
+    }
+
+    [Fact]
+    public void EqualContent_GetsTheSameSignature()
+    {
+        var bytes = new byte[] { 0xFF, 0xD8, 0xFF, 0xE0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15 };
+
+        Assert.Equal(ImageSignature.Create(bytes), ImageSignature.Create((byte[])bytes.Clone()));
+    }
+
+    [Fact]
+    public void RawTokens_AreTheirOwnSignature()
+    {
+        var token = RawToken.Create();
+
+        Assert.NotEqual(ImageSignature.Create(token), ImageSignature.Create(RawToken.Create()));
+        Assert.EndsWith(Convert.ToHexString(token), ImageSignature.Create(token));
+    }
+}
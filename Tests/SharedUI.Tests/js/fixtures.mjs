@@ -0,0 +1,46 @@
+// Byte-level image fixtures shared by the tests in this folder.
+
+export const text = (s) => new TextEncoder().encode(s);
+
+export function concat(...parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let at = 0;
+  for (const part of parts) {
+    out.set(part, at);
+    at += part.length;
+  }
+  return out;
+}
+
+export function u16be(v) { return new Uint8Array([v >> 8, v & 0xff]); }
+export function u32be(v) { return new Uint8Array([v >>> 24, (v >> 16) & 0xff, (v >> 8) & 0xff, v & 0xff]); }
+export function u32le(v) { return new Uint8Array([v & 0xff, (v >> 8) & 0xff, (v >> 16) & 0xff, v >>> 24]); }
+
+// Little-endian TIFF block with IFD0 = { Orientation (SHORT), Make (ASCII, stored after the IFD) }.
+export function tiff(orientation, make) {
+  const makeBytes = text(`${make}\0`);
+  const out = new Uint8Array(8 + 2 + 2 * 12 + 4 + makeBytes.length);
+  const view = new DataView(out.buffer);
+  out.set(text('II'));
+  view.setUint16(2, 42, true);
+  view.setUint32(4, 8, true);
+  view.setUint16(8, 2, true);
+
+  view.setUint16(10, 0x010f, true);
+  view.setUint16(12, 2, true);
+  view.setUint32(14, makeBytes.length, true);
+  view.setUint32(18, 8 + 2 + 2 * 12 + 4, true);
+
+  view.setUint16(22, 0x0112, true);
+  view.setUint16(24, 3, true);
+  view.setUint32(26, 1, true);
+  view.setUint16(30, orientation, true);
+
+  out.set(makeBytes, 8 + 2 + 2 * 12 + 4);
+  return out;
+}
+
+export function jpeg(exif) {
+  const app1 = concat(text('Exif\0\0'), exif);
+  return concat(new Uint8Array([0xff, 0xd8, 0xff, 0xe1]), u16be(app1.length + 2), app1, new Uint8Array([0xff, 0xda, 0, 2, 0xff, 0xd9]));
+}
@@ -0,0 +1,42 @@
+// Tests for SharedUI/wwwroot/moge-canvas.js exports; run with `node --test Tests/SharedUI.Tests/js` (Node 20+).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { runInThisContext } from 'node:vm';
+import { concat, text, tiff, u32be } from './fixtures.mjs';
+
+globalThis.window = {};
+for (const script of ['moge-imagemeta.js', 'moge-canvas.js']) {
+  runInThisContext(readFileSync(new URL(`../../../SharedUI/wwwroot/${script}`, import.meta.url), 'utf8'));
+}
+const { mogeCanvas, mogeImageMeta } = window;
+
+// Signature, IHDR (CRCs are not checked on the way through) and IEND.
+const png = concat(
+  new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  u32be(13), text('IHDR'), new Uint8Array(13), u32be(0),
+  u32be(0), text('IEND'), u32be(0));
+
+const jpeg = new Uint8Array([0xff, 0xd8, 0xff, 0xd9]);
+
+// A canvas the export has never seen is encoded as it is, through toBlob.
+const canvasEncoding = (bytes) => ({ toBlob: (resolve, type) => resolve(new Blob([bytes], { type })) });
+
+for (const [type, encoded] of [['image/png', png], ['image/jpeg', jpeg]]) {
+  test(`exportBlob writes EXIF sent from .NET as a Uint8Array into ${type}`, async () => {
+    const blob = await mogeCanvas.exportBlob(canvasEncoding(encoded), { type, metadata: { exif: tiff(6, 'Moge') } });
+    const meta = await mogeImageMeta.read(blob);
+
+    assert.equal(blob.type, type);
+    assert.equal(meta.cameraMake, 'Moge');
+    assert.equal(meta.orientation, 1);
+  });
+}
+
+test('exportBlob still accepts EXIF as base64 text', async () => {
+  const exif = Buffer.from(tiff(3, 'Moge')).toString('base64');
+
+  const blob = await mogeCanvas.exportBlob(canvasEncoding(jpeg), { type: 'image/jpeg', metadata: { exif } });
+
+  assert.equal((await mogeImageMeta.read(blob)).cameraMake, 'Moge');
+});
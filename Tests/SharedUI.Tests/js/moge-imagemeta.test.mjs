@@ -0,0 +1,92 @@
+// Tests for SharedUI/wwwroot/moge-imagemeta.js; run with `node --test Tests/SharedUI.Tests/js` (Node 20+).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { runInThisContext } from 'node:vm';
+import { concat, jpeg, text, tiff, u16be, u32be, u32le } from './fixtures.mjs';
+
+globalThis.window = {};
+runInThisContext(readFileSync(new URL('../../../SharedUI/wwwroot/moge-imagemeta.js', import.meta.url), 'utf8'));
+const { read, withOrientation } = window.mogeImageMeta;
+
+function box(type, ...payload) {
+  const body = concat(...payload);
+  return concat(u32be(8 + body.length), text(type), body);
+}
+
+const fullBox = (type, version, ...payload) => box(type, new Uint8Array([version, 0, 0, 0]), ...payload);
+
+// ftyp, meta { hdlr, iinf { infe(1, hvc1), infe(2, Exif) }, iloc (version 0, 4-byte offsets and lengths) }, mdat.
+function heic(exif) {
+  const exifItem = concat(u32be(6), text('Exif\0\0'), exif);
+  const infe = (id, type) => fullBox('infe', 2, u16be(id), u16be(0), text(type), new Uint8Array([0]));
+  const iloc = (exifOffset) => fullBox('iloc', 0, new Uint8Array([0x44, 0x00]), u16be(1),
+    u16be(2), u16be(0), u16be(1), u32be(exifOffset), u32be(exifItem.length));
+
+  const ftyp = box('ftyp', text('heic'), u32be(0), text('mif1heic'));
+  const meta = (exifOffset) => fullBox('meta', 0,
+    fullBox('hdlr', 0, u32be(0), text('pict'), new Uint8Array(13)),
+    fullBox('iinf', 0, u16be(2), infe(1, 'hvc1'), infe(2, 'Exif')),
+    iloc(exifOffset));
+
+  const exifOffset = ftyp.length + meta(0).length + 8;
+  return concat(ftyp, meta(exifOffset), box('mdat', exifItem, new Uint8Array(64)));
+}
+
+function webp(exif, pixelBytes) {
+  const chunk = (type, data) => concat(text(type), u32le(data.length), data, new Uint8Array(data.length & 1));
+  const body = concat(text('WEBP'), chunk('VP8X', new Uint8Array(10)), chunk('VP8 ', new Uint8Array(pixelBytes)), chunk('EXIF', exif));
+  return concat(text('RIFF'), u32le(body.length), body);
+}
+
+test('reads orientation and camera from a JPEG APP1 block', async () => {
+  const meta = await read(new Blob([jpeg(tiff(6, 'Moge'))]));
+
+  assert.equal(meta.orientation, 6);
+  assert.equal(meta.cameraMake, 'Moge');
+  assert.equal(meta.hasXmp, false);
+  assert.deepEqual(Buffer.from(meta.exif, 'base64'), Buffer.from(tiff(6, 'Moge')));
+});
+
+test('finds the EXIF chunk after a WebP image larger than one read window', async () => {
+  const meta = await read(new Blob([webp(tiff(3, 'Moge'), 600 * 1024)]));
+
+  assert.equal(meta.orientation, 3);
+  assert.equal(meta.cameraMake, 'Moge');
+});
+
+test('reads the Exif item of a HEIF file but leaves orientation to the container', async () => {
+  const meta = await read(new Blob([heic(tiff(6, 'Moge'))]));
+
+  assert.equal(meta.cameraMake, 'Moge');
+  assert.equal(meta.orientation, null);
+  assert.deepEqual(Buffer.from(meta.exif, 'base64'), Buffer.from(tiff(6, 'Moge')));
+});
+
+test('returns null without metadata, and warns when a container cannot be parsed', async () => {
+  const broken = heic(tiff(6, 'Moge'));
+  broken[Buffer.from(broken).indexOf('iloc') + 8] = 0x33; // 3-byte offsets and lengths, which iloc does not allow
+
+  const warnings = [];
+  const warn = console.warn;
+  console.warn = (...args) => warnings.push(args);
+  try {
+    assert.equal(await read(new Blob([jpeg(text('nonsense'))])), null);
+    assert.equal(await read(new Blob([new Uint8Array(32)])), null);
+    assert.equal(warnings.length, 0);
+
+    assert.equal(await read(new Blob([broken])), null);
+    assert.equal(warnings.length, 1);
+  } finally {
+    console.warn = warn;
+  }
+});
+
+test('withOrientation rewrites only the orientation, on a copy', () => {
+  const original = tiff(8, 'Moge');
+  const upright = withOrientation(original, 1);
+
+  assert.equal(new DataView(upright.buffer).getUint16(30, true), 1);
+  assert.equal(new DataView(original.buffer).getUint16(30, true), 8);
+  assert.deepEqual(upright.subarray(32), original.subarray(32));
+});
@@ -21,8 +21,11 @@ builder.Services.AddScoped<ImageDocumentState>();
 builder.Services.AddScoped<BrowserRawImageProvider>();
 builder.Services.AddScoped<IRawImageProvider>(sp => sp.GetRequiredService<BrowserRawImageProvider>());
 builder.Services.AddScoped<IRawImageCache>(sp => sp.GetRequiredService<BrowserRawImageProvider>());
+builder.Services.AddScoped<BrowserRawImageRestorer>();
+builder.Services.AddScoped<IRawImageRestorer>(sp => sp.GetRequiredService<BrowserRawImageRestorer>());
 builder.Services.AddScoped<IImageFilePicker, BrowserImageFilePicker>();
 builder.Services.AddScoped<IImageExportService, BrowserImageExportService>();
+builder.Services.AddScoped<IImageClipboardService, BrowserImageClipboardService>();
 builder.Services.AddScoped<ImageProcessorService>();
 
 builder.Services.AddScoped<IAppSettingsStore, BrowserAppSettingsStore>();
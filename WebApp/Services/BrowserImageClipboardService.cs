@@ -0,0 +1,36 @@
+using Microsoft.JSInterop;
+using SharedUI.Services;
+using SharedUI.Services.Raw;
+using WebApp.Services.Raw;
+
+namespace WebApp.Services;
+
+internal sealed class BrowserImageClipboardService(IJSRuntime js, BrowserRawImageProvider rawProvider) : IImageClipboardService
+{
+    private sealed record Pasted(int width, int height, IJSStreamReference bytes, IJSStreamReference rgba);
+
+    public async Task<bool> WriteRgbaAsync(byte[] rgba, int width, int height, CancellationToken cancellationToken = default)
+        => await js.InvokeAsync<bool>("mogeCanvas.writeClipboardRgba", cancellationToken, width, height, rgba);
+
+    public async Task<bool> CanReadImageAsync(CancellationToken cancellationToken = default)
+        => await js.InvokeAsync<bool>("mogeCanvas.canReadClipboardImage", cancellationToken);
+
+    public async Task<bool> MayHaveChangedAsync(CancellationToken cancellationToken = default)
+        => await js.InvokeAsync<bool>("mogeCanvas.clipboardMayHaveChanged", cancellationToken);
+
+    public async Task<ClipboardImage?> ReadImageAsync(CancellationToken cancellationToken = default)
+    {
+        var pasted = await js.InvokeAsync<Pasted?>("mogeCanvas.readClipboardImage", cancellationToken);
+        if (pasted is null || pasted.width <= 0 || pasted.height <= 0)
+            return null;
+
+        var bytes = await pasted.bytes.ReadAllBytesAsync(cancellationToken);
+        var rgba = await pasted.rgba.ReadAllBytesAsync(cancellationToken);
+
+        // Cache raw RGBA for OpenCV-decode fallback on WASM (same as picked files).
+        rawProvider.Set(ImageSignature.Create(bytes), pasted.width, pasted.height, rgba);
+
+        var image = new ImagePickResult($"clipboard-{DateTime.Now:yyyyMMdd-HHmmss}.png", "image/png", bytes);
+        return new ClipboardImage(image, pasted.width, pasted.height, rgba);
+    }
+}
@@ -6,13 +6,50 @@ namespace WebApp.Services;
 
 internal sealed class BrowserImageExportService(IJSRuntime js) : IImageExportService
 {
-    public Task SaveAsync(ElementReference canvas, string suggestedFileName, ImageExportFormat format, CancellationToken cancellationToken = default)
+    private sealed record SavedHandle(string id, string fileName);
+
+    private sealed record SaveAsOutcome(string outcome, SavedHandle? target);
+
+    // Uses showSaveFilePicker where available (the handle is kept for SaveToAsync); otherwise a download.
+    public async Task<ImageSaveResult> SaveAsync(ElementReference canvas, string suggestedFileName, ImageExportFormat format, ImageExportOptions? options = null, CancellationToken cancellationToken = default)
     {
-        var filename = format == ImageExportFormat.Jpeg
-            ? FileNameUtil.GetSafeFileName(suggestedFileName, "image.jpg", ".jpg")
-            : FileNameUtil.GetSafeFileName(suggestedFileName, "image.png", ".png");
+        var ext = format.GetExtension();
+        var filename = FileNameUtil.GetSafeFileName(suggestedFileName, "image" + ext, ext);
+
+        var result = await js.InvokeAsync<SaveAsOutcome>("mogeFilePicker.saveAs", cancellationToken, canvas, filename, ToJsOptions(format, options), $"{format.GetDisplayName()} Image");
+        return result.outcome switch
+        {
+            "canceled" => ImageSaveResult.Canceled,
+            "downloaded" => ImageSaveResult.Downloaded,
+            _ => ImageSaveResult.Saved(result.target is { } saved ? new ImageSaveTarget(saved.id, saved.fileName) : null)
+        };
+    }
+
+    public async Task<bool> SaveToAsync(ElementReference canvas, ImageSaveTarget target, ImageExportFormat format, ImageExportOptions? options = null, CancellationToken cancellationToken = default)
+        => await js.InvokeAsync<bool>("mogeFilePicker.saveTo", cancellationToken, target.Id, canvas, ToJsOptions(format, options));
 
-        var fn = format == ImageExportFormat.Jpeg ? "mogeCanvas.downloadJpeg" : "mogeCanvas.downloadPng";
-        return js.InvokeVoidAsync(fn, cancellationToken, canvas, filename).AsTask();
+    public async Task<IReadOnlyList<ImageExportFormat>> GetSupportedFormatsAsync(CancellationToken cancellationToken = default)
+    {
+        var formats = Enum.GetValues<ImageExportFormat>();
+        var types = await js.InvokeAsync<string[]>("mogeCanvas.getSupportedExportTypes", cancellationToken, (object)formats.Select(f => f.GetMimeType()).ToArray());
+        return formats.Where(f => f == ImageExportFormat.Png || types.Contains(f.GetMimeType())).ToArray();
+    }
+
+    public async Task<bool> HasTransparencyAsync(ElementReference canvas, CancellationToken cancellationToken = default)
+        => await js.InvokeAsync<bool>("mogeCanvas.hasTransparency", cancellationToken, canvas);
+
+    public async Task<long?> EstimateSizeAsync(ElementReference canvas, ImageExportFormat format, ImageExportOptions? options = null, CancellationToken cancellationToken = default)
+        => await js.InvokeAsync<long?>("mogeCanvas.estimateExportSize", cancellationToken, canvas, ToJsOptions(format, options));
+
+    private static object ToJsOptions(ImageExportFormat format, ImageExportOptions? options)
+    {
+        options ??= new ImageExportOptions();
+        return new
+        {
+            type = format.GetMimeType(),
+            quality = options.GetQuality(format),
+            matte = options.GetMatte(format),
+            metadata = options.GetMetadata(format)
+        };
     }
 }
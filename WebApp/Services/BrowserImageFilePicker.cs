@@ -1,17 +1,39 @@
-using System.Text;
+using System.Runtime.CompilerServices;
+using Microsoft.Extensions.Logging;
 using Microsoft.JSInterop;
+using SharedUI.Logging;
 using SharedUI.Services;
 using SharedUI.Services.Raw;
+using SharedUI.Services.Settings;
 using WebApp.Services.Raw;
 
 namespace WebApp.Services;
 
-internal sealed class BrowserImageFilePicker(IJSRuntime js, BrowserRawImageProvider rawProvider) : IImageFilePicker
+internal sealed class BrowserImageFilePicker(IJSRuntime js, BrowserRawImageProvider rawProvider, BrowserRawImageRestorer rawRestorer, AppSettingsService settings, MogeLogService log) : IImageFilePicker
 {
     private readonly IJSRuntime _js = js;
     private readonly BrowserRawImageProvider _rawProvider = rawProvider;
+    private readonly BrowserRawImageRestorer _rawRestorer = rawRestorer;
+    private readonly AppSettingsService _settings = settings;
+    private readonly MogeLogService _log = log;
 
-    private sealed record Picked(string fileName, string contentType, string base64, int width, int height, string? rgbaBase64);
+    // bytes (the file as stored) and rgba arrive as JS stream references, so neither is base64-encoded on the way over.
+    // saveTarget is set for files opened through showOpenFilePicker; decodeMs is how long the browser took to decode.
+    private sealed record Picked(string fileName, string contentType, IJSStreamReference bytes, int width, int height, IJSStreamReference? rgba, int decodeMs, SavedHandle? saveTarget, ImageMetadata? metadata);
+
+    private sealed record SavedHandle(string id, string fileName);
+
+    // mogeFolderPicker.open: token is null when the dialog or the scan was canceled.
+    private sealed record OpenedFolder(string? token, string[] names);
+
+    // Decode options for mogeFilePicker (see _toPicked).
+    private sealed record DecodeOptions(bool applyOrientation);
+
+    private async Task<DecodeOptions> GetDecodeOptionsAsync(CancellationToken cancellationToken)
+    {
+        await _settings.InitializeAsync(cancellationToken);
+        return new DecodeOptions(_settings.Current.ImportApplyExifOrientation);
+    }
 
     public async Task<ImagePickResult?> PickImageAsync(CancellationToken cancellationToken = default)
     {
@@ -21,36 +43,89 @@ internal sealed class BrowserImageFilePicker(IJSRuntime js, BrowserRawImageProvi
 
     public async Task<IReadOnlyList<ImagePickResult>> PickImagesAsync(CancellationToken cancellationToken = default)
     {
-        var picked = await _js.InvokeAsync<Picked[]>(
-            "mogeFilePicker.pickImages",
-            cancellationToken);
+        var options = await GetDecodeOptionsAsync(cancellationToken);
+        var picked = await _js.InvokeAsync<Picked[]>("mogeFilePicker.pickImages", cancellationToken, options);
+
+        return await ToResultsAsync(picked, options, cancellationToken);
+    }
+
+    public async IAsyncEnumerable<ImagePickResult> PickFolderAsync(IProgress<ImagePickProgress>? progress = null, [EnumeratorCancellation] CancellationToken cancellationToken = default)
+    {
+        var options = await GetDecodeOptionsAsync(cancellationToken);
 
+        // The token reaches the scan only through the reporter, so a cancel ends it quietly instead of throwing.
+        OpenedFolder folder;
+        using (var reporter = DotNetObjectReference.Create(new ImagePickProgressReporter(progress, cancellationToken)))
+            folder = await _js.InvokeAsync<OpenedFolder>("mogeFolderPicker.open", reporter);
+
+        if (folder.token is null)
+            yield break;
+
+        try
+        {
+            // One file per call: JS decodes it only when asked, so a large folder never has all its pixels in flight.
+            for (var i = 0; i < folder.names.Length && !cancellationToken.IsCancellationRequested; i++)
+            {
+                progress?.Report(new ImagePickProgress(i + 1, folder.names.Length, folder.names[i]));
+
+                var picked = await _js.InvokeAsync<Picked?>("mogeFilePicker.pickFolderFile", folder.token, i, options);
+                if (picked is not null)
+                    yield return await ToResultAsync(picked, options, CancellationToken.None);
+            }
+        }
+        finally
+        {
+            await _js.InvokeVoidAsync("mogeFolderPicker.release", folder.token);
+        }
+    }
+
+    public async Task<IReadOnlyList<ImagePickResult>> ReadDroppedAsync(string dropToken, CancellationToken cancellationToken = default)
+    {
+        var options = await GetDecodeOptionsAsync(cancellationToken);
+        var picked = await _js.InvokeAsync<Picked[]>("mogeFilePicker.pickDropped", cancellationToken, dropToken, options);
+
+        return await ToResultsAsync(picked, options, cancellationToken);
+    }
+
+    private async Task<IReadOnlyList<ImagePickResult>> ToResultsAsync(Picked[]? picked, DecodeOptions options, CancellationToken cancellationToken)
+    {
         if (picked is null || picked.Length == 0)
             return Array.Empty<ImagePickResult>();
 
         var results = new List<ImagePickResult>(picked.Length);
         foreach (var item in picked)
-        {
-            var bytes = Convert.FromBase64String(item.base64);
+            results.Add(await ToResultAsync(item, options, cancellationToken));
+
+        return results;
+    }
 
-            // Cache raw RGBA for OpenCV-decode fallback on WASM.
-            if (item.width > 0 && item.height > 0 && !string.IsNullOrWhiteSpace(item.rgbaBase64))
+    private async Task<ImagePickResult> ToResultAsync(Picked item, DecodeOptions options, CancellationToken cancellationToken)
+    {
+        var bytes = await item.bytes.ReadAllBytesAsync(cancellationToken);
+
+        // The file is decoded once, in JS: its pixels are cached under the file's signature and read from there by
+        // ImageProcessorService and ImageCanvas, so the stored bytes are only decoded again on a cache miss
+        // (BrowserRawImageRestorer).
+        if (item.width > 0 && item.height > 0 && item.rgba is not null)
+        {
+            try
             {
-                try
-                {
-                    var rgba = Convert.FromBase64String(item.rgbaBase64!);
-                    var signature = ImageSignature.Create(bytes);
-                    _rawProvider.Set(signature, item.width, item.height, rgba);
-                }
-                catch
-                {
-                }
+                var rgba = await item.rgba.ReadAllBytesAsync(cancellationToken);
+                var signature = ImageSignature.Create(bytes);
+                _rawProvider.Set(signature, item.width, item.height, rgba);
+                _log.Log(LogLevel.Debug, "Open", $"{item.fileName}: {item.width}x{item.height}, {bytes.Length / 1024} KB stored, {rgba.Length / 1024} KB decoded in {item.decodeMs} ms");
+            }
+            catch (Exception ex)
+            {
+                // The image still opens; its pixels are decoded again when first needed.
+                _log.Log(LogLevel.Warning, "Open", $"Could not cache the decoded pixels of {item.fileName}", ex);
             }
-
-            results.Add(new ImagePickResult(item.fileName, item.contentType, bytes));
         }
 
-        return results;
+        var saveTarget = item.saveTarget is { } handle ? new ImageSaveTarget(handle.id, handle.fileName) : null;
+        var result = new ImagePickResult(item.fileName, item.contentType, bytes, saveTarget, item.metadata, options.applyOrientation);
+        _rawRestorer.Remember(result);
+        return result;
     }
 
     // Signature generation moved to SharedUI.Services.Raw.ImageSignature
@@ -0,0 +1,58 @@
+using System.Runtime.CompilerServices;
+using Microsoft.Extensions.Logging;
+using Microsoft.JSInterop;
+using SharedUI.Logging;
+using SharedUI.Services;
+using SharedUI.Services.Raw;
+
+namespace WebApp.Services.Raw;
+
+// Picked files keep only their stored bytes; their pixels live in the LRU cache. When the cache has dropped them,
+// the browser decodes the file again (mogeFilePicker.decodeRgba) instead of OpenCV, whose WASM build cannot read
+// WebP/AVIF/HEIC.
+internal sealed class BrowserRawImageRestorer(IJSRuntime js, BrowserRawImageProvider rawProvider, MogeLogService log) : IRawImageRestorer
+{
+    private sealed record Decoded(int width, int height, IJSStreamReference rgba);
+
+    // Same decode options as the picker, so restored pixels match the ones first cached.
+    private sealed record DecodeOptions(bool applyOrientation);
+
+    // The pick behind each file's bytes (the same array ends up in the document, its layers and the compare view),
+    // held only as long as the bytes are.
+    private readonly ConditionalWeakTable<byte[], ImagePickResult> _picks = new();
+
+    // Called by BrowserImageFilePicker for every file it hands out.
+    public void Remember(ImagePickResult pick) => _picks.AddOrUpdate(pick.Bytes, pick);
+
+    public async Task<bool> TryRestoreAsync(byte[] imageBytes, CancellationToken cancellationToken = default)
+    {
+        var signature = ImageSignature.Create(imageBytes);
+        if (rawProvider.TryGet(signature, out _))
+            return true;
+
+        if (RawToken.IsToken(imageBytes))
+            return false;
+
+        // Bytes no pick produced were never decoded with EXIF orientation.
+        var applyOrientation = _picks.TryGetValue(imageBytes, out var pick) && pick.ExifOrientationApplied;
+
+        try
+        {
+            using var stream = new DotNetStreamReference(new MemoryStream(imageBytes, writable: false));
+            var decoded = await js.InvokeAsync<Decoded>(
+                "mogeFilePicker.decodeRgba",
+                cancellationToken,
+                stream,
+                new DecodeOptions(applyOrientation));
+
+            var rgba = await decoded.rgba.ReadAllBytesAsync(cancellationToken);
+            rawProvider.Set(signature, decoded.width, decoded.height, rgba);
+            return true;
+        }
+        catch (Exception ex)
+        {
+            log.Log(LogLevel.Warning, "Raw", "Could not decode an evicted image again", ex);
+            return false;
+        }
+    }
+}
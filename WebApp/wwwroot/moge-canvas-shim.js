@@ -1,279 +1,55 @@
 (() => {
-  // Compatibility shim: if the SharedUI static web asset is stale/cached and
-  // doesn't expose required APIs (setRawRgba/export/download), install a full implementation.
-  if (
-    window.mogeCanvas &&
-    typeof window.mogeCanvas.setRawRgba === 'function' &&
-    typeof window.mogeCanvas.exportPngBase64 === 'function' &&
-    typeof window.mogeCanvas.downloadPng === 'function' &&
-    typeof window.mogeCanvas.exportJpegBase64 === 'function' &&
-    typeof window.mogeCanvas.downloadJpeg === 'function'
-  ) return;
-
-  const canvasToImage = new WeakMap();
-  const canvasToRawCanvas = new WeakMap();
-
-  async function canvasToPngBlob(sourceCanvas) {
-    if (!sourceCanvas) return null;
-
-    if (typeof OffscreenCanvas !== 'undefined' && sourceCanvas instanceof OffscreenCanvas) {
-      return await sourceCanvas.convertToBlob({ type: 'image/png' });
-    }
-
-    if (typeof sourceCanvas.toBlob === 'function') {
-      return await new Promise((resolve) => sourceCanvas.toBlob(resolve, 'image/png'));
-    }
-
-    return null;
-  }
-
-  async function canvasToJpegBlob(sourceCanvas) {
-    if (!sourceCanvas) return null;
-
-    if (typeof OffscreenCanvas !== 'undefined' && sourceCanvas instanceof OffscreenCanvas) {
-      return await sourceCanvas.convertToBlob({ type: 'image/jpeg', quality: 0.92 });
-    }
-
-    if (typeof sourceCanvas.toBlob === 'function') {
-      return await new Promise((resolve) => sourceCanvas.toBlob(resolve, 'image/jpeg', 0.92));
-    }
-
-    return null;
-  }
-
-  async function blobToBase64(blob) {
-    const buffer = await blob.arrayBuffer();
-    const bytes = new Uint8Array(buffer);
-    let binary = '';
-    const chunkSize = 0x8000;
-    for (let i = 0; i < bytes.length; i += chunkSize) {
-      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
-    }
-    return btoa(binary);
-  }
-
-  function downloadBlob(blob, filename) {
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename || 'image.png';
-    a.rel = 'noopener';
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    setTimeout(() => URL.revokeObjectURL(url), 1000);
-  }
-
-  function ensureSize(canvas) {
-    const dpr = window.devicePixelRatio || 1;
-    const widthCss = canvas.clientWidth || 1;
-    const heightCss = canvas.clientHeight || 1;
-
-    const width = Math.max(1, Math.floor(widthCss * dpr));
-    const height = Math.max(1, Math.floor(heightCss * dpr));
-
-    if (canvas.width !== width) canvas.width = width;
-    if (canvas.height !== height) canvas.height = height;
-
-    return { dpr, widthCss, heightCss };
-  }
-
-  async function loadImage(dataUrl) {
-    return await new Promise((resolve, reject) => {
-      const img = new Image();
-      img.onload = () => resolve(img);
-      img.onerror = (e) => reject(e);
-      img.src = dataUrl;
-    });
-  }
-
-  window.mogeCanvas = {
-    getRect: (canvas) => {
-      const r = canvas.getBoundingClientRect();
-      return { left: r.left, top: r.top, width: r.width, height: r.height };
-    },
-
-    setImage: async (canvas, dataUrl) => {
-      const img = await loadImage(dataUrl);
-      canvasToImage.set(canvas, img);
-      canvasToRawCanvas.delete(canvas);
-      return { width: img.naturalWidth, height: img.naturalHeight };
-    },
-
-    setRawRgba: async (canvas, width, height, rgbaBytes) => {
-      let rawCanvas;
-      if (typeof OffscreenCanvas !== 'undefined') {
-        rawCanvas = new OffscreenCanvas(width, height);
-      } else {
-        rawCanvas = document.createElement('canvas');
-        rawCanvas.width = width;
-        rawCanvas.height = height;
-      }
-
-      const ctx = rawCanvas.getContext('2d');
-      const clamped = new Uint8ClampedArray(rgbaBytes);
-      const imageData = new ImageData(clamped, width, height);
-      ctx.putImageData(imageData, 0, 0);
-
-      canvasToRawCanvas.set(canvas, { canvas: rawCanvas, width, height });
-      canvasToImage.delete(canvas);
-      return { width, height };
-    },
-
-    clear: (canvas) => {
-      canvasToImage.delete(canvas);
-      canvasToRawCanvas.delete(canvas);
-      const ctx = canvas.getContext('2d');
-      if (!ctx) return;
-      const { widthCss, heightCss, dpr } = ensureSize(canvas);
-      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
-      ctx.clearRect(0, 0, widthCss, heightCss);
-    },
-
-    draw: (canvas, state) => {
-      const img = canvasToImage.get(canvas);
-      const raw = canvasToRawCanvas.get(canvas);
-      const ctx = canvas.getContext('2d');
-      if (!ctx) return { hasImage: false };
-
-      const { widthCss, heightCss, dpr } = ensureSize(canvas);
-
-      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
-      ctx.clearRect(0, 0, widthCss, heightCss);
-
-      if (!img && !raw) return { hasImage: false };
-
-      const scale = (state?.scale ?? 1) * dpr;
-      const offsetX = (state?.offsetX ?? 0) * dpr;
-      const offsetY = (state?.offsetY ?? 0) * dpr;
-
-      ctx.setTransform(scale, 0, 0, scale, offsetX, offsetY);
-      ctx.imageSmoothingEnabled = true;
-      ctx.imageSmoothingQuality = 'high';
-
-      if (img) {
-        ctx.drawImage(img, 0, 0);
-        return { hasImage: true, imageWidth: img.naturalWidth, imageHeight: img.naturalHeight, dpr };
-      }
-
-      ctx.drawImage(raw.canvas, 0, 0);
-      return { hasImage: true, imageWidth: raw.width, imageHeight: raw.height, dpr };
-    },
-
-    exportPngBase64: async (canvas) => {
-      const img = canvasToImage.get(canvas);
-      const raw = canvasToRawCanvas.get(canvas);
-
-      let sourceCanvas = null;
-
-      if (raw && raw.canvas) {
-        sourceCanvas = raw.canvas;
-      } else if (img) {
-        const w = img.naturalWidth || 1;
-        const h = img.naturalHeight || 1;
-        if (typeof OffscreenCanvas !== 'undefined') {
-          sourceCanvas = new OffscreenCanvas(w, h);
-        } else {
-          sourceCanvas = document.createElement('canvas');
-          sourceCanvas.width = w;
-          sourceCanvas.height = h;
-        }
-        const ctx = sourceCanvas.getContext('2d');
-        ctx.drawImage(img, 0, 0);
-      } else {
-        sourceCanvas = canvas;
-      }
-
-      const blob = await canvasToPngBlob(sourceCanvas);
-      if (!blob) return null;
-      return await blobToBase64(blob);
-    },
-
-    exportJpegBase64: async (canvas) => {
-      const img = canvasToImage.get(canvas);
-      const raw = canvasToRawCanvas.get(canvas);
-
-      let sourceCanvas = null;
-
-      if (raw && raw.canvas) {
-        sourceCanvas = raw.canvas;
-      } else if (img) {
-        const w = img.naturalWidth || 1;
-        const h = img.naturalHeight || 1;
-        if (typeof OffscreenCanvas !== 'undefined') {
-          sourceCanvas = new OffscreenCanvas(w, h);
-        } else {
-          sourceCanvas = document.createElement('canvas');
-          sourceCanvas.width = w;
-          sourceCanvas.height = h;
-        }
-        const ctx = sourceCanvas.getContext('2d');
-        ctx.drawImage(img, 0, 0);
-      } else {
-        sourceCanvas = canvas;
-      }
-
-      const blob = await canvasToJpegBlob(sourceCanvas);
-      if (!blob) return null;
-      return await blobToBase64(blob);
-    },
-
-    downloadPng: async (canvas, filename) => {
-      const img = canvasToImage.get(canvas);
-      const raw = canvasToRawCanvas.get(canvas);
-
-      let sourceCanvas = null;
-
-      if (raw && raw.canvas) {
-        sourceCanvas = raw.canvas;
-      } else if (img) {
-        const w = img.naturalWidth || 1;
-        const h = img.naturalHeight || 1;
-        if (typeof OffscreenCanvas !== 'undefined') {
-          sourceCanvas = new OffscreenCanvas(w, h);
-        } else {
-          sourceCanvas = document.createElement('canvas');
-          sourceCanvas.width = w;
-          sourceCanvas.height = h;
-        }
-        const ctx = sourceCanvas.getContext('2d');
-        ctx.drawImage(img, 0, 0);
-      } else {
-        sourceCanvas = canvas;
-      }
-
-      const blob = await canvasToPngBlob(sourceCanvas);
-      if (!blob) return;
-      downloadBlob(blob, filename || 'image.png');
-    },
-
-    downloadJpeg: async (canvas, filename) => {
-      const img = canvasToImage.get(canvas);
-      const raw = canvasToRawCanvas.get(canvas);
-
-      let sourceCanvas = null;
-
-      if (raw && raw.canvas) {
-        sourceCanvas = raw.canvas;
-      } else if (img) {
-        const w = img.naturalWidth || 1;
-        const h = img.naturalHeight || 1;
-        if (typeof OffscreenCanvas !== 'undefined') {
-          sourceCanvas = new OffscreenCanvas(w, h);
-        } else {
-          sourceCanvas = document.createElement('canvas');
-          sourceCanvas.width = w;
-          sourceCanvas.height = h;
-        }
-        const ctx = sourceCanvas.getContext('2d');
-        ctx.drawImage(img, 0, 0);
-      } else {
-        sourceCanvas = canvas;
-      }
-
-      const blob = await canvasToJpegBlob(sourceCanvas);
-      if (!blob) return;
-      downloadBlob(blob, filename || 'image.jpg');
-    }
-  };
+  // Compatibility shim: a stale cached copy of SharedUI's moge-canvas.js may lack APIs the app calls.
+  // Instead of carrying a second implementation, load moge-canvas.js once more past the cache. The script is
+  // appended rather than written into the page (document.write is ignored once parsing is done and refused under
+  // a strict CSP), so it runs when it arrives; the fresh copy replaces window.mogeCanvas wholesale.
+  const required = [
+    'addStrokePoint',
+    'beginStroke',
+    'canReadClipboardImage',
+    'clear',
+    'clearCompare',
+    'clearLayers',
+    'clearSelectionMask',
+    'clearStroke',
+    'clipboardMayHaveChanged',
+    'computeHistogram',
+    'download',
+    'draw',
+    'endStroke',
+    'estimateExportSize',
+    'exportBase64',
+    'exportBlob',
+    'getRect',
+    'getSupportedExportTypes',
+    'hasTransparency',
+    'readClipboardImage',
+    'removeLayer',
+    'renderThumbnail',
+    'samplePixel',
+    'setCompareImage',
+    'setCompareRgba',
+    'setHistogramMask',
+    'setImage',
+    'setLayer',
+    'setLayerOrder',
+    'setLayerVisibility',
+    'setRawRgba',
+    'setRawRgbaRegion',
+    'setSelectionMask',
+    'stagePixels',
+    'writeClipboardRgba'
+  ];
+
+  const missing = required.filter((name) => typeof window.mogeCanvas?.[name] !== 'function');
+  if (missing.length === 0) return;
+
+  console.warn(`[moge-canvas-shim] moge-canvas.js is missing ${missing.join(', ')}; reloading it.`);
+
+  const src = new URL('_content/SharedUI/moge-canvas.js', document.baseURI);
+  src.searchParams.set('reload', Date.now().toString());
+  const script = document.createElement('script');
+  script.src = src.href;
+  script.onerror = () => console.warn('[moge-canvas-shim] could not reload moge-canvas.js.');
+  document.head.appendChild(script);
 })();
@@ -1,60 +1,70 @@
 window.mogeFilePicker = {
-  _replaceExtension: (fileName, newExtWithDot) => {
-    if (!fileName) return `image${newExtWithDot}`;
-    const idx = fileName.lastIndexOf('.');
-    if (idx <= 0) return `${fileName}${newExtWithDot}`;
-    return `${fileName.substring(0, idx)}${newExtWithDot}`;
+  // FileSystemFileHandles from showOpenFilePicker/showSaveFilePicker, by the id handed to .NET (ImageSaveTarget.Id).
+  _handles: new Map(),
+  _nextHandleId: 0,
+
+  _imageTypes: [{
+    description: 'Images',
+    accept: { 'image/*': ['.png', '.jpg', '.jpeg', '.webp', '.avif', '.gif', '.bmp', '.heic', '.heif', '.tif', '.tiff'] }
+  }],
+
+  _keepHandle: (handle) => {
+    const id = `fh${++window.mogeFilePicker._nextHandleId}`;
+    window.mogeFilePicker._handles.set(id, handle);
+    return { id, fileName: handle.name };
   },
 
-  _blobToBase64: (blob) => {
-    // Use FileReader to avoid binary-string conversion issues for large files.
-    return new Promise((resolve, reject) => {
-      try {
-        const reader = new FileReader();
-        reader.onerror = () => reject(reader.error);
-        reader.onload = () => {
-          const result = reader.result;
-          if (typeof result !== 'string') {
-            resolve('');
-            return;
-          }
-          const comma = result.indexOf(',');
-          resolve(comma >= 0 ? result.substring(comma + 1) : result);
-        };
-        reader.readAsDataURL(blob);
-      } catch (e) {
-        reject(e);
-      }
-    });
-  },
+  // Picked files via showOpenFilePicker, each with a saveTarget for in-place saves. [] when the user cancels;
+  // null when the API is missing or refused (e.g. in a cross-origin iframe), so callers use the <input> path.
+  _pickWithFileSystemAccess: async (multiple, options) => {
+    if (typeof window.showOpenFilePicker !== 'function') return null;
 
-  _convertToPngBlob: async (file) => {
-    const bitmap = await createImageBitmap(file);
+    let handles;
     try {
-      let canvas;
-      if (typeof OffscreenCanvas !== 'undefined') {
-        canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
-      } else {
-        canvas = document.createElement('canvas');
-        canvas.width = bitmap.width;
-        canvas.height = bitmap.height;
-      }
+      handles = await window.showOpenFilePicker({ multiple, types: window.mogeFilePicker._imageTypes });
+    } catch (e) {
+      return e?.name === 'AbortError' ? [] : null;
+    }
 
-      const ctx = canvas.getContext('2d');
-      ctx.drawImage(bitmap, 0, 0);
+    const results = [];
+    for (const handle of handles) {
+      const picked = await window.mogeFilePicker._toPicked(await handle.getFile(), options);
+      picked.saveTarget = window.mogeFilePicker._keepHandle(handle);
+      results.push(picked);
+    }
+    return results;
+  },
 
-      if (canvas.convertToBlob) {
-        return await canvas.convertToBlob({ type: 'image/png' });
-      }
+  // blob comes from mogeCanvas.exportBlob, which gives null without pixels; the file is only opened for writing
+  // once there is something to put in it, so a failed encode never truncates it.
+  _writeHandle: async (handle, blob) => {
+    if (!blob) throw new Error('The image could not be encoded; the file was left unchanged.');
 
-      return await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
-    } finally {
-      bitmap.close();
+    const writable = await handle.createWritable();
+    try {
+      await writable.write(blob);
+      await writable.close();
+    } catch (e) {
+      await writable.abort?.();
+      throw e;
     }
   },
 
-  _toRgbaBytes: async (file) => {
-    const bitmap = await createImageBitmap(file);
+  // options: { applyOrientation } from BrowserImageFilePicker; EXIF orientation is applied unless it is false.
+  _imageOrientation: (options) => (options?.applyOrientation === false ? 'none' : 'from-image'),
+
+  _toRgbaBytes: async (file, options) => {
+    const imageOrientation = window.mogeFilePicker._imageOrientation(options);
+    if (window.mogeImageWorker?.available) {
+      try {
+        return await window.mogeImageWorker.decodeRgba(file, imageOrientation);
+      } catch (err) {
+        // Fall back to the main thread below.
+        console.warn('mogeFilePicker: decoding in the image worker failed, decoding on the main thread', err);
+      }
+    }
+
+    const bitmap = await createImageBitmap(file, { imageOrientation });
     try {
       let canvas;
       if (typeof OffscreenCanvas !== 'undefined') {
@@ -69,16 +79,58 @@ window.mogeFilePicker = {
       ctx.drawImage(bitmap, 0, 0);
       const imageData = ctx.getImageData(0, 0, bitmap.width, bitmap.height);
 
-      // Copy to a plain Uint8Array.
-      const rgba = new Uint8Array(imageData.data.buffer.slice(0));
+      // Plain Uint8Array view over the ImageData buffer (no copy); it is handed over as a stream.
+      const rgba = new Uint8Array(imageData.data.buffer);
       return { width: bitmap.width, height: bitmap.height, rgba };
     } finally {
       bitmap.close();
     }
   },
 
-  pickImage: () => {
-    return new Promise((resolve) => {
+  // One picked file as { fileName, contentType, bytes, width, height, rgba, decodeMs, metadata }. bytes is the file
+  // as stored and rgba its pixels from a single decode (worker first), both as JS stream references read by
+  // BrowserImageFilePicker; decodeMs is how long that decode took; metadata is the file's EXIF/XMP
+  // (mogeImageMeta.read) or null.
+  // The RGBA goes into the raw cache under the file's signature and every WASM consumer (OpenCV, thumbnails,
+  // the canvas) reads it from there, so no PNG is encoded here; exports encode from the canvas when asked, and
+  // pixels the cache evicted are decoded again from the file (decodeRgba).
+  _toPicked: async (file, options) => {
+    const metadata = window.mogeImageMeta ? await window.mogeImageMeta.read(file) : null;
+
+    let rgbaInfo = null;
+    const decodeStart = performance.now();
+    try {
+      rgbaInfo = await window.mogeFilePicker._toRgbaBytes(file, options);
+    } catch (err) {
+      // Not decodable here: .NET gets the bytes alone (OpenCV on WASM may still fail on them).
+      console.warn(`mogeFilePicker: could not decode ${file.name}`, err);
+    }
+
+    return {
+      fileName: file.name,
+      contentType: file.type || 'application/octet-stream',
+      bytes: DotNet.createJSStreamReference(file),
+      width: rgbaInfo?.width ?? 0,
+      height: rgbaInfo?.height ?? 0,
+      rgba: rgbaInfo?.rgba ? DotNet.createJSStreamReference(rgbaInfo.rgba) : null,
+      decodeMs: Math.round(performance.now() - decodeStart),
+      metadata
+    };
+  },
+
+  // Decodes image bytes sent from .NET (a DotNetStreamReference) again, for pixels the raw cache evicted
+  // (BrowserRawImageRestorer): { width, height, rgba } with rgba as a JS stream reference.
+  decodeRgba: async (streamRef, options) => {
+    const blob = new Blob([await streamRef.arrayBuffer()]);
+    const { width, height, rgba } = await window.mogeFilePicker._toRgbaBytes(blob, options);
+    return { width, height, rgba: DotNet.createJSStreamReference(rgba) };
+  },
+
+  pickImage: async (options) => {
+    const viaFileSystemAccess = await window.mogeFilePicker._pickWithFileSystemAccess(false, options);
+    if (viaFileSystemAccess) return viaFileSystemAccess[0] ?? null;
+
+    return await new Promise((resolve) => {
       const input = document.createElement('input');
       input.type = 'file';
       input.accept = 'image/*';
@@ -92,40 +144,7 @@ window.mogeFilePicker = {
             return;
           }
 
-          // Normalize to PNG in the browser so WASM OpenCV doesn't need to decode
-          // platform-specific formats (e.g., HEIC/AVIF/WebP).
-          try {
-            const rgbaInfo = await window.mogeFilePicker._toRgbaBytes(file);
-            const pngBlob = await window.mogeFilePicker._convertToPngBlob(file);
-
-            if (pngBlob && rgbaInfo && rgbaInfo.rgba) {
-              const base64 = await window.mogeFilePicker._blobToBase64(pngBlob);
-              const rgbaBlob = new Blob([rgbaInfo.rgba], { type: 'application/octet-stream' });
-              const rgbaBase64 = await window.mogeFilePicker._blobToBase64(rgbaBlob);
-
-              resolve({
-                fileName: window.mogeFilePicker._replaceExtension(file.name, '.png'),
-                contentType: 'image/png',
-                base64,
-                width: rgbaInfo.width,
-                height: rgbaInfo.height,
-                rgbaBase64
-              });
-              return;
-            }
-          } catch {
-            // Fallback to raw bytes (may still fail to decode in OpenCV on WASM).
-          }
-
-          const base64 = await window.mogeFilePicker._blobToBase64(file);
-          resolve({
-            fileName: file.name,
-            contentType: file.type || 'application/octet-stream',
-            base64,
-            width: 0,
-            height: 0,
-            rgbaBase64: null
-          });
+          resolve(await window.mogeFilePicker._toPicked(file, options));
         } finally {
           input.remove();
         }
@@ -136,8 +155,11 @@ window.mogeFilePicker = {
     });
   },
 
-  pickImages: () => {
-    return new Promise((resolve) => {
+  pickImages: async (options) => {
+    const viaFileSystemAccess = await window.mogeFilePicker._pickWithFileSystemAccess(true, options);
+    if (viaFileSystemAccess) return viaFileSystemAccess;
+
+    return await new Promise((resolve) => {
       const input = document.createElement('input');
       input.type = 'file';
       input.accept = 'image/*';
@@ -154,40 +176,7 @@ window.mogeFilePicker = {
 
           const results = [];
           for (const file of files) {
-            // Normalize to PNG in the browser so WASM OpenCV doesn't need to decode
-            // platform-specific formats (e.g., HEIC/AVIF/WebP).
-            try {
-              const rgbaInfo = await window.mogeFilePicker._toRgbaBytes(file);
-              const pngBlob = await window.mogeFilePicker._convertToPngBlob(file);
-
-              if (pngBlob && rgbaInfo && rgbaInfo.rgba) {
-                const base64 = await window.mogeFilePicker._blobToBase64(pngBlob);
-                const rgbaBlob = new Blob([rgbaInfo.rgba], { type: 'application/octet-stream' });
-                const rgbaBase64 = await window.mogeFilePicker._blobToBase64(rgbaBlob);
-
-                results.push({
-                  fileName: window.mogeFilePicker._replaceExtension(file.name, '.png'),
-                  contentType: 'image/png',
-                  base64,
-                  width: rgbaInfo.width,
-                  height: rgbaInfo.height,
-                  rgbaBase64
-                });
-                continue;
-              }
-            } catch {
-              // Fallback to raw bytes (may still fail to decode in OpenCV on WASM).
-            }
-
-            const base64 = await window.mogeFilePicker._blobToBase64(file);
-            results.push({
-              fileName: file.name,
-              contentType: file.type || 'application/octet-stream',
-              base64,
-              width: 0,
-              height: 0,
-              rgbaBase64: null
-            });
+            results.push(await window.mogeFilePicker._toPicked(file, options));
           }
 
           resolve(results);
@@ -199,5 +188,60 @@ window.mogeFilePicker = {
       document.body.appendChild(input);
       input.click();
     });
+  },
+
+  // The index-th image of a folder opened with mogeFolderPicker.open, normalized like picked files; null when it
+  // could not be read.
+  pickFolderFile: (token, index, options) => window.mogeFolderPicker.read(token, index, (file) => window.mogeFilePicker._toPicked(file, options)),
+
+  // "Save As" through showSaveFilePicker: { outcome: 'saved', target: { id, fileName } } (the target for later saveTo
+  // calls), or { outcome: 'canceled' } when the user closes the dialog. Without the API (or when it is refused) the
+  // image is downloaded instead: { outcome: 'downloaded' }. options: see mogeCanvas.exportBlob.
+  saveAs: async (canvas, suggestedName, options, typeDescription) => {
+    if (typeof window.showSaveFilePicker === 'function') {
+      const type = options?.type || 'image/png';
+      const ext = suggestedName.substring(suggestedName.lastIndexOf('.'));
+
+      let handle = null;
+      try {
+        handle = await window.showSaveFilePicker({
+          suggestedName,
+          types: [{ description: typeDescription || type, accept: { [type]: [ext] } }]
+        });
+      } catch (e) {
+        if (e?.name === 'AbortError') return { outcome: 'canceled' };
+      }
+
+      if (handle) {
+        await window.mogeFilePicker._writeHandle(handle, await window.mogeCanvas.exportBlob(canvas, options));
+        return { outcome: 'saved', target: window.mogeFilePicker._keepHandle(handle) };
+      }
+    }
+
+    await window.mogeCanvas.download(canvas, suggestedName, options);
+    return { outcome: 'downloaded' };
+  },
+
+  // In-place "Save" to a kept handle. False when the handle is unknown or write permission is refused.
+  saveTo: async (handleId, canvas, options) => {
+    const handle = window.mogeFilePicker._handles.get(handleId);
+    if (!handle) return false;
+
+    const mode = { mode: 'readwrite' };
+    if (await handle.queryPermission?.(mode) !== 'granted' && await handle.requestPermission?.(mode) !== 'granted') {
+      return false;
+    }
+
+    await window.mogeFilePicker._writeHandle(handle, await window.mogeCanvas.exportBlob(canvas, options));
+    return true;
+  },
+
+  // Files dropped onto a mogeDropZone, normalized the same way as picked ones.
+  pickDropped: async (token, options) => {
+    const results = [];
+    for (const file of window.mogeDropZone.take(token)) {
+      results.push(await window.mogeFilePicker._toPicked(file, options));
+    }
+    return results;
   }
 };